@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+import "dotenv/config";
+import { runCli } from "../src/cli/index.js";
+
+// A closed pipe (e.g. `ai-extract ... | head`) ends the run quietly
+process.stdout.on("error", (error) => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit(0);
+});
+
+process.exitCode = await runCli();
@@ -32,6 +32,9 @@ Provide a concise, structured analysis:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: 1500,
     systemPrompt: "You are an expert code reviewer. Be concise and actionable.",
   });
@@ -65,6 +68,9 @@ Explain clearly:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: 1500,
     systemPrompt:
       "You are a patient programming teacher. Explain code simply and clearly.",
@@ -102,6 +108,9 @@ Generate documentation in Markdown format:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: 2000,
     systemPrompt:
       "You are a technical writer. Generate clear, professional documentation.",
@@ -143,6 +152,9 @@ Provide specific, actionable improvements:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: 2000,
     systemPrompt:
       "You are a senior developer doing code review. Be specific and provide code examples.",
@@ -170,6 +182,9 @@ Provide a clear, informative summary:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: Math.ceil(maxLength / 3),
     systemPrompt:
       "You are a skilled summarizer. Create concise, informative summaries.",
@@ -199,6 +214,9 @@ Provide a helpful, specific answer:`;
 
   const result = await callAI(prompt, {
     provider,
+    apiKey: options.apiKey,
+    model: options.model,
+    logger: options.logger,
     maxTokens: 1000,
     systemPrompt:
       "You are a helpful programming assistant. Answer questions about code clearly and accurately.",
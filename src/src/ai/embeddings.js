@@ -0,0 +1,245 @@
+/**
+ * Embeddings from the AI providers
+ * Supports: Ollama, OpenAI-compatible endpoints, Together, Gemini, Cohere,
+ * Hugging Face
+ */
+
+import "dotenv/config";
+
+// ============================================================
+// PROVIDER CONFIGURATIONS
+// ============================================================
+
+const EMBEDDING_PROVIDERS = {
+  ollama: {
+    name: "Ollama (Local)",
+    keyEnv: null,
+    baseUrl: () => process.env.OLLAMA_URL || "http://localhost:11434",
+    defaultModel: () => process.env.OLLAMA_EMBED_MODEL || "nomic-embed-text",
+    batchSize: 1,
+    embed: embedWithOllama,
+  },
+  openai: {
+    name: "OpenAI-compatible",
+    keyEnv: "OPENAI_API_KEY",
+    baseUrl: () => process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    defaultModel: () => "text-embedding-3-small",
+    batchSize: 64,
+    embed: embedOpenAICompatible,
+  },
+  together: {
+    name: "Together AI",
+    keyEnv: "TOGETHER_API_KEY",
+    baseUrl: () => "https://api.together.xyz/v1",
+    defaultModel: () => "BAAI/bge-base-en-v1.5",
+    batchSize: 64,
+    embed: embedOpenAICompatible,
+  },
+  gemini: {
+    name: "Google Gemini",
+    keyEnv: "GEMINI_API_KEY",
+    baseUrl: () => "https://generativelanguage.googleapis.com/v1beta",
+    defaultModel: () => "text-embedding-004",
+    batchSize: 100,
+    embed: embedWithGemini,
+  },
+  cohere: {
+    name: "Cohere",
+    keyEnv: "COHERE_API_KEY",
+    baseUrl: () => "https://api.cohere.ai/v1",
+    defaultModel: () => "embed-english-v3.0",
+    batchSize: 96,
+    embed: embedWithCohere,
+  },
+  huggingface: {
+    name: "Hugging Face",
+    keyEnv: "HUGGINGFACE_API_KEY",
+    baseUrl: () =>
+      "https://api-inference.huggingface.co/pipeline/feature-extraction",
+    defaultModel: () => "sentence-transformers/all-MiniLM-L6-v2",
+    batchSize: 32,
+    embed: embedWithHuggingFace,
+  },
+};
+
+const REQUEST_TIMEOUT = 60000;
+
+// ============================================================
+// MAIN EMBEDDING FUNCTION
+// ============================================================
+
+/**
+ * Embed texts with a provider's embeddings endpoint
+ *
+ * `baseUrl` points the provider at another server, e.g. a local
+ * OpenAI-compatible one; the API key is read from the provider's
+ * environment variable unless `apiKey` is given. `inputType` is
+ * "document" for indexed text and "query" for search queries, for the
+ * providers that embed them differently. Returns one vector per text, in
+ * order.
+ */
+export async function embedTexts(texts, options = {}) {
+  const {
+    provider = process.env.EMBEDDING_PROVIDER || "ollama",
+    apiKey: configuredKey = null,
+    model = null,
+    baseUrl = null,
+    inputType = "document",
+  } = options;
+
+  const providerId = String(provider).toLowerCase();
+  const config = getEmbeddingProvider(providerId);
+  const apiKey =
+    configuredKey || (config.keyEnv ? process.env[config.keyEnv] : null);
+
+  // OpenAI-compatible servers on another URL often need no key
+  if (config.keyEnv && !apiKey && !(providerId === "openai" && baseUrl)) {
+    throw new Error(
+      `API key not found for ${config.name} embeddings. Set ${config.keyEnv} in .env file.`
+    );
+  }
+
+  const request = {
+    apiKey,
+    model: model || config.defaultModel(),
+    baseUrl: (baseUrl || config.baseUrl()).replace(/\/+$/, ""),
+    inputType,
+    providerName: config.name,
+  };
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += config.batchSize) {
+    const batch = texts.slice(i, i + config.batchSize);
+    vectors.push(...(await config.embed(batch, request)));
+  }
+
+  if (vectors.length !== texts.length) {
+    throw new Error(
+      `${config.name} returned ${vectors.length} embeddings for ${texts.length} texts`
+    );
+  }
+
+  return {
+    provider: providerId,
+    model: request.model,
+    dimensions: vectors[0]?.length || 0,
+    vectors,
+  };
+}
+
+function getEmbeddingProvider(provider) {
+  const config = EMBEDDING_PROVIDERS[provider];
+  if (!config) {
+    throw new Error(
+      `No embeddings endpoint for provider: ${provider}. Available: ${Object.keys(EMBEDDING_PROVIDERS).join(", ")}`
+    );
+  }
+  return config;
+}
+
+// ============================================================
+// OLLAMA (Local)
+// ============================================================
+
+async function embedWithOllama(texts, { model, baseUrl }) {
+  const vectors = [];
+  for (const text of texts) {
+    const data = await postJson(`${baseUrl}/api/embeddings`, {
+      name: "Ollama",
+      body: { model, prompt: text },
+    });
+    vectors.push(data.embedding);
+  }
+  return vectors;
+}
+
+// ============================================================
+// OPENAI-COMPATIBLE (OpenAI, Together, LM Studio, vLLM...)
+// ============================================================
+
+async function embedOpenAICompatible(texts, request) {
+  const { apiKey, model, baseUrl, providerName } = request;
+  const data = await postJson(`${baseUrl}/embeddings`, {
+    name: providerName,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    body: { model, input: texts },
+  });
+
+  return [...data.data]
+    .sort((a, b) => a.index - b.index)
+    .map((item) => item.embedding);
+}
+
+// ============================================================
+// GOOGLE GEMINI
+// ============================================================
+
+async function embedWithGemini(texts, { apiKey, model, baseUrl, inputType }) {
+  const taskType =
+    inputType === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT";
+  const data = await postJson(
+    `${baseUrl}/models/${model}:batchEmbedContents?key=${apiKey}`,
+    {
+      name: "Gemini",
+      body: {
+        requests: texts.map((text) => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+          taskType,
+        })),
+      },
+    }
+  );
+
+  return data.embeddings.map((embedding) => embedding.values);
+}
+
+// ============================================================
+// COHERE
+// ============================================================
+
+async function embedWithCohere(texts, { apiKey, model, baseUrl, inputType }) {
+  const data = await postJson(`${baseUrl}/embed`, {
+    name: "Cohere",
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: {
+      model,
+      texts,
+      input_type: inputType === "query" ? "search_query" : "search_document",
+    },
+  });
+
+  return data.embeddings;
+}
+
+// ============================================================
+// HUGGING FACE
+// ============================================================
+
+async function embedWithHuggingFace(texts, { apiKey, model, baseUrl }) {
+  // The feature-extraction pipeline answers with the bare vectors
+  return postJson(`${baseUrl}/${model}`, {
+    name: "HuggingFace",
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: { inputs: texts, options: { wait_for_model: true } },
+  });
+}
+
+async function postJson(url, { name, headers = {}, body }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`${name} API error: ${response.status} - ${error}`);
+  }
+
+  return response.json();
+}
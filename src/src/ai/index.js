@@ -13,6 +13,8 @@ export {
 
 export { callAI, getAvailableProviders, testProvider } from "./providers.js";
 
+export { embedTexts } from "./embeddings.js";
+
 /**
  * Check if AI is configured
  */
@@ -7,21 +7,27 @@ import { callAI } from "./providers.js";
 /**
  * Parse user instruction to determine what to extract
  */
-export async function parseInstruction(instruction, url, aiConfig) {
-  console.log(`🧠 Parsing instruction: "${instruction}"`);
+export async function parseInstruction(
+  instruction,
+  url,
+  aiConfig,
+  options = {}
+) {
+  const { logger = console } = options;
+  logger.log(`🧠 Parsing instruction: "${instruction}"`);
 
   // Try to understand instruction without AI first (fast path)
   const quickParse = quickParseInstruction(instruction);
 
   if (quickParse.confidence > 0.8) {
-    console.log(`✅ Quick parse successful: ${quickParse.intent}`);
+    logger.log(`✅ Quick parse successful: ${quickParse.intent}`);
     return quickParse;
   }
 
   // Use AI for complex instructions
   if (aiConfig && aiConfig.aiProvider) {
-    console.log("🤖 Using AI to understand instruction...");
-    return await aiParseInstruction(instruction, url, aiConfig);
+    logger.log("🤖 Using AI to understand instruction...");
+    return await aiParseInstruction(instruction, url, aiConfig, logger);
   }
 
   return quickParse;
@@ -224,7 +230,7 @@ function quickParseInstruction(instruction) {
 /**
  * Use AI to parse complex instructions
  */
-async function aiParseInstruction(instruction, url, aiConfig) {
+async function aiParseInstruction(instruction, url, aiConfig, logger) {
   const { aiProvider, aiApiKey, aiModel } = aiConfig;
 
   try {
@@ -250,9 +256,11 @@ Only respond with valid JSON.`;
 
     const response = await callAI(prompt, {
       provider: aiProvider,
+      apiKey: aiApiKey,
       model: aiModel,
       maxTokens: 300,
       temperature: 0.3,
+      logger,
     });
 
     // Parse AI response
@@ -270,7 +278,7 @@ Only respond with valid JSON.`;
       };
     }
   } catch (error) {
-    console.log(`⚠️ AI parsing failed: ${error.message}`);
+    logger.log(`⚠️ AI parsing failed: ${error.message}`);
   }
 
   // Fallback
@@ -280,7 +288,8 @@ Only respond with valid JSON.`;
 /**
  * Generate extraction plan based on parsed instruction
  */
-export function createExtractionPlan(parsedInstruction, url) {
+export function createExtractionPlan(parsedInstruction, url, options = {}) {
+  const { logger = console } = options;
   const plan = {
     instruction: parsedInstruction.originalInstruction,
     intent: parsedInstruction.intent,
@@ -393,7 +402,7 @@ export function createExtractionPlan(parsedInstruction, url) {
     plan.specifics = parsedInstruction.specifics;
   }
 
-  console.log(`📋 Extraction Plan: ${plan.extractors.join(", ")}`);
+  logger.log(`📋 Extraction Plan: ${plan.extractors.join(", ")}`);
 
   return plan;
 }
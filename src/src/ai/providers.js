@@ -82,14 +82,19 @@ const PROVIDERS = {
 
 /**
  * Call AI with automatic provider selection
+ *
+ * The API key is read from the provider's environment variable unless
+ * `apiKey` is given. Progress and errors go to `logger`.
  */
 export async function callAI(prompt, options = {}) {
   const {
     provider = process.env.AI_PROVIDER || "groq",
+    apiKey: configuredKey = null,
     model = null,
     maxTokens = 2000,
     temperature = 0.3,
     systemPrompt = "You are a helpful AI assistant specialized in code analysis.",
+    logger = console,
   } = options;
 
   const providerConfig = PROVIDERS[provider.toLowerCase()];
@@ -100,9 +105,10 @@ export async function callAI(prompt, options = {}) {
     );
   }
 
-  const apiKey = providerConfig.keyEnv
-    ? process.env[providerConfig.keyEnv]
-    : null;
+  // A key passed in takes precedence over the environment
+  const apiKey =
+    configuredKey ||
+    (providerConfig.keyEnv ? process.env[providerConfig.keyEnv] : null);
 
   if (providerConfig.keyEnv && !apiKey && provider !== "ollama") {
     throw new Error(
@@ -112,7 +118,7 @@ export async function callAI(prompt, options = {}) {
 
   const selectedModel = model || providerConfig.defaultModel;
 
-  console.log(`🤖 Using ${providerConfig.name} (${selectedModel})`);
+  logger.log(`🤖 Using ${providerConfig.name} (${selectedModel})`);
 
   try {
     switch (provider.toLowerCase()) {
@@ -164,7 +170,7 @@ export async function callAI(prompt, options = {}) {
         throw new Error(`Provider not implemented: ${provider}`);
     }
   } catch (error) {
-    console.error(`❌ AI Error (${provider}): ${error.message}`);
+    logger.error(`❌ AI Error (${provider}): ${error.message}`);
     throw error;
   }
 }
@@ -454,15 +460,19 @@ export function getAvailableProviders() {
 }
 
 /**
- * Test if a provider is working
+ * Test if a provider is working, optionally with an explicit `apiKey`,
+ * `model` and `logger`
  */
-export async function testProvider(provider = "groq") {
+export async function testProvider(provider = "groq", options = {}) {
   try {
     const result = await callAI(
       'Say "Hello, I am working!" in exactly those words.',
       {
         provider,
+        apiKey: options.apiKey,
+        model: options.model,
         maxTokens: 50,
+        logger: options.logger,
       }
     );
     return {
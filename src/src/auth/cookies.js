@@ -0,0 +1,148 @@
+/**
+ * Cookie handling for the HTTP engine
+ *
+ * Cookies are kept in Playwright's format ({name, value, domain, path,
+ * expires, secure, ...}) so the same list feeds browser contexts, request
+ * headers and saved storage state.
+ */
+
+// Playwright only takes these spellings of SameSite
+const SAME_SITE_VALUES = ["Strict", "Lax", "None"];
+
+/**
+ * Fill in domain and path for cookies given with a `url` instead, and
+ * bring `sameSite` into Playwright's spelling
+ */
+export function normalizeCookie(cookie, defaultUrl = null) {
+  if (!cookie?.name) {
+    throw new Error("Every cookie needs a name");
+  }
+
+  const { url, sameSite: givenSameSite, ...fields } = cookie;
+  const sameSite = normalizeSameSite(givenSameSite);
+  const normalized = {
+    ...(sameSite && { sameSite }),
+    value: String(cookie.value ?? ""),
+  };
+
+  const base = url || (!cookie.domain && defaultUrl);
+  if (base) {
+    const { hostname, protocol } = new URL(base);
+    return {
+      path: "/",
+      secure: protocol === "https:",
+      ...fields,
+      domain: hostname,
+      ...normalized,
+    };
+  }
+
+  if (!cookie.domain) {
+    throw new Error(`Cookie ${cookie.name} needs a domain or url`);
+  }
+  return { path: "/", ...fields, ...normalized };
+}
+
+/**
+ * Cookies that a request to the URL should carry
+ */
+export function getMatchingCookies(cookies, url) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const now = Date.now() / 1000;
+
+  return cookies.filter((cookie) => {
+    if (cookie.expires > 0 && cookie.expires < now) return false;
+    if (cookie.secure && protocol !== "https:") return false;
+
+    const domain = cookie.domain.replace(/^\./, "");
+    const domainMatches = cookie.domain.startsWith(".")
+      ? hostname === domain || hostname.endsWith(`.${domain}`)
+      : hostname === domain;
+    return domainMatches && pathname.startsWith(cookie.path || "/");
+  });
+}
+
+/**
+ * Cookie request header value for the URL
+ */
+export function getCookieHeader(cookies, url) {
+  return getMatchingCookies(cookies, url)
+    .map((cookie) => `${cookie.name}=${cookie.value}`)
+    .join("; ");
+}
+
+/**
+ * Parse Set-Cookie response headers into Playwright-style cookies
+ */
+export function parseSetCookie(headers, url) {
+  const values = Array.isArray(headers) ? headers : [headers].filter(Boolean);
+  const { hostname, protocol } = new URL(url);
+
+  return values.map((header) => {
+    const [pair, ...attributes] = header.split(";");
+    const separator = pair.indexOf("=");
+    const cookie = {
+      name: pair.substring(0, separator).trim(),
+      value: pair.substring(separator + 1).trim(),
+      domain: hostname,
+      path: "/",
+      expires: -1,
+      httpOnly: false,
+      secure: protocol === "https:",
+    };
+
+    attributes.forEach((attribute) => {
+      const [key, ...rest] = attribute.split("=");
+      const value = rest.join("=").trim();
+      switch (key.trim().toLowerCase()) {
+        case "domain":
+          cookie.domain = `.${value.replace(/^\./, "")}`;
+          break;
+        case "path":
+          cookie.path = value || "/";
+          break;
+        case "expires":
+          cookie.expires = Date.parse(value) / 1000 || -1;
+          break;
+        case "max-age":
+          cookie.expires = Date.now() / 1000 + Number(value);
+          break;
+        case "secure":
+          cookie.secure = true;
+          break;
+        case "httponly":
+          cookie.httpOnly = true;
+          break;
+        case "samesite": {
+          const sameSite = normalizeSameSite(value);
+          if (sameSite) cookie.sameSite = sameSite;
+          break;
+        }
+      }
+    });
+
+    return cookie;
+  });
+}
+
+/**
+ * Add or replace cookies, keyed by name, domain and path
+ */
+export function mergeCookies(cookies, updates) {
+  const keyOf = (cookie) => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+  const merged = new Map(cookies.map((cookie) => [keyOf(cookie), cookie]));
+  updates.forEach((cookie) => merged.set(keyOf(cookie), cookie));
+
+  const now = Date.now() / 1000;
+  return [...merged.values()].filter(
+    (cookie) => !(cookie.expires > 0 && cookie.expires < now)
+  );
+}
+
+// "lax" becomes "Lax"; values Playwright does not know are dropped
+function normalizeSameSite(value) {
+  const lower = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return SAME_SITE_VALUES.find((option) => option.toLowerCase() === lower);
+}
@@ -0,0 +1,7 @@
+/**
+ * Authentication barrel export
+ */
+
+export { createAuthSession } from "./session.js";
+export { runLoginFlow } from "./login.js";
+export { getCookieHeader, parseSetCookie, normalizeCookie } from "./cookies.js";
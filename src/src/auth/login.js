@@ -0,0 +1,81 @@
+/**
+ * Declarative login flow
+ *
+ * Opens the login page in a short-lived browser, fills the form, submits it
+ * and waits for a selector that only shows up once logged in. The resulting
+ * storage state (cookies and localStorage) is what the crawl reuses.
+ */
+
+import { launchPlaywright } from "crawlee";
+
+/**
+ * Run a login flow and return the logged-in storage state
+ *
+ * `login` is `{url, fields: {selector: value}, submit, waitFor, timeoutSecs}`;
+ * without `submit` the last field is submitted with Enter.
+ */
+export async function runLoginFlow(login, options = {}) {
+  const {
+    storageState,
+    httpCredentials,
+    resolveValue = (v) => v,
+    logger = console,
+  } = options;
+  const { url, fields = {}, submit, waitFor, timeoutSecs = 30 } = login;
+
+  if (!url) {
+    throw new Error("Login flow needs a url");
+  }
+  const selectors = Object.keys(fields);
+  if (selectors.length === 0) {
+    throw new Error("Login flow needs at least one field");
+  }
+
+  const timeout = timeoutSecs * 1000;
+  const browser = await launchPlaywright({
+    launchOptions: {
+      headless: true,
+      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    },
+  });
+
+  try {
+    const context = await browser.newContext({
+      ...(storageState && { storageState }),
+      ...(httpCredentials && { httpCredentials }),
+    });
+    const page = await context.newPage();
+
+    logger.log(`🔐 Logging in at ${url}`);
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+
+    for (const selector of selectors) {
+      await page.fill(selector, String(resolveValue(fields[selector]) ?? ""), {
+        timeout,
+      });
+    }
+
+    if (submit) {
+      await page.click(submit, { timeout });
+    } else {
+      await page.press(selectors[selectors.length - 1], "Enter");
+    }
+
+    if (waitFor) {
+      try {
+        await page.waitForSelector(waitFor, { timeout });
+      } catch (error) {
+        throw new Error(
+          `Login failed: ${waitFor} did not appear within ${timeoutSecs}s`
+        );
+      }
+    } else {
+      await page.waitForLoadState("networkidle", { timeout }).catch(() => {});
+    }
+
+    logger.log("✅ Logged in");
+    return await context.storageState();
+  } finally {
+    await browser.close();
+  }
+}
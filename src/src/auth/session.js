@@ -0,0 +1,222 @@
+/**
+ * Authenticated crawl sessions
+ *
+ * Collects cookies, a saved Playwright storage state, HTTP basic auth and an
+ * optional login flow into one session whose hooks make every page of a
+ * crawl, over HTTP or in a browser, carry the same credentials.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import {
+  normalizeCookie,
+  getCookieHeader,
+  parseSetCookie,
+  mergeCookies,
+} from "./cookies.js";
+import { runLoginFlow } from "./login.js";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+// Named, so saved sessions outlive the run that created them
+const AUTH_STORE_NAME = "auth-sessions";
+
+/**
+ * Create the auth session of a crawl
+ *
+ * A login flow only runs when no saved storage state could be loaded (or
+ * with `login.always`). Secrets can be given as "env:VARIABLE".
+ */
+export async function createAuthSession(options = {}) {
+  const {
+    cookies = [],
+    storageStateKey = null,
+    storageStatePath = null,
+    basicAuth = null,
+    login = null,
+    urls = [],
+    logger = console,
+    openKeyValueStore = openDefaultKeyValueStore,
+  } = options;
+
+  const credentials = basicAuth
+    ? {
+        username: resolveSecret(basicAuth.username),
+        password: resolveSecret(basicAuth.password),
+      }
+    : null;
+  const authorization =
+    credentials &&
+    `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString("base64")}`;
+
+  // Basic auth is only sent to the crawled sites, never to third parties
+  const authOrigins = new Set(
+    (basicAuth?.origins || [...urls, login?.url].filter(Boolean)).map(
+      (url) => new URL(url).origin
+    )
+  );
+  const needsAuthorization = (url) =>
+    Boolean(authorization) && authOrigins.has(new URL(url).origin);
+
+  let storageState = await loadStorageState({
+    storageStateKey,
+    storageStatePath,
+    openKeyValueStore,
+  });
+  if (storageState) {
+    logger.log(
+      `🔐 Loaded storage state (${storageState.cookies?.length || 0} cookies)`
+    );
+  }
+
+  if (login && (!storageState || login.always)) {
+    storageState = await runLoginFlow(login, {
+      storageState,
+      httpCredentials: credentials,
+      resolveValue: resolveSecret,
+      logger,
+    });
+  }
+
+  const defaultUrl = urls[0] || login?.url || null;
+  let jar = mergeCookies(
+    storageState?.cookies || [],
+    cookies.map((cookie) => normalizeCookie(cookie, defaultUrl))
+  );
+  const origins = storageState?.origins || [];
+  const preparedContexts = new WeakSet();
+
+  const session = {
+    enabled: jar.length > 0 || origins.length > 0 || Boolean(authorization),
+
+    getCookies() {
+      return jar;
+    },
+
+    /**
+     * Browser pre-navigation hook: cookies, localStorage and basic auth
+     */
+    browserPreNavigationHook: async ({ page }) => {
+      const context = page.context();
+      if (jar.length > 0) {
+        await context.addCookies(jar);
+      }
+
+      if (preparedContexts.has(context)) return;
+      preparedContexts.add(context);
+
+      if (origins.length > 0) {
+        await context.addInitScript(restoreLocalStorage, origins);
+      }
+      if (authorization) {
+        await context.route(
+          (url) => authOrigins.has(url.origin),
+          (route) =>
+            route.continue({
+              headers: { ...route.request().headers(), authorization },
+            })
+        );
+      }
+    },
+
+    /**
+     * Browser post-navigation hook that keeps cookies the site refreshed
+     */
+    browserPostNavigationHook: async ({ page }) => {
+      jar = mergeCookies(jar, await page.context().cookies());
+    },
+
+    /**
+     * HTTP pre-navigation hook: Cookie and Authorization headers
+     */
+    httpPreNavigationHook: ({ request }, gotOptions) => {
+      const cookie = getCookieHeader(jar, request.url);
+      gotOptions.headers = {
+        ...gotOptions.headers,
+        ...(cookie && { Cookie: cookie }),
+        ...(needsAuthorization(request.url) && {
+          Authorization: authorization,
+        }),
+      };
+    },
+
+    /**
+     * HTTP post-navigation hook that keeps cookies the site set
+     */
+    httpPostNavigationHook: ({ request, response }) => {
+      const setCookie = response?.headers?.["set-cookie"];
+      if (setCookie) {
+        jar = mergeCookies(
+          jar,
+          parseSetCookie(setCookie, response.url || request.url)
+        );
+      }
+    },
+
+    /**
+     * Write the current session back where its storage state came from
+     */
+    async save() {
+      const state = { cookies: jar, origins };
+      if (storageStatePath) {
+        await writeFile(storageStatePath, JSON.stringify(state, null, 2));
+      }
+      if (storageStateKey) {
+        const store = await openKeyValueStore(AUTH_STORE_NAME);
+        await store.setValue(storageStateKey, state);
+      }
+    },
+  };
+
+  // Keep a fresh login even if the crawl itself fails later
+  if (login && storageState) {
+    await session.save();
+  }
+
+  return session;
+}
+
+async function loadStorageState({
+  storageStateKey,
+  storageStatePath,
+  openKeyValueStore,
+}) {
+  if (storageStatePath) {
+    try {
+      return JSON.parse(await readFile(storageStatePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Cannot read storage state ${storageStatePath}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  if (storageStateKey) {
+    const store = await openKeyValueStore(AUTH_STORE_NAME);
+    return store.getValue(storageStateKey);
+  }
+
+  return null;
+}
+
+function resolveSecret(value) {
+  if (typeof value !== "string" || !value.startsWith("env:")) return value;
+
+  const name = value.substring(4);
+  if (process.env[name] === undefined) {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return process.env[name];
+}
+
+// Runs in the page, before any of its scripts
+function restoreLocalStorage(origins) {
+  const entry = origins.find((o) => o.origin === location.origin);
+  (entry?.localStorage || []).forEach(({ name, value }) => {
+    try {
+      if (localStorage.getItem(name) === null) {
+        localStorage.setItem(name, value);
+      }
+    } catch (e) {}
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * Declarative page actions run before extraction
+ *
+ * Pages often hide content behind interactions: a "Yearly" pricing toggle,
+ * collapsed docs tabs, a region selector. An action list describes those
+ * steps; rules decide which pages they run on. Playwright pages only.
+ */
+
+export const DEFAULT_ACTION_TIMEOUT_MS = 10000;
+
+const ACTION_HANDLERS = {
+  async click(page, action, timeout) {
+    await page.locator(action.selector).first().click({ timeout });
+  },
+
+  async type(page, action, timeout) {
+    const field = page.locator(action.selector).first();
+    if (action.clear !== false) {
+      await field.fill("", { timeout });
+    }
+    await field.pressSequentially(String(action.text ?? ""), {
+      delay: action.delay || 0,
+      timeout,
+    });
+  },
+
+  async select(page, action, timeout) {
+    const option = action.label ? { label: action.label } : action.value;
+    return page
+      .locator(action.selector)
+      .first()
+      .selectOption(option, { timeout });
+  },
+
+  async hover(page, action, timeout) {
+    await page.locator(action.selector).first().hover({ timeout });
+  },
+
+  async waitForSelector(page, action, timeout) {
+    await page
+      .locator(action.selector)
+      .first()
+      .waitFor({ state: action.state || "visible", timeout });
+  },
+
+  async waitForNetworkIdle(page, action, timeout) {
+    await page.waitForLoadState("networkidle", { timeout });
+  },
+
+  async scrollTo(page, action, timeout) {
+    if (action.selector) {
+      await page
+        .locator(action.selector)
+        .first()
+        .scrollIntoViewIfNeeded({ timeout });
+      return;
+    }
+    await page.evaluate(
+      ({ position, x, y }) => {
+        if (position === "bottom") {
+          window.scrollTo(0, document.documentElement.scrollHeight);
+        } else if (position === "top") {
+          window.scrollTo(0, 0);
+        } else {
+          window.scrollTo(x || 0, y || 0);
+        }
+      },
+      { position: action.position, x: action.x, y: action.y }
+    );
+  },
+
+  async pressKey(page, action, timeout) {
+    if (action.selector) {
+      await page.locator(action.selector).first().press(action.key, {
+        timeout,
+      });
+    } else {
+      await page.keyboard.press(action.key);
+    }
+  },
+
+  async evaluate(page, action, timeout) {
+    let timer;
+    try {
+      return await Promise.race([
+        page.evaluate(action.script),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Script timed out after ${timeout}ms`)),
+            timeout
+          );
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+};
+
+const REQUIRED_FIELDS = {
+  click: ["selector"],
+  type: ["selector"],
+  select: ["selector"],
+  hover: ["selector"],
+  waitForSelector: ["selector"],
+  pressKey: ["key"],
+  evaluate: ["script"],
+};
+
+export const ACTION_TYPES = Object.keys(ACTION_HANDLERS);
+
+/**
+ * Build a lookup of the actions that apply to a URL
+ *
+ * `rules` is either a plain action list for every page, or a list of
+ * `{url, domain, actions}` rules: `url` is a pattern where `*` matches
+ * anything, `domain` also matches subdomains, and a rule with neither
+ * applies everywhere. Actions of all matching rules run in rule order.
+ */
+export function createActionResolver(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error("Page actions must be a list");
+  }
+
+  const normalized = rules.every((rule) => rule.type)
+    ? [{ actions: rules }]
+    : rules;
+
+  const compiled = normalized.map((rule, i) => {
+    if (!Array.isArray(rule.actions)) {
+      throw new Error(`Page action rule ${i + 1} needs an actions list`);
+    }
+    rule.actions.forEach((action, j) => validateAction(action, i, j));
+
+    return {
+      actions: rule.actions,
+      urlPattern: rule.url ? globToRegExp(rule.url) : null,
+      domain: rule.domain ? rule.domain.toLowerCase().replace(/^\./, "") : null,
+    };
+  });
+
+  const resolver = (url) => {
+    const { hostname } = new URL(url);
+    return compiled
+      .filter(
+        (rule) =>
+          (!rule.urlPattern || rule.urlPattern.test(url)) &&
+          (!rule.domain ||
+            hostname === rule.domain ||
+            hostname.endsWith(`.${rule.domain}`))
+      )
+      .flatMap((rule) => rule.actions);
+  };
+  resolver.isEmpty = compiled.every((rule) => rule.actions.length === 0);
+
+  return resolver;
+}
+
+/**
+ * Run actions in order and report the outcome of each step
+ *
+ * A failed step stops the remaining ones unless it is marked `optional`;
+ * extraction goes ahead either way, with the report in the result.
+ */
+export async function runPageActions(page, actions, options = {}) {
+  const { defaultTimeoutMs = DEFAULT_ACTION_TIMEOUT_MS, logger = console } =
+    options;
+  const report = [];
+  let stopped = false;
+
+  for (const [index, action] of actions.entries()) {
+    const step = {
+      index,
+      type: action.type,
+      ...(action.selector && { selector: action.selector }),
+    };
+
+    if (stopped) {
+      report.push({ ...step, status: "skipped" });
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const result = await ACTION_HANDLERS[action.type](
+        page,
+        action,
+        action.timeoutMs ?? defaultTimeoutMs
+      );
+      report.push({
+        ...step,
+        status: "success",
+        durationMs: Date.now() - started,
+        ...(result !== undefined && { result }),
+      });
+    } catch (error) {
+      report.push({
+        ...step,
+        status: "failed",
+        error: error.message.split("\n")[0],
+        durationMs: Date.now() - started,
+      });
+      logger.log(
+        `⚠️ Action ${index + 1} (${action.type}) failed: ${error.message.split("\n")[0]}`
+      );
+      if (!action.optional) stopped = true;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Report for actions that could not run because no browser rendered the page
+ */
+export function skipPageActions(actions, reason) {
+  return actions.map((action, index) => ({
+    index,
+    type: action.type,
+    ...(action.selector && { selector: action.selector }),
+    status: "skipped",
+    error: reason,
+  }));
+}
+
+function validateAction(action, ruleIndex, actionIndex) {
+  const where = `Page action ${actionIndex + 1} of rule ${ruleIndex + 1}`;
+
+  if (!ACTION_HANDLERS[action?.type]) {
+    throw new Error(
+      `${where}: unknown type ${action?.type}. Use one of: ${ACTION_TYPES.join(", ")}`
+    );
+  }
+  (REQUIRED_FIELDS[action.type] || []).forEach((field) => {
+    if (action[field] === undefined || action[field] === "") {
+      throw new Error(`${where}: ${action.type} needs ${field}`);
+    }
+  });
+  if (action.type === "select" && action.value === undefined && !action.label) {
+    throw new Error(`${where}: select needs value or label`);
+  }
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
@@ -0,0 +1,245 @@
+/**
+ * Screenshots and PDF snapshots stored next to extracted data
+ *
+ * Artifacts go to a key-value store; dataset records only reference them by
+ * key and URL, which keeps the records small. Playwright pages only.
+ */
+
+import { createHash } from "node:crypto";
+import { extractStructuredData } from "../extractors/structured-extractor.js";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+export const ELEMENT_KINDS = ["tables", "pricing"];
+export const DEFAULT_MAX_ELEMENT_SCREENSHOTS = 20;
+
+const IMAGE_FORMATS = ["png", "jpeg"];
+
+/**
+ * Create the artifact capture for a run
+ *
+ * `elementScreenshots` is a list of element kinds (`tables`, `pricing`), or
+ * true for all of them. `quality` only applies to jpeg.
+ */
+export function createArtifactCapture(options = {}) {
+  const {
+    fullPageScreenshot = false,
+    viewportScreenshot = false,
+    elementScreenshots = [],
+    pdf = false,
+    format = "png",
+    quality,
+    maxElementScreenshots = DEFAULT_MAX_ELEMENT_SCREENSHOTS,
+    keyValueStoreName = null,
+    logger = console,
+    openKeyValueStore = openDefaultKeyValueStore,
+  } = options;
+
+  const elementKinds =
+    elementScreenshots === true ? ELEMENT_KINDS : elementScreenshots || [];
+
+  elementKinds.forEach((kind) => {
+    if (!ELEMENT_KINDS.includes(kind)) {
+      throw new Error(
+        `Unknown element screenshot kind: ${kind}. Use one of: ${ELEMENT_KINDS.join(", ")}`
+      );
+    }
+  });
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown screenshot format: ${format}. Use one of: ${IMAGE_FORMATS.join(", ")}`
+    );
+  }
+
+  const imageOptions = {
+    type: format,
+    ...(format === "jpeg" && quality && { quality }),
+  };
+  const imageContentType = `image/${format}`;
+
+  let store = null;
+  const save = async (key, body, contentType) => {
+    store = store || (await openKeyValueStore(keyValueStoreName));
+    await store.setValue(key, body, { contentType });
+    return { key, url: store.getPublicUrl(key), contentType };
+  };
+
+  return {
+    enabled:
+      fullPageScreenshot ||
+      viewportScreenshot ||
+      pdf ||
+      elementKinds.length > 0,
+
+    /**
+     * Capture the configured artifacts of a loaded page
+     *
+     * A failed artifact is listed under `errors` instead of failing the page.
+     */
+    async capture(page, url) {
+      const prefix = getArtifactKeyPrefix(url);
+      const artifacts = {};
+      const errors = [];
+
+      const attempt = async (name, capture) => {
+        try {
+          return await capture();
+        } catch (error) {
+          const message = error.message.split("\n")[0];
+          errors.push({ artifact: name, error: message });
+          logger.log(`⚠️ Could not capture ${name} of ${url}: ${message}`);
+          return null;
+        }
+      };
+
+      if (fullPageScreenshot) {
+        artifacts.fullPageScreenshot = await attempt(
+          "fullPageScreenshot",
+          async () =>
+            save(
+              `SCREENSHOT-${prefix}-full`,
+              await page.screenshot({ ...imageOptions, fullPage: true }),
+              imageContentType
+            )
+        );
+      }
+
+      if (viewportScreenshot) {
+        artifacts.viewportScreenshot = await attempt(
+          "viewportScreenshot",
+          async () => {
+            await page.evaluate(() => window.scrollTo(0, 0));
+            return save(
+              `SCREENSHOT-${prefix}-viewport`,
+              await page.screenshot(imageOptions),
+              imageContentType
+            );
+          }
+        );
+      }
+
+      if (elementKinds.length > 0) {
+        const targets = await attempt("elementScreenshots", () =>
+          findElementTargets(page, elementKinds)
+        );
+        artifacts.elementScreenshots = [];
+
+        for (const target of (targets || []).slice(0, maxElementScreenshots)) {
+          const { kind, index, selector, ...details } = target;
+          const saved = await attempt(`${kind} ${index}`, async () =>
+            save(
+              `SCREENSHOT-${prefix}-${kind}-${index}`,
+              await page
+                .locator(selector)
+                .first()
+                .screenshot({ ...imageOptions, timeout: 5000 }),
+              imageContentType
+            )
+          );
+          if (saved) {
+            artifacts.elementScreenshots.push({
+              kind,
+              index,
+              ...details,
+              ...saved,
+            });
+          }
+        }
+      }
+
+      if (pdf) {
+        artifacts.pdf = await attempt("pdf", async () =>
+          save(
+            `PDF-${prefix}`,
+            await page.pdf({ format: "A4", printBackground: true }),
+            "application/pdf"
+          )
+        );
+      }
+
+      return errors.length > 0 ? { ...artifacts, errors } : artifacts;
+    },
+
+    /**
+     * Record for pages that were not rendered in a browser
+     */
+    skip(reason) {
+      return { skipped: reason };
+    },
+  };
+}
+
+/**
+ * Visible tables and pricing cards to screenshot
+ *
+ * Pricing extraction reports both a card and the price line inside it;
+ * only the outermost element with a given set of prices is kept.
+ */
+async function findElementTargets(page, kinds) {
+  const targets = [];
+
+  if (kinds.includes("tables")) {
+    const tables = await page.evaluate(() =>
+      Array.from(document.querySelectorAll("table")).map((table, index) => {
+        const rect = table.getBoundingClientRect();
+        return {
+          index,
+          visible: rect.width > 0 && rect.height > 0,
+          headers: Array.from(table.querySelectorAll("th")).map((th) =>
+            th.innerText.trim()
+          ),
+        };
+      })
+    );
+    tables
+      .filter((table) => table.visible)
+      .forEach(({ index, headers }) =>
+        targets.push({
+          kind: "table",
+          index,
+          selector: `table >> nth=${index}`,
+          headers,
+        })
+      );
+  }
+
+  if (kinds.includes("pricing")) {
+    const { pricing = [] } = await extractStructuredData(page, {
+      includePricing: true,
+      markElements: true,
+    });
+    const outermost = await page.evaluate(
+      (items) =>
+        items
+          .filter(({ selector, prices }) => {
+            const el = document.querySelector(selector);
+            const rect = el?.getBoundingClientRect();
+            if (!rect || rect.width === 0 || rect.height === 0) return false;
+            return !items.some(
+              (other) =>
+                other.selector !== selector &&
+                other.prices.join("|") === prices.join("|") &&
+                document.querySelector(other.selector)?.contains(el)
+            );
+          })
+          .map((item) => item.selector),
+      pricing.map(({ selector, prices }) => ({ selector, prices }))
+    );
+    pricing
+      .filter((item) => outermost.includes(item.selector))
+      .forEach((item, index) =>
+        targets.push({
+          kind: "pricing",
+          index,
+          selector: item.selector,
+          prices: item.prices,
+        })
+      );
+  }
+
+  return targets;
+}
+
+// Store keys only allow a small character set, so URLs are hashed
+function getArtifactKeyPrefix(url) {
+  return createHash("sha256").update(url).digest("hex").substring(0, 32);
+}
@@ -0,0 +1,199 @@
+/**
+ * Shadow DOM and iframe content inlining
+ *
+ * Extractors query `document`, which neither pierces shadow roots nor
+ * enters frames. Before extraction, open shadow roots (including
+ * declarative `<template shadowrootmode>`) and readable frames are moved
+ * into the light DOM where they render, so every extractor sees them in
+ * document order. Each inlined subtree is wrapped in an element whose
+ * attributes record where it came from: `data-embedded` holds "shadow" or
+ * "frame", `data-embedded-source` the shadow host or the frame URL.
+ */
+
+export const EMBEDDED_ATTRIBUTE = "data-embedded";
+export const EMBEDDED_SOURCE_ATTRIBUTE = "data-embedded-source";
+
+const ATTRIBUTES = {
+  kindAttribute: EMBEDDED_ATTRIBUTE,
+  sourceAttribute: EMBEDDED_SOURCE_ATTRIBUTE,
+};
+
+/**
+ * Inline open shadow roots and allowed frames into the page's document
+ *
+ * Frames are read when they share the page's origin or their origin is in
+ * `allowedFrameOrigins` ("*" allows all). Frames are only available in a
+ * browser; jsdom pages get their shadow roots inlined.
+ */
+export async function inlineEmbeddedContent(page, options = {}) {
+  const { allowedFrameOrigins = [], logger = console } = options;
+  const report = { shadowRoots: 0, frames: 0, skippedFrames: [] };
+
+  const frames = typeof page.frames === "function" ? page.frames() : [];
+  const pageOrigin = getOrigin(page.url());
+
+  // Deepest frames first, so each frame already holds its children when
+  // its parent takes it in
+  const nested = frames
+    .filter((frame) => frame.parentFrame())
+    .sort((a, b) => getFrameDepth(b) - getFrameDepth(a));
+
+  for (const frame of nested) {
+    const url = frame.url();
+    if (!isAllowedFrame(url, pageOrigin, allowedFrameOrigins)) {
+      report.skippedFrames.push({ url, reason: "cross-origin" });
+      continue;
+    }
+
+    try {
+      report.shadowRoots += await frame.evaluate(
+        flattenShadowRoots,
+        ATTRIBUTES
+      );
+      const html = await frame.evaluate(serializeBody);
+      const element = await frame.frameElement();
+      await element.evaluate(replaceFrame, { ...ATTRIBUTES, html, url });
+      report.frames++;
+    } catch (error) {
+      const message = error.message.split("\n")[0];
+      report.skippedFrames.push({ url, reason: message });
+      logger.log(`⚠️ Could not read frame ${url}: ${message}`);
+    }
+  }
+
+  report.shadowRoots += await page.evaluate(flattenShadowRoots, ATTRIBUTES);
+
+  return report;
+}
+
+/**
+ * Replace every open shadow host with a div holding its rendered tree
+ *
+ * Slots are filled with the host's light children the way the browser
+ * renders them. Runs in the page; returns the number of inlined roots.
+ */
+function flattenShadowRoots({ kindAttribute, sourceAttribute }) {
+  const DECLARATIVE = "template[shadowrootmode='open']";
+  const roots = [];
+
+  const collect = (root) => {
+    root.querySelectorAll("*").forEach((el) => {
+      if (el.shadowRoot) {
+        roots.push({ host: el, nodes: el.shadowRoot.childNodes });
+        collect(el.shadowRoot);
+      } else if (el.matches(DECLARATIVE) && el.parentElement) {
+        roots.push({ host: el.parentElement, nodes: el.content.childNodes });
+        collect(el.content);
+      }
+    });
+  };
+  collect(document);
+
+  const describe = (el) => {
+    const id = el.id ? `#${el.id}` : "";
+    const classes = Array.from(el.classList)
+      .slice(0, 3)
+      .map((name) => `.${name}`)
+      .join("");
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const isSlotted = (node, name) =>
+    name
+      ? node.nodeType === 1 && node.getAttribute("slot") === name
+      : !(node.nodeType === 1 && node.hasAttribute("slot"));
+
+  roots.forEach(({ host, nodes }) => {
+    const light = Array.from(host.childNodes).filter(
+      (node) => !(node.nodeType === 1 && node.matches(DECLARATIVE))
+    );
+    const container = document.createElement("div");
+    container.setAttribute(kindAttribute, "shadow");
+    container.setAttribute(sourceAttribute, describe(host));
+    if (host.id) container.id = host.id;
+    if (host.className) container.className = host.className;
+    container.append(...Array.from(nodes));
+
+    container.querySelectorAll("slot").forEach((slot) => {
+      const assigned = light.filter((node) =>
+        isSlotted(node, slot.getAttribute("name"))
+      );
+      const filled = assigned.some(
+        (node) => node.nodeType === 1 || node.textContent.trim()
+      );
+      slot.replaceWith(...(filled ? assigned : Array.from(slot.childNodes)));
+    });
+
+    host.replaceWith(container);
+  });
+
+  return roots.length;
+}
+
+/**
+ * Body markup of a frame with absolute URLs and nothing executable
+ */
+function serializeBody() {
+  if (!document.body) return "";
+  const body = document.body.cloneNode(true);
+
+  body
+    .querySelectorAll("script, noscript, style, template")
+    .forEach((el) => el.remove());
+  body.querySelectorAll("*").forEach((el) => {
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      if (/^on/i.test(name)) {
+        el.removeAttribute(name);
+      } else if (name === "href" || name === "src") {
+        try {
+          el.setAttribute(name, new URL(value, document.baseURI).href);
+        } catch (e) {
+          el.removeAttribute(name);
+        }
+      }
+    });
+  });
+
+  return body.innerHTML;
+}
+
+function replaceFrame(iframe, { kindAttribute, sourceAttribute, html, url }) {
+  const container = document.createElement("div");
+  container.setAttribute(kindAttribute, "frame");
+  container.setAttribute(sourceAttribute, url);
+  container.innerHTML = html;
+  iframe.replaceWith(container);
+}
+
+function isAllowedFrame(url, pageOrigin, allowedOrigins) {
+  // about:blank and srcdoc frames inherit the embedding page's origin
+  if (/^about:/.test(url)) return true;
+  const origin = getOrigin(url);
+  if (!origin) return false;
+  return (
+    origin === pageOrigin ||
+    allowedOrigins.includes("*") ||
+    allowedOrigins.some((allowed) => getOrigin(allowed) === origin)
+  );
+}
+
+function getFrameDepth(frame) {
+  let depth = 0;
+  for (
+    let parent = frame.parentFrame();
+    parent;
+    parent = parent.parentFrame()
+  ) {
+    depth++;
+  }
+  return depth;
+}
+
+function getOrigin(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin === "null" ? null : origin;
+  } catch {
+    return null;
+  }
+}
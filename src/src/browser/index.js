@@ -0,0 +1,30 @@
+/**
+ * Browser interaction barrel export
+ */
+
+export {
+  paginate,
+  scrollToEnd,
+  clickLoadMore,
+  findNextPageUrl,
+  DEFAULT_MAX_PAGES,
+  DEFAULT_MAX_ITEMS,
+  DEFAULT_MAX_SCROLLS,
+} from "./pagination.js";
+export {
+  createActionResolver,
+  runPageActions,
+  skipPageActions,
+  ACTION_TYPES,
+  DEFAULT_ACTION_TIMEOUT_MS,
+} from "./actions.js";
+export {
+  createArtifactCapture,
+  ELEMENT_KINDS,
+  DEFAULT_MAX_ELEMENT_SCREENSHOTS,
+} from "./artifacts.js";
+export {
+  inlineEmbeddedContent,
+  EMBEDDED_ATTRIBUTE,
+  EMBEDDED_SOURCE_ATTRIBUTE,
+} from "./embedded-content.js";
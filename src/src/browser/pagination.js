@@ -0,0 +1,233 @@
+/**
+ * Pagination handling for listing pages
+ *
+ * A listing can continue in three ways: more items appear while scrolling
+ * (infinite feeds), a "Load more" button appends items in place, or a
+ * "Next" / numbered link leads to the following page. Playwright pages only.
+ */
+
+export const DEFAULT_MAX_PAGES = 10;
+export const DEFAULT_MAX_ITEMS = 1000;
+export const DEFAULT_MAX_SCROLLS = 50;
+
+const LOAD_MORE_TEXT =
+  /^\s*(load|show|view|see)\s+more(\s+\w+)?\s*$|^\s*more\s+results\s*$/i;
+const LOAD_MORE_MARKER = "data-pagination-load-more";
+
+/**
+ * Scroll until the page stops growing
+ *
+ * Returns the number of scrolls that brought in new content.
+ */
+export async function scrollToEnd(page, options = {}) {
+  const {
+    maxScrolls = DEFAULT_MAX_SCROLLS,
+    settleMs = 1000,
+    idleRounds = 2,
+  } = options;
+
+  let previous = await measurePage(page);
+  let idle = 0;
+  let grown = 0;
+
+  for (let i = 0; i < maxScrolls && idle < idleRounds; i++) {
+    await page.evaluate(() =>
+      window.scrollTo(0, document.documentElement.scrollHeight)
+    );
+    await page.waitForTimeout(settleMs);
+
+    const current = await measurePage(page);
+    if (hasGrown(previous, current)) {
+      grown++;
+      idle = 0;
+    } else {
+      idle++;
+    }
+    previous = current;
+  }
+
+  await page.evaluate(() => window.scrollTo(0, 0));
+  return grown;
+}
+
+/**
+ * Click a visible "Load more" style button
+ *
+ * Returns true when the click added content to the page.
+ */
+export async function clickLoadMore(page, options = {}) {
+  const { settleMs = 1500 } = options;
+
+  const found = await page.evaluate(
+    ({ pattern, marker }) => {
+      document
+        .querySelectorAll(`[${marker}]`)
+        .forEach((el) => el.removeAttribute(marker));
+
+      const textPattern = new RegExp(pattern, "i");
+      const candidates = document.querySelectorAll(
+        'button, a, [role="button"], input[type="button"], input[type="submit"]'
+      );
+
+      for (const el of candidates) {
+        const text = (el.innerText || el.value || "").trim();
+        const rect = el.getBoundingClientRect();
+        const visible = rect.width > 0 && rect.height > 0;
+        if (visible && !el.disabled && textPattern.test(text)) {
+          el.setAttribute(marker, "");
+          return true;
+        }
+      }
+      return false;
+    },
+    { pattern: LOAD_MORE_TEXT.source, marker: LOAD_MORE_MARKER }
+  );
+  if (!found) return false;
+
+  const before = await measurePage(page);
+  try {
+    await page.click(`[${LOAD_MORE_MARKER}]`, { timeout: 5000 });
+  } catch (e) {
+    return false;
+  }
+
+  await page
+    .waitForLoadState("networkidle", { timeout: settleMs * 4 })
+    .catch(() => {});
+  await page.waitForTimeout(settleMs);
+
+  return hasGrown(before, await measurePage(page));
+}
+
+/**
+ * URL of the next page of a paginated listing, or null
+ *
+ * Checks rel="next" first, then links labelled "Next", then the numbered
+ * link after the current page.
+ */
+export async function findNextPageUrl(page) {
+  return page.evaluate(() => {
+    const isUsable = (href) =>
+      href &&
+      !href.startsWith("javascript:") &&
+      href.split("#")[0] !== location.href.split("#")[0];
+
+    const relNext = document.querySelector(
+      'link[rel~="next"][href], a[rel~="next"][href]'
+    );
+    if (relNext && isUsable(relNext.href)) return relNext.href;
+
+    const links = Array.from(document.querySelectorAll("a[href]"));
+
+    const nextPattern = /^(next(\s+page)?|older(\s+posts)?|›|»|→|>|>>)$/i;
+    const nextLink = links.find((a) => {
+      const label = (
+        a.getAttribute("aria-label") ||
+        a.getAttribute("title") ||
+        a.innerText ||
+        ""
+      )
+        .replace(/\s+/g, " ")
+        .trim();
+      return (
+        (nextPattern.test(label) || /^next\b/i.test(label)) && isUsable(a.href)
+      );
+    });
+    if (nextLink) return nextLink.href;
+
+    // Numbered pagination: the link to the page after the current one
+    const current = document.querySelector(
+      '[aria-current="page"], .pagination .active, .pagination .current, .page-numbers.current, .pager .active'
+    );
+    const currentNumber = parseInt(current?.innerText?.trim(), 10);
+    if (!isNaN(currentNumber)) {
+      const following = links.find(
+        (a) =>
+          a.innerText?.trim() === String(currentNumber + 1) && isUsable(a.href)
+      );
+      if (following) return following.href;
+    }
+
+    return null;
+  });
+}
+
+/**
+ * Walk a paginated listing, extracting every page
+ *
+ * Each page is first expanded in place (infinite scroll, "Load more"), then
+ * `extractPage(url)` runs and returns how many items it found. Following
+ * pages are opened through `goTo(url)`, which returns false to stop. Each
+ * "Load more" click and each followed link counts toward `maxPages`.
+ */
+export async function paginate(page, options) {
+  const {
+    extractPage,
+    goTo = async (url) => {
+      const response = await page.goto(url, {
+        waitUntil: "domcontentloaded",
+      });
+      return !response || response.ok();
+    },
+    maxPages = DEFAULT_MAX_PAGES,
+    maxItems = DEFAULT_MAX_ITEMS,
+    maxScrolls = DEFAULT_MAX_SCROLLS,
+  } = options;
+
+  const visited = new Set([page.url().split("#")[0]]);
+  const pages = [];
+  let pageCount = 1;
+  let itemCount = 0;
+  let stopReason = "last page";
+
+  while (true) {
+    const pageUrl = page.url();
+    let scrolls = await scrollToEnd(page, { maxScrolls });
+    let loads = 0;
+
+    while (pageCount < maxPages && (await clickLoadMore(page))) {
+      loads++;
+      pageCount++;
+      scrolls += await scrollToEnd(page, { maxScrolls });
+    }
+
+    // Read the next link before extraction, which may strip navigation
+    const nextUrl = await findNextPageUrl(page);
+
+    itemCount += await extractPage(pageUrl);
+    pages.push({ url: pageUrl, scrolls, loadMoreClicks: loads });
+
+    if (itemCount >= maxItems) {
+      stopReason = "max items";
+      break;
+    }
+    if (!nextUrl || visited.has(nextUrl.split("#")[0])) break;
+    if (pageCount >= maxPages) {
+      stopReason = "max pages";
+      break;
+    }
+
+    visited.add(nextUrl.split("#")[0]);
+    if (!(await goTo(nextUrl))) {
+      stopReason = "navigation stopped";
+      break;
+    }
+    await page.waitForLoadState("domcontentloaded").catch(() => {});
+    pageCount++;
+  }
+
+  return { pages, pageCount, itemCount, stopReason };
+}
+
+async function measurePage(page) {
+  return page.evaluate(() => ({
+    height: document.documentElement.scrollHeight,
+    elements: document.body
+      ? document.body.getElementsByTagName("*").length
+      : 0,
+  }));
+}
+
+function hasGrown(before, after) {
+  return after.height > before.height || after.elements > before.elements;
+}
@@ -0,0 +1,149 @@
+/**
+ * Chunking for RAG and LLM processing
+ *
+ * Every chunk carries its heading path, source URL, character offsets in
+ * the chunked text and token count.
+ */
+
+import { parseStructure, getHeadingPath } from "./structure.js";
+import {
+  createContext,
+  addOverlap,
+  splitRecursive,
+  splitMarkdownSections,
+  splitTokenWindows,
+  splitCode,
+} from "./strategies.js";
+import { countTokens } from "./tokens.js";
+
+export const CHUNK_STRATEGIES = {
+  RECURSIVE: "recursive",
+  MARKDOWN: "markdown",
+  TOKENS: "tokens",
+  CODE: "code",
+};
+
+const SPLITTERS = {
+  [CHUNK_STRATEGIES.RECURSIVE]: splitRecursive,
+  [CHUNK_STRATEGIES.MARKDOWN]: splitMarkdownSections,
+  [CHUNK_STRATEGIES.TOKENS]: splitTokenWindows,
+  [CHUNK_STRATEGIES.CODE]: splitCode,
+};
+
+/**
+ * Split a document into chunks
+ *
+ * - `recursive` (default): by headings, then paragraphs, then sentences
+ * - `markdown`: one chunk per heading section
+ * - `tokens`: fixed windows of `chunkSize` tokens
+ * - `code`: code blocks apart from the text, split between lines
+ *
+ * `chunkSize` and `chunkOverlap` are in tokens for the tokens strategy and
+ * in characters otherwise; with overlap a chunk starts up to `chunkOverlap`
+ * into the previous one. `headings` (`{ level, text }`) give plain text its
+ * heading paths; Markdown headings are read from the text. Text before
+ * `start`, such as a generated header, is left out, but offsets still
+ * count from the beginning of `text`.
+ */
+export function chunkDocument(document, options = {}) {
+  const {
+    strategy = CHUNK_STRATEGIES.RECURSIVE,
+    chunkSize = 1000,
+    chunkOverlap = 100,
+    url = null,
+    headings = null,
+    start: base = 0,
+  } = options;
+
+  validateChunkOptions({ strategy, chunkSize, chunkOverlap });
+  const text = (document || "").slice(base);
+  if (!text) return [];
+
+  const structure = parseStructure(text, headings);
+  const context = createContext(text, structure, {
+    size: chunkSize,
+    overlap: chunkOverlap,
+  });
+  const ranges = SPLITTERS[strategy](context);
+
+  return (
+    strategy === CHUNK_STRATEGIES.TOKENS ? ranges : addOverlap(context, ranges)
+  )
+    .map((range) => trimRange(text, range))
+    .filter(
+      ({ start, end }) =>
+        end > start &&
+        // A heading alone is already in the path of the chunks below it
+        !structure.headings.some((h) => h.start === start && h.end >= end)
+    )
+    .map(({ start, end, type, language }, index) => {
+      const content = text.slice(start, end);
+      return {
+        index,
+        content,
+        ...(type && { type }),
+        ...(type === "code" && { language }),
+        headingPath: getHeadingPath(structure.headings, start),
+        url,
+        startOffset: base + start,
+        endOffset: base + end,
+        charCount: content.length,
+        tokenCount: countTokens(content),
+      };
+    });
+}
+
+/**
+ * Throw when chunk options are invalid, so runs can fail before crawling
+ */
+export function validateChunkOptions(options = {}) {
+  const {
+    strategy = CHUNK_STRATEGIES.RECURSIVE,
+    chunkSize = 1000,
+    chunkOverlap = 100,
+  } = options;
+
+  if (!SPLITTERS[strategy]) {
+    throw new Error(
+      `Unknown chunk strategy: ${strategy}. Use one of: ${Object.keys(SPLITTERS).join(", ")}`
+    );
+  }
+  if (!(chunkSize > 0)) throw new Error("Chunk size must be positive");
+  if (!(chunkOverlap >= 0 && chunkOverlap < chunkSize)) {
+    throw new Error("Chunk overlap must be at least 0 and below the size");
+  }
+}
+
+/**
+ * Chunk an extracted page: its Markdown when there is some, so headings
+ * survive, otherwise its text
+ *
+ * `bodyOffset` skips a header generated above the page's own Markdown,
+ * which would otherwise change the first chunks on every run. Returns the
+ * chunks and which text their offsets refer to (`markdown` or `text`).
+ */
+export function chunkPage(page, options = {}) {
+  const { url, markdown, bodyOffset = 0, textContent, headings } = page;
+  const source = markdown ? "markdown" : "text";
+  const chunks = chunkDocument(markdown || textContent, {
+    ...options,
+    url,
+    headings: markdown ? null : headings,
+    start: markdown ? bodyOffset : 0,
+  });
+  return { source, chunks };
+}
+
+export { countTokens };
+
+// Code keeps its indentation, so only blank lines are trimmed at its start
+function trimRange(text, range) {
+  let { start, end } = range;
+  if (range.type === "code") {
+    start += text.slice(start, end).match(/^\s*\n/)?.[0].length || 0;
+  } else {
+    while (start < end && /\s/.test(text[start])) start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { ...range, start, end };
+}
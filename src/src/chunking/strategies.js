@@ -0,0 +1,196 @@
+/**
+ * Chunking strategies
+ *
+ * A strategy turns a document into ranges of character offsets; the
+ * chunker then trims them and builds the chunks. Sizes are measured in
+ * characters, except by the tokens strategy, which measures in tokens.
+ */
+
+import { countTokens } from "./tokens.js";
+import { createSplitters, HEADING_SPLITTERS } from "./structure.js";
+
+/**
+ * Split the whole document at the coarsest boundary that makes the pieces
+ * fit: headings level by level, then paragraphs, lines, sentences and
+ * words. Sections that fit stay whole with their subsections; smaller
+ * pieces are merged back up to the chunk size, but never across headings.
+ */
+export function splitRecursive(context) {
+  return splitRange(context, 0, context.text.length);
+}
+
+/**
+ * One chunk per heading section, whatever its level; sections larger than
+ * the chunk size are split by paragraphs, lines and sentences
+ */
+export function splitMarkdownSections(context) {
+  const { text, structure } = context;
+  const bounds = [
+    0,
+    ...structure.headings.map((h) => h.start).filter((start) => start > 0),
+    text.length,
+  ];
+  return bounds
+    .slice(1)
+    .flatMap((end, i) =>
+      splitRange(context, bounds[i], end, { depth: HEADING_SPLITTERS })
+    );
+}
+
+/**
+ * Fixed windows of `size` tokens sharing `overlap` tokens, cut between
+ * words
+ */
+export function splitTokenWindows(context) {
+  const { text, size, overlap } = context;
+  const words = Array.from(text.matchAll(/\s*\S+/g), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    tokens: countTokens(match[0]),
+  }));
+
+  const ranges = [];
+  let first = 0;
+  while (first < words.length) {
+    let last = first;
+    let tokens = 0;
+    while (
+      last < words.length &&
+      (last === first || tokens + words[last].tokens <= size)
+    ) {
+      tokens += words[last++].tokens;
+    }
+    ranges.push({ start: words[first].start, end: words[last - 1].end });
+    if (last === words.length) break;
+
+    // Step back over the shared tokens, but always move forward
+    let next = last;
+    let shared = 0;
+    while (next - 1 > first && shared + words[next - 1].tokens <= overlap) {
+      shared += words[--next].tokens;
+    }
+    first = next;
+  }
+  return ranges;
+}
+
+/**
+ * Code blocks as chunks of their own, holding the code without its fences
+ * and split between lines when too large; the text around them is split
+ * like the recursive strategy does
+ */
+export function splitCode(context) {
+  const { text, structure } = context;
+  const ranges = [];
+  let position = 0;
+
+  const addText = (end) => {
+    if (end <= position) return;
+    splitRange(context, position, end).forEach((range) =>
+      ranges.push({ ...range, type: "text" })
+    );
+  };
+
+  for (const block of structure.codeBlocks) {
+    addText(block.start);
+    splitRange(context, block.codeStart, block.codeEnd, {
+      splitters: context.codeSplitters,
+      mergeFrom: 0,
+    }).forEach((range) =>
+      ranges.push({ ...range, type: "code", language: block.language })
+    );
+    position = block.end;
+  }
+  addText(text.length);
+
+  return ranges;
+}
+
+/**
+ * Shared state of a strategy run
+ */
+export function createContext(text, structure, { size, overlap }) {
+  const lineEnds = (pattern) => (start, end) =>
+    Array.from(
+      text.slice(start, end).matchAll(pattern),
+      (match) => start + match.index + match[0].length
+    ).filter((point) => point > start && point < end);
+
+  return {
+    text,
+    structure,
+    size,
+    overlap,
+    splitters: createSplitters(text, structure),
+    // Blank lines first, so functions and classes tend to stay whole
+    codeSplitters: [lineEnds(/\n[ \t]*\n/g), lineEnds(/\n/g)],
+  };
+}
+
+/**
+ * Extend every range that continues the previous one's section backwards
+ * by up to `overlap` characters, starting on a word
+ */
+export function addOverlap(context, ranges) {
+  const { text, structure, overlap } = context;
+  if (!overlap) return ranges;
+
+  return ranges.map((range, i) => {
+    const previous = ranges[i - 1];
+    if (
+      !previous ||
+      previous.end !== range.start ||
+      previous.type !== range.type
+    ) {
+      return range;
+    }
+
+    const sectionStart = structure.headings.reduce(
+      (start, h) => (h.start <= range.start ? h.start : start),
+      0
+    );
+    let start = Math.max(range.start - overlap, sectionStart, previous.start);
+    while (start < range.start && !/\s/.test(text[start - 1] ?? " ")) start++;
+    return { ...range, start };
+  });
+}
+
+function splitRange(context, start, end, options = {}) {
+  const {
+    splitters = context.splitters,
+    mergeFrom = HEADING_SPLITTERS,
+    depth = 0,
+  } = options;
+
+  if (end - start <= context.size) return [{ start, end }];
+  if (depth >= splitters.length) return cutRange(context, start, end);
+
+  const points = splitters[depth](start, end);
+  const next = { splitters, mergeFrom, depth: depth + 1 };
+  if (points.length === 0) return splitRange(context, start, end, next);
+
+  const bounds = [start, ...points, end];
+  const pieces = bounds
+    .slice(1)
+    .flatMap((pieceEnd, i) => splitRange(context, bounds[i], pieceEnd, next));
+  // Sections stay apart, so every chunk sits under one heading path
+  return depth < mergeFrom ? pieces : mergePieces(context, pieces);
+}
+
+function mergePieces({ size }, pieces) {
+  const merged = [];
+  for (const piece of pieces) {
+    const last = merged[merged.length - 1];
+    if (last && piece.end - last.start <= size) last.end = piece.end;
+    else merged.push({ ...piece });
+  }
+  return merged;
+}
+
+function cutRange({ size }, start, end) {
+  const ranges = [];
+  for (let position = start; position < end; position += size) {
+    ranges.push({ start: position, end: Math.min(position + size, end) });
+  }
+  return ranges;
+}
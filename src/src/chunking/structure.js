@@ -0,0 +1,198 @@
+/**
+ * Document structure for chunking
+ *
+ * Headings and fenced code blocks with their character offsets, and the
+ * places a document can be split at, from the coarsest (top-level
+ * headings) to the finest (words).
+ */
+
+import { getMarkdownHeadings } from "../formatters/index.js";
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)/;
+
+/**
+ * Number of leading splitters that split at headings
+ */
+export const HEADING_SPLITTERS = 6;
+
+// How many headings of a page may be missing from its text before the
+// next one is looked for
+const HEADING_LOOKAHEAD = 5;
+
+/**
+ * Headings and code blocks of `text`
+ *
+ * Markdown headings are found in the text itself. Plain text has none, so
+ * the page's `headings` (`{ level, text }`, in document order) are looked
+ * up as lines of the text instead.
+ */
+export function parseStructure(text, headings = null) {
+  const codeBlocks = findCodeBlocks(text);
+
+  return {
+    headings: (headings?.length
+      ? locateHeadings(text, headings)
+      : getMarkdownHeadings(text)
+    )
+      .map(({ level, text: headingText, offset }) => ({
+        level,
+        text: headingText,
+        start: offset,
+        end: lineEnd(text, offset),
+      }))
+      .filter((heading) => !isInsideCode(codeBlocks, heading.start)),
+    codeBlocks,
+  };
+}
+
+/**
+ * Fenced code blocks: the whole block with its fences (`start`, `end`) and
+ * the code inside (`codeStart`, `codeEnd`)
+ */
+export function findCodeBlocks(text) {
+  const blocks = [];
+  let open = null;
+  let offset = 0;
+
+  for (const line of text.split("\n")) {
+    const start = offset;
+    offset = Math.min(offset + line.length + 1, text.length);
+    const match = line.match(FENCE);
+    if (!match) continue;
+
+    const [, marker, language] = match;
+    if (!open) {
+      open = { marker, language: language || null, start, codeStart: offset };
+    } else if (
+      marker[0] === open.marker[0] &&
+      marker.length >= open.marker.length &&
+      !language
+    ) {
+      blocks.push({
+        start: open.start,
+        end: lineEnd(text, start),
+        codeStart: open.codeStart,
+        codeEnd: Math.max(open.codeStart, start - 1),
+        language: open.language,
+      });
+      open = null;
+    }
+  }
+
+  // An unclosed fence runs to the end of the document
+  if (open) {
+    blocks.push({
+      start: open.start,
+      end: text.length,
+      codeStart: open.codeStart,
+      codeEnd: text.length,
+      language: open.language,
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Texts of the headings enclosing `offset`, outermost first
+ */
+export function getHeadingPath(headings, offset) {
+  const path = [];
+  for (const heading of headings) {
+    if (heading.start > offset) break;
+    while (path.length && path[path.length - 1].level >= heading.level) {
+      path.pop();
+    }
+    path.push(heading);
+  }
+  return path.map((heading) => heading.text);
+}
+
+/**
+ * Split point finders, coarsest first: headings of each level, paragraphs
+ * (code blocks count as one), lines, sentences and words
+ *
+ * Each takes a range and returns the offsets inside it where a new piece
+ * may start.
+ */
+export function createSplitters(text, structure) {
+  const { headings, codeBlocks } = structure;
+  const matchEnds = (pattern, start, end, skipCode = true) => {
+    const points = [];
+    const slice = text.slice(start, end);
+    for (const match of slice.matchAll(pattern)) {
+      const point = start + match.index + match[0].length;
+      if (
+        point > start &&
+        point < end &&
+        !(skipCode && isInsideCode(codeBlocks, point))
+      ) {
+        points.push(point);
+      }
+    }
+    return points;
+  };
+
+  const headingLevel = (level) => (start, end) =>
+    headings
+      .filter((h) => h.level === level && h.start > start && h.start < end)
+      .map((h) => h.start);
+
+  const paragraphs = (start, end) => {
+    const points = new Set(matchEnds(/\n[ \t]*\n\s*/g, start, end));
+    codeBlocks.forEach((block) => {
+      if (block.start > start && block.start < end) points.add(block.start);
+      if (block.end > start && block.end < end) points.add(block.end);
+    });
+    return [...points].sort((a, b) => a - b);
+  };
+
+  return [
+    ...Array.from({ length: HEADING_SPLITTERS }, (_, i) => headingLevel(i + 1)),
+    paragraphs,
+    (start, end) => matchEnds(/\n/g, start, end, false),
+    (start, end) => matchEnds(/[.!?。！？]["'”’)\]]*\s+/g, start, end),
+    (start, end) => matchEnds(/\s+/g, start, end, false),
+  ];
+}
+
+function locateHeadings(text, headings) {
+  const located = [];
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ text: normalize(line), offset });
+    offset += line.length + 1;
+  }
+
+  let lineIndex = 0;
+  let pending = headings.map((h) => ({ ...h, key: normalize(h.text) }));
+  while (pending.length && lineIndex < lines.length) {
+    const line = lines[lineIndex++];
+    const found = pending
+      .slice(0, HEADING_LOOKAHEAD)
+      .findIndex((h) => h.key && h.key === line.text);
+    if (found === -1) continue;
+
+    const heading = pending[found];
+    located.push({
+      level: heading.level,
+      text: heading.text,
+      offset: line.offset,
+    });
+    pending = pending.slice(found + 1);
+  }
+  return located;
+}
+
+function isInsideCode(codeBlocks, offset) {
+  return codeBlocks.some((block) => offset > block.start && offset < block.end);
+}
+
+function lineEnd(text, offset) {
+  const end = text.indexOf("\n", offset);
+  return end === -1 ? text.length : end;
+}
+
+function normalize(text) {
+  return String(text).replace(/\s+/g, " ").trim().toLowerCase();
+}
@@ -0,0 +1,15 @@
+/**
+ * Token counting with the GPT tokenizer
+ *
+ * Counts are exact for OpenAI's o200k_base encoding and close enough for
+ * other models' context budgets.
+ */
+
+import { countTokens as countEncodedTokens } from "gpt-tokenizer";
+
+/**
+ * Number of tokens in `text`
+ */
+export function countTokens(text) {
+  return text ? countEncodedTokens(text) : 0;
+}
@@ -0,0 +1,234 @@
+/**
+ * Command-line arguments
+ */
+
+import { parseArgs } from "node:util";
+
+export const COMMANDS = [
+  "extract",
+  "crawl",
+  "instruct",
+  "code",
+  "mcp",
+  "providers",
+];
+
+export const USAGE = `Usage: ai-extract <command> [options]
+
+Commands:
+  extract <url...>              Extract one or more pages
+  crawl <url...>                Crawl a site from one or more start URLs
+  instruct <url> "<instruction>"
+                                Extract what the instruction asks for
+  code <repo-url>               Extract code from a repository, gist or
+                                StackOverflow question
+  mcp                           Serve MCP requests over stdin/stdout
+  providers list                List AI providers and their status
+  providers test [provider...]  Send a test prompt to AI providers
+
+Output:
+  -f, --format <format>         markdown, text, html or structured
+                                (default: markdown)
+  -o, --output <path>           Write to a file instead of stdout; a
+                                directory gets one file per record
+      --jsonl                   Write records as JSON lines
+      --mirror <dir>            Also write one Markdown or HTML file per
+                                page into a tree mirroring the URLs, with
+                                local links and an index page
+      --download-images         Save images next to the mirrored pages
+      --llms-txt <dir>          Also build llms.txt and llms-full.txt
+                                from the pages into <dir>
+  -q, --quiet                   Only print errors
+      --verbose                 Include crawler logs
+
+Extraction:
+  -d, --depth <n>               Link depth to follow when crawling
+                                (default: 2)
+      --max-pages <n>           Maximum pages to crawl (default: 100)
+      --include <pattern>       Only crawl matching URLs (repeatable)
+      --exclude <pattern>       Skip matching URLs (repeatable)
+      --discovery <mode>        links, sitemap or both (default: links)
+      --engine <engine>         auto, http or browser (default: auto)
+      --near-duplicates <policy>
+                                skip or group pages with nearly the same
+                                text as another; groups are kept under
+                                their canonical page
+      --duplicate-threshold <n> Text similarity from 0 to 1 from which
+                                pages are near-duplicates (default: 0.9)
+      --chunk                   Split content into chunks
+      --chunk-strategy <name>   recursive, markdown, tokens or code
+                                (default: recursive; implies --chunk)
+      --chunk-size <n>          Chunk size in characters, or in tokens
+                                for the tokens strategy (default: 1000)
+      --chunk-overlap <n>       Size shared by chunks (default: 100)
+      --ignore-robots           Do not honor robots.txt
+      --max-files <n>           Maximum files for code (default: 50)
+      --extensions <list>       Comma-separated file extensions for code
+      --include-tests           Keep test files for code
+      --schema <schema>         For instruct: JSON Schema or field spec
+                                (inline, or a file) the data must
+                                validate against, e.g.
+                                "name, price:number, tags:string[]?";
+                                the instruction becomes optional
+
+AI:
+      --ai-provider <id>        groq, gemini, huggingface, together,
+                                cohere or ollama
+      --ai-key <key>            API key (default: the provider's env var)
+      --ai-model <model>        Model (default: the provider's default)
+      --ai-task <task>          analyze, explain or summarize the results;
+                                for code also document or improve
+
+Embeddings:
+      --embed <provider>        Embed the chunks into a vector index with
+                                ollama, openai, together, gemini, cohere
+                                or huggingface (implies --chunk)
+      --embed-model <model>     Embedding model (default: the provider's)
+      --embed-url <url>         Endpoint base URL, e.g. a local
+                                OpenAI-compatible server
+      --embed-key <key>         API key (default: the provider's env var)
+      --vector-index <name>     Vector index to update (default: default)
+      --vectors <file>          Export the index as JSON lines to <file>
+
+  -h, --help                    Show this help
+`;
+
+const OPTIONS = {
+  format: { type: "string", short: "f", default: "markdown" },
+  output: { type: "string", short: "o" },
+  jsonl: { type: "boolean", default: false },
+  mirror: { type: "string" },
+  "download-images": { type: "boolean", default: false },
+  "llms-txt": { type: "string" },
+  quiet: { type: "boolean", short: "q", default: false },
+  verbose: { type: "boolean", default: false },
+  depth: { type: "string", short: "d" },
+  "max-pages": { type: "string" },
+  include: { type: "string", multiple: true, default: [] },
+  exclude: { type: "string", multiple: true, default: [] },
+  discovery: { type: "string", default: "links" },
+  engine: { type: "string" },
+  "near-duplicates": { type: "string" },
+  "duplicate-threshold": { type: "string" },
+  chunk: { type: "boolean", default: false },
+  "chunk-strategy": { type: "string" },
+  "chunk-size": { type: "string" },
+  "chunk-overlap": { type: "string" },
+  "ignore-robots": { type: "boolean", default: false },
+  "max-files": { type: "string" },
+  extensions: { type: "string" },
+  "include-tests": { type: "boolean", default: false },
+  schema: { type: "string" },
+  "ai-provider": { type: "string" },
+  "ai-key": { type: "string" },
+  "ai-model": { type: "string" },
+  "ai-task": { type: "string" },
+  embed: { type: "string" },
+  "embed-model": { type: "string" },
+  "embed-url": { type: "string" },
+  "embed-key": { type: "string" },
+  "vector-index": { type: "string" },
+  vectors: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const FORMATS = ["markdown", "text", "html", "structured"];
+
+/**
+ * Parse argv into `{ command, args, options }`
+ *
+ * Throws on unknown options and invalid values, with a message meant for
+ * the user.
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command = null, ...args] = positionals;
+
+  if (command && !COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(
+      `Unknown format: ${values.format}. Use one of: ${FORMATS.join(", ")}`
+    );
+  }
+
+  if (values.vectors && !values.embed) {
+    throw new Error("--vectors needs --embed <provider>");
+  }
+  if (values["duplicate-threshold"] && !values["near-duplicates"]) {
+    throw new Error("--duplicate-threshold needs --near-duplicates <policy>");
+  }
+
+  return {
+    command,
+    args,
+    options: {
+      format: values.format,
+      output: values.output || null,
+      jsonl: values.jsonl,
+      mirror: values.mirror || null,
+      downloadImages: values["download-images"],
+      llmsTxt: values["llms-txt"] || null,
+      quiet: values.quiet,
+      verbose: values.verbose,
+      maxDepth: toNumber(values.depth, "--depth"),
+      maxPages: toNumber(values["max-pages"], "--max-pages"),
+      include: values.include,
+      exclude: values.exclude,
+      discovery: values.discovery,
+      engine: values.engine,
+      duplicatePolicy: values["near-duplicates"],
+      duplicateThreshold: toFraction(
+        values["duplicate-threshold"],
+        "--duplicate-threshold"
+      ),
+      chunkContent:
+        values.chunk || Boolean(values["chunk-strategy"] || values.embed),
+      chunkStrategy: values["chunk-strategy"],
+      chunkSize: toNumber(values["chunk-size"], "--chunk-size"),
+      chunkOverlap: toNumber(values["chunk-overlap"], "--chunk-overlap"),
+      respectRobotsTxt: !values["ignore-robots"],
+      maxFiles: toNumber(values["max-files"], "--max-files"),
+      extensions: values.extensions
+        ?.split(",")
+        .map((ext) => ext.trim())
+        .filter(Boolean),
+      includeTests: values["include-tests"],
+      schema: values.schema || null,
+      aiProvider: values["ai-provider"],
+      aiApiKey: values["ai-key"],
+      aiModel: values["ai-model"],
+      aiTask: values["ai-task"],
+      embedProvider: values.embed,
+      embedModel: values["embed-model"],
+      embedUrl: values["embed-url"],
+      embedKey: values["embed-key"],
+      vectorIndex: values["vector-index"],
+      vectorsFile: values.vectors || null,
+      help: values.help,
+    },
+  };
+}
+
+function toFraction(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0 && number <= 1)) {
+    throw new Error(`${flag} expects a number from 0 to 1, got "${value}"`);
+  }
+  return number;
+}
+
+function toNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} expects a whole number, got "${value}"`);
+  }
+  return number;
+}
@@ -0,0 +1,264 @@
+/**
+ * ai-extract command-line interface
+ *
+ * Each command maps to a function of the programmatic API. Records go to
+ * stdout (or `--output`) and logs to stderr, so output can be piped.
+ */
+
+import { Console } from "node:console";
+import fs from "node:fs";
+import { log, LoggerText } from "crawlee";
+import {
+  extractMany,
+  crawl,
+  extractWithInstruction,
+  extractWithSchema,
+  extractCode,
+  handleMCPRequest,
+} from "../index.js";
+import { getAvailableProviders, testProvider } from "../ai/index.js";
+import { serveStdio } from "../mcp/stdio.js";
+import { parseCliArgs, USAGE } from "./args.js";
+import { createRecordWriter } from "./output.js";
+
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Run the CLI; resolves to the process exit code
+ *
+ * 0 on success, 1 when a page or provider failed, 2 on invalid usage.
+ */
+export async function runCli(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const logger = createCliLogger(options);
+
+  try {
+    switch (command) {
+      case "mcp":
+        await serveStdio((request) => handleMCPRequest(request, { logger }));
+        return 0;
+      case "providers":
+        return await runProviders(args, options, logger);
+      default:
+        return await runExtraction(command, args, options, logger);
+    }
+  } catch (error) {
+    logger.error(`❌ Error: ${error.message}`);
+    if (options.verbose) logger.error(error.stack);
+    return 1;
+  }
+}
+
+async function runExtraction(command, args, options, logger) {
+  const runtime = { logger, ai: getAIOptions(options) };
+  const pageOptions = {
+    ...runtime,
+    format: options.format,
+    chunkContent: options.chunkContent,
+    chunkStrategy: options.chunkStrategy,
+    chunkSize: options.chunkSize,
+    chunkOverlap: options.chunkOverlap,
+    respectRobotsTxt: options.respectRobotsTxt,
+    engine: options.engine,
+    duplicatePolicy: options.duplicatePolicy,
+    duplicateThreshold: options.duplicateThreshold,
+    ...(options.mirror && {
+      mirror: {
+        directory: options.mirror,
+        downloadImages: options.downloadImages,
+      },
+    }),
+    ...(options.llmsTxt && { llmsTxt: { directory: options.llmsTxt } }),
+    ...(options.embedProvider && {
+      embeddings: {
+        provider: options.embedProvider,
+        model: options.embedModel,
+        baseUrl: options.embedUrl,
+        apiKey: options.embedKey,
+        index: options.vectorIndex,
+        exportPath: options.vectorsFile,
+      },
+    }),
+  };
+
+  let records;
+  switch (command) {
+    case "extract":
+      requireArgs(args, 1, "extract <url...>");
+      records = await extractMany(args, pageOptions);
+      break;
+    case "crawl":
+      requireArgs(args, 1, "crawl <url...>");
+      records = await crawl(args, {
+        ...pageOptions,
+        ...(options.maxDepth !== undefined && { maxDepth: options.maxDepth }),
+        ...(options.maxPages !== undefined && { maxPages: options.maxPages }),
+        include: options.include,
+        exclude: options.exclude,
+        discovery: options.discovery,
+      });
+      break;
+    case "instruct": {
+      // With a schema the instruction is optional
+      const hasInstruction =
+        !options.schema || !/^https?:\/\//i.test(args[args.length - 1]);
+      requireArgs(
+        args,
+        hasInstruction ? 2 : 1,
+        'instruct <url> "<instruction>"'
+      );
+      const urls = hasInstruction ? args.slice(0, -1) : args;
+      const instructOptions = {
+        ...runtime,
+        respectRobotsTxt: options.respectRobotsTxt,
+      };
+      records = options.schema
+        ? await extractWithSchema(urls, loadSchema(options.schema), {
+            ...instructOptions,
+            ...(hasInstruction && { instruction: args[args.length - 1] }),
+          })
+        : await extractWithInstruction(
+            urls,
+            args[args.length - 1],
+            instructOptions
+          );
+      break;
+    }
+    case "code": {
+      requireArgs(args, 1, "code <repo-url>");
+      records = [];
+      for (const url of args) {
+        const codeData = await extractCode(url, {
+          ...runtime,
+          maxFiles: options.maxFiles,
+          extensions: options.extensions,
+          includeTests: options.includeTests,
+        });
+        records.push(
+          codeData || { url, status: "failed", error: "no code found" }
+        );
+      }
+      break;
+    }
+  }
+
+  const writer = createRecordWriter({ ...options, logger });
+  records.forEach((record) => writer.write(record));
+  await writer.close();
+
+  return records.some((record) => record.status === "failed") ? 1 : 0;
+}
+
+async function runProviders(args, options, logger) {
+  const [action = "list", ...names] = args;
+  const writer = createRecordWriter({ ...options, logger, separator: "" });
+
+  if (action === "list") {
+    const providers = getAvailableProviders();
+    if (options.jsonl) {
+      providers.forEach((provider) => writer.write(provider));
+    } else {
+      providers.forEach((p) => {
+        const status = p.available ? "✅" : "❌";
+        writer.write({
+          content: `${status} ${p.name} (${p.id}) - ${p.rateLimit}${p.free ? ", free" : ""}`,
+        });
+      });
+    }
+    await writer.close();
+    return 0;
+  }
+
+  if (action !== "test") {
+    throw new Error(`Unknown providers action: ${action}. Use list or test`);
+  }
+
+  const ids = names.length
+    ? names
+    : getAvailableProviders()
+        .filter((provider) => provider.available)
+        .map((provider) => provider.id);
+
+  let failed = false;
+  for (const id of ids) {
+    logger.log(`🧪 Testing ${id}...`);
+    const result = await testProvider(id, {
+      apiKey: options.aiApiKey,
+      model: options.aiModel,
+      logger,
+    });
+    failed = failed || !result.success;
+    writer.write(
+      options.jsonl
+        ? result
+        : {
+            content: result.success
+              ? `✅ ${id}: ${result.response}`
+              : `❌ ${id}: ${result.error}`,
+          }
+    );
+  }
+  await writer.close();
+
+  return failed ? 1 : 0;
+}
+
+// AI is used once a provider or a task is named
+function getAIOptions(options) {
+  if (!options.aiProvider && !options.aiTask) return {};
+  return {
+    provider: options.aiProvider || process.env.AI_PROVIDER || "groq",
+    apiKey: options.aiApiKey || process.env.AI_API_KEY,
+    model: options.aiModel,
+    task: options.aiTask,
+  };
+}
+
+// --schema takes inline JSON, a JSON file or a field spec string
+function loadSchema(value) {
+  let text = value;
+  if (!value.trim().startsWith("{") && fs.existsSync(value)) {
+    text = fs.readFileSync(value, "utf8");
+  }
+  if (!text.trim().startsWith("{")) return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`--schema is not valid JSON: ${error.message}`);
+  }
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) throw new Error(`Usage: ai-extract ${usage}`);
+}
+
+// Logs go to stderr, so only records reach stdout; every module logs
+// through the `logger` passed down to it
+function createCliLogger({ quiet, verbose }) {
+  log.setOptions({ logger: new StderrLoggerText() });
+  log.setLevel(verbose ? log.LEVELS.INFO : log.LEVELS.ERROR);
+
+  return quiet
+    ? { ...SILENT_LOGGER, error: console.error }
+    : new Console({ stdout: process.stderr, stderr: process.stderr });
+}
+
+// crawlee writes its info lines with console.log
+class StderrLoggerText extends LoggerText {
+  _outputWithConsole(level, line) {
+    process.stderr.write(`${line}\n`);
+  }
+}
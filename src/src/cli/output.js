@@ -0,0 +1,112 @@
+/**
+ * Record output for the CLI
+ *
+ * Records go to stdout, to one file, or to one file per record when the
+ * output path is a directory (an existing one, or a path ending in a
+ * slash). JSON lines keep every record, failures included, for piping;
+ * otherwise each record is rendered as its content and failures are left
+ * to the logs.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+const EXTENSIONS = {
+  markdown: ".md",
+  text: ".txt",
+  html: ".html",
+  structured: ".json",
+};
+
+/**
+ * Create a writer with `write(record)` and `close()`
+ *
+ * `separator` goes between rendered records on a stream (default: a blank
+ * line).
+ */
+export function createRecordWriter(options = {}) {
+  const {
+    output = null,
+    jsonl = false,
+    format = "markdown",
+    separator = "\n",
+    logger,
+  } = options;
+
+  const toDirectory =
+    output &&
+    (/[\\/]$/.test(output) ||
+      (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+  const stream = output && !toDirectory ? fs.createWriteStream(output) : null;
+  const usedNames = new Set();
+  let written = 0;
+
+  if (toDirectory) fs.mkdirSync(output, { recursive: true });
+
+  const render = (record) =>
+    typeof record.content === "string"
+      ? record.content
+      : JSON.stringify(record, null, 2);
+
+  const writeToDirectory = (record) => {
+    const extension = jsonl ? ".json" : getExtension(record, format);
+    const name = getUniqueName(record.url, usedNames);
+    const file = path.join(output, `${name}${extension}`);
+    fs.writeFileSync(
+      file,
+      jsonl ? `${JSON.stringify(record, null, 2)}\n` : `${render(record)}\n`
+    );
+    logger.log(`💾 ${record.url || "record"} → ${file}`);
+  };
+
+  return {
+    write(record) {
+      // The runners already logged why a page failed or was skipped
+      const failed = record.status && record.status !== "success";
+      if (failed && !jsonl) return;
+
+      if (toDirectory) {
+        writeToDirectory(record);
+      } else {
+        const text = jsonl
+          ? `${JSON.stringify(record)}\n`
+          : `${written > 0 ? separator : ""}${render(record)}\n`;
+        (stream || process.stdout).write(text);
+      }
+      written++;
+    },
+
+    async close() {
+      if (!stream) return;
+      await new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.end(resolve);
+      });
+    },
+  };
+}
+
+function getExtension(record, format) {
+  return typeof record.content === "string"
+    ? EXTENSIONS[format] || ".txt"
+    : ".json";
+}
+
+// File name from the URL's host and path, e.g. example.com-docs-intro
+function getUniqueName(url, usedNames) {
+  let base = "record";
+  try {
+    const { hostname, pathname } = new URL(url);
+    base = `${hostname}${pathname}`
+      .replace(/[^a-z0-9.]+/gi, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 100);
+  } catch (e) {
+    // Records without a URL keep the generic name
+  }
+
+  let name = base;
+  for (let i = 2; usedNames.has(name); i++) name = `${base}-${i}`;
+  usedNames.add(name);
+  return name;
+}
@@ -59,6 +59,7 @@ export const MODES = {
   EXTRACTOR: "extractor",
   MCP_SERVER: "mcp-server",
   CODE_EXTRACTOR: "code-extractor",
+  MONITOR: "monitor",
 };
 
 export const MCP_PROTOCOL_VERSION = "2024-11-05";
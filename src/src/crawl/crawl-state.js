@@ -0,0 +1,130 @@
+/**
+ * Resumable crawl state
+ *
+ * A named crawl keeps its request frontier in a named request queue and the
+ * URLs already pushed to the dataset in a named key-value store, so a rerun
+ * with the same crawl ID continues where the previous run stopped, including
+ * a run that maxPages cut short: the links it did not reach stay queued.
+ * Once a pass has drained its frontier, the next run starts a new pass.
+ */
+
+import {
+  openKeyValueStore as openDefaultKeyValueStore,
+  openRequestQueue as openDefaultRequestQueue,
+} from "../utils/storage.js";
+
+const STATE_KEY = "CRAWL_STATE";
+
+/**
+ * Open (or resume) the persisted state of a named crawl
+ */
+export async function openCrawlState(crawlId, options = {}) {
+  const {
+    reset = false,
+    openKeyValueStore = openDefaultKeyValueStore,
+    openRequestQueue = openDefaultRequestQueue,
+  } = options;
+  const storageName = getStorageName(crawlId);
+  const browserQueueName = getBrowserQueueName(storageName);
+
+  const store = await openKeyValueStore(storageName);
+  const saved = reset ? {} : (await store.getValue(STATE_KEY)) || {};
+
+  // A finished crawl starts a fresh pass; an interrupted one resumes
+  const startNewPass = reset || Boolean(saved.completedAt);
+  if (startNewPass) {
+    const oldQueue = await openRequestQueue(storageName);
+    await oldQueue.drop();
+    const oldBrowserQueue = await openRequestQueue(browserQueueName);
+    await oldBrowserQueue.drop();
+  }
+
+  const requestQueue = await openRequestQueue(storageName);
+  const browserQueue = await openRequestQueue(browserQueueName);
+
+  const pushedUrls = new Set(startNewPass ? [] : saved.pushedUrls || []);
+  const state = {
+    crawlId,
+    createdAt: saved.createdAt || new Date().toISOString(),
+    runCount: (saved.runCount || 0) + 1,
+  };
+
+  const persist = async () => {
+    await store.setValue(STATE_KEY, {
+      ...state,
+      updatedAt: new Date().toISOString(),
+      pushedUrls: [...pushedUrls],
+    });
+  };
+
+  await persist();
+
+  return {
+    crawlId,
+    store,
+    requestQueue,
+    browserQueue,
+    isResumed: Boolean(saved.createdAt) && !startNewPass,
+    pushedCount: () => pushedUrls.size,
+
+    hasPushed(url) {
+      return pushedUrls.has(toStateKey(url));
+    },
+
+    async markPushed(url) {
+      pushedUrls.add(toStateKey(url));
+      await persist();
+    },
+
+    /**
+     * Mark the pass complete once both frontiers are drained
+     */
+    async finish() {
+      const drained =
+        (await requestQueue.isFinished()) && (await browserQueue.isFinished());
+      if (drained) {
+        state.completedAt = new Date().toISOString();
+        await persist();
+      }
+      return drained;
+    },
+
+    persist,
+  };
+}
+
+/**
+ * Named storages only allow letters, digits and hyphens
+ */
+function getStorageName(crawlId) {
+  const safeId = String(crawlId)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (!safeId) {
+    throw new Error(`Invalid crawl ID: ${crawlId}`);
+  }
+
+  return `crawl-${safeId}`.substring(0, 63);
+}
+
+/**
+ * Pages that needed JavaScript wait for the browser in their own queue
+ */
+function getBrowserQueueName(storageName) {
+  return `${storageName.substring(0, 55)}-browser`;
+}
+
+/**
+ * Key used to recognise the same page across runs
+ */
+function toStateKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
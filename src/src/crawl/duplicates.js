@@ -0,0 +1,291 @@
+/**
+ * Near-duplicate page detection
+ *
+ * Each page's cleaned text gets a 64-bit simhash of its word shingles: pages
+ * sharing most of their text get fingerprints that differ in few bits, so
+ * print views, tracking-parameter variants and copies with another header
+ * or footer are caught where an exact content hash would not be.
+ */
+
+import { createHash } from "node:crypto";
+
+export const DUPLICATE_POLICIES = {
+  SKIP: "skip",
+  GROUP: "group",
+};
+
+// Share of identical fingerprint bits, i.e. at most 6 of 64 bits differ
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.9;
+
+const FINGERPRINT_BITS = 64;
+const SHINGLE_WORDS = 3;
+
+// Keys of the held-back records in a named crawl's key-value store
+const HELD_KEYS_KEY = "DUPLICATE_HELD_KEYS";
+
+/**
+ * Collect extracted pages and sort out their near-duplicates once the
+ * crawl is over
+ *
+ * A page joins the group of the first page it is at least `threshold`
+ * similar to. A group's canonical page is the one its pages name most as
+ * their `canonicalUrl`, or else the first crawled. With the "skip" policy
+ * only canonical pages are kept; with "group" every page is, duplicates
+ * with `duplicateOf` and canonical pages with their `duplicates`.
+ */
+export function createDuplicateFilter(options = {}) {
+  const {
+    policy = DUPLICATE_POLICIES.SKIP,
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+  } = options;
+  validateDuplicateOptions({ policy, threshold });
+
+  const pages = [];
+
+  return {
+    policy,
+    threshold,
+
+    /**
+     * Fingerprint a page's record; its metadata gets the fingerprint and
+     * the canonical URL the page declares
+     */
+    add(record, { text, fingerprint = simhash(text), canonicalUrl = null }) {
+      record.metadata = {
+        ...record.metadata,
+        simhash: fingerprint,
+        ...(canonicalUrl && { canonicalUrl }),
+      };
+      pages.push({ record, fingerprint, canonicalUrl });
+    },
+
+    /**
+     * Records to keep, in crawl order, and the skipped ones with the stub
+     * record that stands in for each
+     */
+    resolve() {
+      const groups = [];
+      for (const page of pages) {
+        const group = groups.find(
+          ([first]) =>
+            getSimilarity(first.fingerprint, page.fingerprint) >= threshold
+        );
+        if (group) group.push(page);
+        else groups.push([page]);
+      }
+
+      const skipped = [];
+      let duplicateCount = 0;
+      for (const group of groups.filter((members) => members.length > 1)) {
+        const canonical = chooseCanonical(group);
+        const duplicates = group
+          .filter((page) => page !== canonical)
+          .map((page) => ({
+            page,
+            duplicateOf: {
+              url: canonical.record.url,
+              similarity: getSimilarity(
+                canonical.fingerprint,
+                page.fingerprint
+              ),
+            },
+          }));
+        duplicateCount += duplicates.length;
+
+        if (policy === DUPLICATE_POLICIES.GROUP) {
+          canonical.record.duplicates = duplicates.map(
+            ({ page, duplicateOf }) => ({
+              url: page.record.url,
+              similarity: duplicateOf.similarity,
+            })
+          );
+          duplicates.forEach(({ page, duplicateOf }) => {
+            page.record.duplicateOf = duplicateOf;
+          });
+        } else {
+          duplicates.forEach(({ page, duplicateOf }) =>
+            skipped.push({
+              record: page.record,
+              stub: {
+                url: page.record.url,
+                timestamp: page.record.timestamp,
+                title: page.record.title,
+                status: "duplicate",
+                duplicateOf,
+              },
+            })
+          );
+        }
+      }
+
+      const skippedRecords = new Set(skipped.map(({ record }) => record));
+      return {
+        kept: pages
+          .map(({ record }) => record)
+          .filter((record) => !skippedRecords.has(record)),
+        skipped,
+        duplicateCount,
+        groupCount: groups.filter((members) => members.length > 1).length,
+      };
+    },
+  };
+}
+
+/**
+ * Open a duplicate filter that keeps the records it holds back in a named
+ * crawl's key-value store
+ *
+ * The crawl's request queue marks pages handled as soon as they are
+ * extracted, so a resumed crawl never extracts them again: the records an
+ * interrupted run held back are restored from the store instead. Call
+ * `clear()` once the resolved records are stored. Without `crawlState`,
+ * records are only held in memory.
+ */
+export async function openDuplicateFilter(options = {}) {
+  const { crawlState = null, ...filterOptions } = options;
+  const filter = createDuplicateFilter(filterOptions);
+  if (!crawlState) return { ...filter, async clear() {} };
+
+  const { store } = crawlState;
+  const heldKeys = new Set((await store.getValue(HELD_KEYS_KEY)) || []);
+
+  const clear = async () => {
+    for (const key of heldKeys) await store.setValue(key, null);
+    heldKeys.clear();
+    await store.setValue(HELD_KEYS_KEY, null);
+  };
+
+  // A new pass starts over; a resumed one picks up where it stopped
+  if (!crawlState.isResumed) await clear();
+  for (const key of heldKeys) {
+    const held = await store.getValue(key);
+    if (!held) continue;
+    filter.add(held.record, {
+      fingerprint: held.record.metadata.simhash,
+      canonicalUrl: held.canonicalUrl,
+    });
+  }
+
+  return {
+    ...filter,
+
+    async add(record, page) {
+      filter.add(record, page);
+      const key = `HELD-${createHash("md5").update(record.url).digest("hex")}`;
+      await store.setValue(key, {
+        record,
+        canonicalUrl: page.canonicalUrl || null,
+      });
+      if (!heldKeys.has(key)) {
+        heldKeys.add(key);
+        await store.setValue(HELD_KEYS_KEY, [...heldKeys]);
+      }
+    },
+
+    clear,
+  };
+}
+
+/**
+ * Throw when duplicate options are invalid, so runs can fail before
+ * crawling
+ */
+export function validateDuplicateOptions(options = {}) {
+  const {
+    policy = DUPLICATE_POLICIES.SKIP,
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+  } = options;
+
+  if (!Object.values(DUPLICATE_POLICIES).includes(policy)) {
+    throw new Error(
+      `Unknown duplicate policy: ${policy}. Use one of: ${Object.values(DUPLICATE_POLICIES).join(", ")}`
+    );
+  }
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error("Duplicate threshold must be above 0 and at most 1");
+  }
+}
+
+/**
+ * 64-bit simhash of a text's three-word shingles, as 16 hex digits
+ */
+export function simhash(text) {
+  const words =
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  const size = Math.min(SHINGLE_WORDS, words.length);
+
+  const weights = new Map();
+  for (let i = 0; size > 0 && i + size <= words.length; i++) {
+    const shingle = words.slice(i, i + size).join(" ");
+    weights.set(shingle, (weights.get(shingle) || 0) + 1);
+  }
+
+  // Each bit leans towards the bit most shingle hashes have there
+  const totals = new Array(FINGERPRINT_BITS).fill(0);
+  for (const [shingle, weight] of weights) {
+    const digest = createHash("md5").update(shingle).digest();
+    for (let half = 0; half < 2; half++) {
+      const word = digest.readUInt32BE(half * 4);
+      for (let bit = 0; bit < 32; bit++) {
+        totals[half * 32 + bit] += (word >>> bit) & 1 ? weight : -weight;
+      }
+    }
+  }
+
+  return [0, 1]
+    .map((half) => {
+      let word = 0;
+      for (let bit = 0; bit < 32; bit++) {
+        if (totals[half * 32 + bit] > 0) word |= 1 << bit;
+      }
+      return (word >>> 0).toString(16).padStart(8, "0");
+    })
+    .join("");
+}
+
+/**
+ * Share of identical bits of two simhash fingerprints, from 0 to 1
+ */
+export function getSimilarity(a, b) {
+  let distance = 0;
+  for (let half = 0; half < 2; half++) {
+    let bits =
+      parseInt(a.substring(half * 8, half * 8 + 8), 16) ^
+      parseInt(b.substring(half * 8, half * 8 + 8), 16);
+    for (; bits; bits &= bits - 1) distance++;
+  }
+  return 1 - distance / FINGERPRINT_BITS;
+}
+
+// The page the group names most as canonical, else the first crawled
+function chooseCanonical(group) {
+  const votes = new Map();
+  for (const { canonicalUrl } of group) {
+    if (!canonicalUrl) continue;
+    const url = toComparableUrl(canonicalUrl);
+    votes.set(url, (votes.get(url) || 0) + 1);
+  }
+
+  const named = [...votes.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([url]) => url);
+  for (const url of named) {
+    const page = group.find(
+      ({ record }) => toComparableUrl(record.url) === url
+    );
+    if (page) return page;
+  }
+  return group[0];
+}
+
+function toComparableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href.replace(/\/$/, "");
+  } catch {
+    return url;
+  }
+}
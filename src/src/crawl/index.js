@@ -0,0 +1,39 @@
+/**
+ * Crawl control barrel export
+ */
+
+export { openCrawlState } from "./crawl-state.js";
+export {
+  createRobotsPolicy,
+  getRobotsCrawlerOptions,
+  applyRobotsDirectives,
+  DEFAULT_ROBOTS_USER_AGENT,
+  FOLLOWABLE_LINKS_SELECTOR,
+} from "./robots.js";
+export {
+  discoverSitemapUrls,
+  usesSitemap,
+  usesLinks,
+  DISCOVERY_MODES,
+} from "./sitemap.js";
+export {
+  createHostScheduler,
+  DEFAULT_MAX_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENT_PER_HOST,
+} from "./scheduler.js";
+export { createUrlFilter, DEFAULT_EXCLUDED_EXTENSIONS } from "./url-rules.js";
+export {
+  openPageIndex,
+  hashContent,
+  createConditionalRequestHook,
+  CHANGE_TYPES,
+} from "./page-index.js";
+export {
+  createDuplicateFilter,
+  openDuplicateFilter,
+  validateDuplicateOptions,
+  simhash,
+  getSimilarity,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_THRESHOLD,
+} from "./duplicates.js";
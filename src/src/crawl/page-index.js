@@ -0,0 +1,217 @@
+/**
+ * Page index for incremental recrawls
+ *
+ * Remembers each page's HTTP validators (ETag, Last-Modified), a hash of its
+ * normalized text and its followable links, so the next run can send
+ * conditional requests, skip unchanged pages and report what was added,
+ * changed or removed since the previous run.
+ */
+
+import { createHash } from "node:crypto";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+const INDEX_KEY = "PAGE_INDEX";
+
+export const CHANGE_TYPES = {
+  NEW: "new",
+  CHANGED: "changed",
+  UNCHANGED: "unchanged",
+  REMOVED: "removed",
+};
+
+/**
+ * Open the page index of a crawl
+ *
+ * Named crawls keep the index in their own store; unnamed crawls are keyed
+ * by their start URLs.
+ */
+export async function openPageIndex(options = {}) {
+  const {
+    crawlState = null,
+    urls = [],
+    openKeyValueStore = openDefaultKeyValueStore,
+  } = options;
+
+  const store =
+    crawlState?.store ||
+    (await openKeyValueStore(`incremental-${hashUrls(urls)}`));
+  const saved = (await store.getValue(INDEX_KEY)) || {};
+
+  const previous = new Map(Object.entries(saved.pages || {}));
+  const current = new Map();
+  const counts = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+
+  return {
+    previousRunAt: saved.updatedAt || null,
+    counts,
+
+    get(url) {
+      return current.get(url) || previous.get(url) || null;
+    },
+
+    /**
+     * Request headers that let the server answer 304 Not Modified
+     *
+     * Browser-rendered pages are left out: their HTML shell can stay the
+     * same while the rendered content changes.
+     */
+    getConditionalHeaders(url) {
+      const entry = previous.get(url);
+      if (!entry || entry.engine === "browser") return {};
+
+      return {
+        ...(entry.etag && { "If-None-Match": entry.etag }),
+        ...(entry.lastModified && { "If-Modified-Since": entry.lastModified }),
+      };
+    },
+
+    /**
+     * Store a freshly extracted page and classify it against the last run
+     */
+    record(url, page) {
+      const { contentHash, headers = {}, ...rest } = page;
+      const entry = previous.get(url);
+      const now = new Date().toISOString();
+
+      let change = CHANGE_TYPES.NEW;
+      if (entry) {
+        change =
+          entry.contentHash === contentHash
+            ? CHANGE_TYPES.UNCHANGED
+            : CHANGE_TYPES.CHANGED;
+      }
+      counts[change]++;
+
+      current.set(url, {
+        ...rest,
+        contentHash,
+        etag: headers.etag || null,
+        lastModified: headers["last-modified"] || null,
+        firstSeenAt: entry?.firstSeenAt || now,
+        lastChangedAt:
+          change === CHANGE_TYPES.UNCHANGED ? entry.lastChangedAt : now,
+        lastSeenAt: now,
+      });
+
+      return change;
+    },
+
+    /**
+     * Keep a page the server answered 304 for
+     */
+    markNotModified(url) {
+      const entry = previous.get(url);
+      if (!entry) return null;
+
+      counts.unchanged++;
+      const updated = { ...entry, lastSeenAt: new Date().toISOString() };
+      current.set(url, updated);
+      return updated;
+    },
+
+    /**
+     * Keep a page that was fetched but not extracted, e.g. because an
+     * interrupted run already did or it has nothing to extract, so it is
+     * not reported as removed
+     *
+     * Its validators are dropped: a 304 next time would otherwise pass it
+     * off as unchanged without extracting it.
+     */
+    markSeen(url, page = {}) {
+      if (current.has(url)) return;
+      const entry = previous.get(url);
+      const now = new Date().toISOString();
+      current.set(url, {
+        title: null,
+        contentHash: null,
+        firstSeenAt: now,
+        lastChangedAt: now,
+        ...entry,
+        ...page,
+        etag: null,
+        lastModified: null,
+        lastSeenAt: now,
+      });
+    },
+
+    /**
+     * Drop a page the server answered 404 or 410 for
+     *
+     * Returns its entry from the last run, or null when it had none.
+     */
+    markGone(url) {
+      const entry = previous.get(url);
+      if (!entry) return null;
+
+      previous.delete(url);
+      counts.removed++;
+      return { url, ...entry };
+    },
+
+    /**
+     * Carry over a page whose request failed, so an error page or a
+     * network failure does not report it as removed
+     */
+    markFailed(url) {
+      if (!current.has(url) && previous.has(url)) {
+        current.set(url, previous.get(url));
+      }
+    },
+
+    /**
+     * Pages from the last run that this run did not find
+     *
+     * Unless the crawl covered its whole frontier, unvisited pages may still
+     * exist, so they are carried over instead of being reported.
+     */
+    getRemoved({ complete = true } = {}) {
+      const removed = [];
+      for (const [url, entry] of previous) {
+        if (current.has(url)) continue;
+        if (complete) {
+          removed.push({ url, ...entry });
+        } else {
+          current.set(url, entry);
+        }
+      }
+      counts.removed += removed.length;
+      return removed;
+    },
+
+    async persist() {
+      await store.setValue(INDEX_KEY, {
+        updatedAt: new Date().toISOString(),
+        pages: Object.fromEntries(current),
+      });
+    },
+  };
+}
+
+/**
+ * HTTP pre-navigation hook that adds the index's conditional headers
+ */
+export function createConditionalRequestHook(pageIndex) {
+  return ({ request }, gotOptions) => {
+    gotOptions.headers = {
+      ...gotOptions.headers,
+      ...pageIndex.getConditionalHeaders(request.url),
+    };
+  };
+}
+
+/**
+ * Hash of the page text with whitespace differences ignored
+ */
+export function hashContent(text) {
+  const normalized = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+function hashUrls(urls) {
+  return createHash("sha256")
+    .update([...urls].sort().join("\n"))
+    .digest("hex")
+    .substring(0, 16);
+}
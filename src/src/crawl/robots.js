@@ -0,0 +1,218 @@
+/**
+ * robots.txt and meta-robots compliance
+ *
+ * Fetches and caches robots.txt per host, answers Disallow and Crawl-delay
+ * questions for a configurable user agent, and keeps a log of every URL that
+ * was skipped together with the reason.
+ */
+
+import robotsParser from "robots-parser";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+export const DEFAULT_ROBOTS_USER_AGENT = "AI-Web-Extractor";
+
+// Link selector for enqueueLinks that leaves out rel=nofollow links
+export const FOLLOWABLE_LINKS_SELECTOR = 'a[href]:not([rel~="nofollow" i])';
+
+const SKIPPED_URLS_KEY = "SKIPPED_URLS";
+const ROBOTS_FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Create a robots policy shared by all requests of one crawl
+ */
+export function createRobotsPolicy(options = {}) {
+  const {
+    respectRobotsTxt = true,
+    userAgent = DEFAULT_ROBOTS_USER_AGENT,
+    logger = console,
+    openKeyValueStore = openDefaultKeyValueStore,
+  } = options;
+
+  const robotsCache = new Map();
+  const skipped = [];
+  const skippedKeys = new Set();
+
+  const getRobots = (url) => {
+    const { origin } = new URL(url);
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, fetchRobotsTxt(origin, userAgent, logger));
+    }
+    return robotsCache.get(origin);
+  };
+
+  return {
+    enabled: respectRobotsTxt,
+    userAgent,
+    skipped,
+    getRobots,
+
+    /**
+     * Check whether robots.txt allows fetching the URL
+     */
+    async isAllowed(url) {
+      if (!respectRobotsTxt) return true;
+      const robots = await getRobots(url);
+      return robots.isAllowed(url, userAgent) !== false;
+    },
+
+    /**
+     * Crawl-delay in seconds for the URL's host, if any
+     */
+    async getCrawlDelay(url) {
+      if (!respectRobotsTxt) return undefined;
+      const robots = await getRobots(url);
+      return robots.getCrawlDelay(userAgent);
+    },
+
+    /**
+     * Record a URL that was not crawled or not extracted
+     */
+    recordSkip(url, reason, source = null) {
+      const key = `${url}|${reason}`;
+      if (skippedKeys.has(key)) return;
+      skippedKeys.add(key);
+
+      skipped.push({
+        url,
+        reason,
+        ...(source && { source }),
+        skippedAt: new Date().toISOString(),
+      });
+      logger.log(`🚫 Skipped ${url} (${reason})`);
+    },
+
+    /**
+     * Append this crawl's skip log to the key-value store
+     */
+    async persistSkipped() {
+      if (skipped.length === 0) return;
+      const store = await openKeyValueStore();
+      const previous = (await store.getValue(SKIPPED_URLS_KEY)) || [];
+      await store.setValue(SKIPPED_URLS_KEY, [...previous, ...skipped]);
+    },
+  };
+}
+
+/**
+ * PlaywrightCrawler options that drop disallowed URLs before navigation
+ *
+ * Crawlee checks robots.txt both when requests are enqueued and when they are
+ * fetched, so disallowed pages are never opened; skips land in our log.
+ */
+export function getRobotsCrawlerOptions(robotsPolicy) {
+  return {
+    respectRobotsTxtFile: robotsPolicy.enabled
+      ? { userAgent: robotsPolicy.userAgent }
+      : false,
+    onSkippedRequest: ({ url, reason }) => {
+      if (reason === "robotsTxt") {
+        robotsPolicy.recordSkip(url, "robots.txt disallow");
+      }
+    },
+  };
+}
+
+/**
+ * Read the page's robots directives and record what they exclude
+ */
+export async function applyRobotsDirectives(
+  robotsPolicy,
+  { page, request, response },
+  { recordLinks = true } = {}
+) {
+  if (!robotsPolicy.enabled) {
+    return { noindex: false, nofollow: false };
+  }
+
+  const url = request.url;
+  const directives = await getRobotsDirectives(
+    page,
+    response,
+    robotsPolicy.userAgent
+  );
+
+  if (directives.noindex) {
+    robotsPolicy.recordSkip(url, "meta robots noindex");
+  }
+
+  // Only crawls that follow links have link-level skips to report
+  if (recordLinks && page) {
+    const nofollowLinks = await getNofollowLinks(page, directives.nofollow);
+    const reason = directives.nofollow
+      ? "meta robots nofollow"
+      : "rel=nofollow";
+    nofollowLinks.forEach((link) => robotsPolicy.recordSkip(link, reason, url));
+  }
+
+  return directives;
+}
+
+/**
+ * Read noindex/nofollow directives from meta tags and X-Robots-Tag headers
+ */
+export async function getRobotsDirectives(page, response, userAgent) {
+  // Documents without a page, such as PDFs, only have the header
+  const values = page
+    ? await page.evaluate((ua) => {
+        const names = ["robots", ua.toLowerCase()];
+        return Array.from(document.querySelectorAll("meta[name]"))
+          .filter((meta) => names.includes(meta.name.toLowerCase()))
+          .map((meta) => meta.getAttribute("content") || "");
+      }, userAgent)
+    : [];
+
+  const header = response?.headers?.()["x-robots-tag"];
+  if (header) {
+    values.push(header);
+  }
+
+  const directives = values.join(",").toLowerCase();
+
+  return {
+    noindex: /\b(noindex|none)\b/.test(directives),
+    nofollow: /\b(nofollow|none)\b/.test(directives),
+  };
+}
+
+/**
+ * List link URLs that must not be followed from this page
+ */
+export async function getNofollowLinks(page, pageNofollow = false) {
+  return page.evaluate((allLinks) => {
+    const selector = allLinks ? "a[href]" : 'a[href][rel~="nofollow" i]';
+    return Array.from(document.querySelectorAll(selector))
+      .map((a) => a.href)
+      .filter((href) => href.startsWith("http"));
+  }, pageNofollow);
+}
+
+/**
+ * Fetch and parse robots.txt for an origin
+ *
+ * Per RFC 9309, a missing file (4xx) allows everything while an unreachable
+ * one (5xx or network error) is treated as a complete disallow.
+ */
+async function fetchRobotsTxt(origin, userAgent, logger) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await fetch(robotsUrl, {
+      headers: { "User-Agent": userAgent },
+      signal: AbortSignal.timeout(ROBOTS_FETCH_TIMEOUT_MS),
+    });
+
+    if (response.ok) {
+      return robotsParser(robotsUrl, await response.text());
+    }
+
+    if (response.status >= 400 && response.status < 500) {
+      return robotsParser(robotsUrl, "");
+    }
+
+    logger.log(`⚠️ robots.txt unavailable for ${origin} (${response.status})`);
+  } catch (error) {
+    logger.log(`⚠️ robots.txt unreachable for ${origin}: ${error.message}`);
+  }
+
+  return robotsParser(robotsUrl, "User-agent: *\nDisallow: /");
+}
@@ -0,0 +1,180 @@
+/**
+ * Per-host politeness scheduler
+ *
+ * Spaces requests to the same host by a requests-per-minute limit (or the
+ * host's robots.txt Crawl-delay, whichever is slower), caps parallel requests
+ * per host, and backs a host off when it answers 429 or 503.
+ *
+ * Waits happen in a pre-navigation hook, so they count toward the crawler's
+ * navigation and request handler timeouts.
+ */
+
+export const DEFAULT_MAX_CONCURRENCY = 3;
+export const DEFAULT_MAX_CONCURRENT_PER_HOST = 2;
+
+const THROTTLE_STATUS_CODES = [429, 503];
+
+/**
+ * Create a scheduler shared by all requests of one crawl
+ */
+export function createHostScheduler(options = {}) {
+  const {
+    requestsPerMinute = 0,
+    maxConcurrentPerHost = DEFAULT_MAX_CONCURRENT_PER_HOST,
+    backoffBaseMs = 2000,
+    maxBackoffMs = 60000,
+    robotsPolicy = null,
+    logger = console,
+  } = options;
+
+  const hosts = new Map();
+  const held = new Map();
+
+  const getHost = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        active: 0,
+        waiting: [],
+        nextSlot: 0,
+        backoffUntil: 0,
+        throttleCount: 0,
+      });
+    }
+    return hosts.get(host);
+  };
+
+  const getMinIntervalMs = async (url) => {
+    const rateInterval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    const crawlDelay = robotsPolicy
+      ? (await robotsPolicy.getCrawlDelay(url)) || 0
+      : 0;
+    return Math.max(rateInterval, crawlDelay * 1000);
+  };
+
+  const scheduler = {
+    /**
+     * Wait for a free slot on the request's host
+     */
+    async acquire(request) {
+      const key = getRequestKey(request);
+      if (held.has(key)) return;
+
+      const { host } = new URL(request.url);
+      const state = getHost(host);
+
+      // A released slot is handed straight to the next waiting request
+      if (maxConcurrentPerHost > 0 && state.active >= maxConcurrentPerHost) {
+        await new Promise((resolve) => state.waiting.push(resolve));
+      } else {
+        state.active++;
+      }
+      held.set(key, host);
+
+      const minIntervalMs = await getMinIntervalMs(request.url);
+      const now = Date.now();
+      const slot = Math.max(now, state.nextSlot, state.backoffUntil);
+      state.nextSlot = slot + minIntervalMs;
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    },
+
+    /**
+     * Free the request's host slot; safe to call more than once
+     */
+    release(request) {
+      const key = getRequestKey(request);
+      const host = held.get(key);
+      if (!host) return;
+      held.delete(key);
+
+      const state = getHost(host);
+      const next = state.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        state.active--;
+      }
+    },
+
+    /**
+     * Adapt the host's pace to a response status
+     */
+    reportStatus(url, status, retryAfter = null) {
+      const { host } = new URL(url);
+      const state = getHost(host);
+
+      if (!THROTTLE_STATUS_CODES.includes(status)) {
+        if (status < 400) state.throttleCount = 0;
+        return;
+      }
+
+      state.throttleCount++;
+      const retryAfterMs = parseRetryAfter(retryAfter);
+      const backoffMs = Math.min(
+        maxBackoffMs,
+        retryAfterMs ?? backoffBaseMs * 2 ** (state.throttleCount - 1)
+      );
+      state.backoffUntil = Math.max(state.backoffUntil, Date.now() + backoffMs);
+
+      logger.log(
+        `⏳ ${host} answered ${status}, backing off for ${Math.round(backoffMs / 1000)}s`
+      );
+    },
+
+    /**
+     * Pre-navigation hook that waits for the host slot
+     */
+    preNavigationHook: async ({ request }) => {
+      await scheduler.acquire(request);
+    },
+
+    /**
+     * Post-navigation hook that frees the slot and retries throttled pages
+     */
+    postNavigationHook: async ({ request, response }) => {
+      scheduler.release(request);
+      if (!response) return;
+
+      // Playwright responses expose methods, HTTP responses plain fields
+      const status =
+        typeof response.status === "function"
+          ? response.status()
+          : response.statusCode;
+      const headers =
+        typeof response.allHeaders === "function"
+          ? await response.allHeaders()
+          : response.headers;
+      scheduler.reportStatus(request.url, status, headers["retry-after"]);
+
+      // 429 is already retried by the crawler as a blocked status code
+      if (status === 503) {
+        throw new Error(`Request throttled - received ${status} status code.`);
+      }
+    },
+  };
+
+  return scheduler;
+}
+
+/**
+ * Retry-After header (delay seconds or HTTP date) in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getRequestKey(request) {
+  return request.id || request.uniqueKey || request.url;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
@@ -0,0 +1,95 @@
+/**
+ * Sitemap discovery for crawl seeding
+ *
+ * Finds sitemaps through robots.txt `Sitemap:` lines and `/sitemap.xml`,
+ * follows sitemap index files (plain or gzipped) and returns page URLs
+ * filtered by lastmod and URL pattern.
+ */
+
+import { parseSitemap } from "crawlee";
+
+export const DISCOVERY_MODES = {
+  LINKS: "links",
+  SITEMAP: "sitemap",
+  BOTH: "both",
+};
+
+const MAX_SITEMAP_DEPTH = 5;
+
+/**
+ * Whether a discovery mode seeds the queue from sitemaps
+ */
+export function usesSitemap(discovery) {
+  return (
+    discovery === DISCOVERY_MODES.SITEMAP || discovery === DISCOVERY_MODES.BOTH
+  );
+}
+
+/**
+ * Whether a discovery mode follows links found on pages
+ */
+export function usesLinks(discovery) {
+  return discovery !== DISCOVERY_MODES.SITEMAP;
+}
+
+/**
+ * Collect page URLs from the sitemaps of the start URL's site
+ */
+export async function discoverSitemapUrls(startUrl, options = {}) {
+  const {
+    robotsPolicy = null,
+    lastmodSince = null,
+    urlPattern = null,
+    maxUrls = 1000,
+    logger = console,
+  } = options;
+
+  const { origin, hostname } = new URL(startUrl);
+  const sitemapLocations = new Set();
+
+  if (robotsPolicy) {
+    const robots = await robotsPolicy.getRobots(startUrl);
+    robots.getSitemaps().forEach((loc) => sitemapLocations.add(loc));
+  }
+  sitemapLocations.add(`${origin}/sitemap.xml`);
+
+  const since = lastmodSince ? new Date(lastmodSince) : null;
+  if (since && isNaN(since.getTime())) {
+    throw new Error(`Invalid sitemap lastmod date: ${lastmodSince}`);
+  }
+  const pattern = urlPattern ? new RegExp(urlPattern) : null;
+
+  const urls = [];
+  const seen = new Set();
+
+  const sources = [...sitemapLocations].map((url) => ({ type: "url", url }));
+  const entries = parseSitemap(sources, undefined, {
+    maxDepth: MAX_SITEMAP_DEPTH,
+    reportNetworkErrors: false,
+  });
+
+  for await (const entry of entries) {
+    if (urls.length >= maxUrls) break;
+    if (seen.has(entry.loc)) continue;
+    seen.add(entry.loc);
+
+    let entryHost;
+    try {
+      entryHost = new URL(entry.loc).hostname;
+    } catch {
+      continue;
+    }
+
+    if (entryHost !== hostname) continue;
+    if (since && entry.lastmod && entry.lastmod < since) continue;
+    if (pattern && !pattern.test(entry.loc)) continue;
+
+    urls.push(entry.loc);
+  }
+
+  logger.log(
+    `🗺️ Sitemap discovery: ${urls.length} URL(s) from ${sitemapLocations.size} sitemap location(s)`
+  );
+
+  return urls;
+}
@@ -0,0 +1,158 @@
+/**
+ * URL pattern rules for link following
+ *
+ * Include/exclude lists accept globs ("https://example.com/docs/**", or
+ * "/docs/**" to match the path only, where "/docs/v2/" stands for
+ * everything under it), regular expressions written as "re:pattern"
+ * strings, and RegExp objects.
+ */
+
+// Resources that are never worth opening as pages
+export const DEFAULT_EXCLUDED_EXTENSIONS = /\.(jpg|png|gif|css|js|ico)$/i;
+
+const REGEX_PREFIX = "re:";
+
+// PDFs are only followed by crawls that can parse them
+const PDF_EXTENSION = /\.pdf$/i;
+
+/**
+ * Create a URL filter from crawl options
+ *
+ * PDF links are dropped unless `allowPdfs` is set.
+ */
+export function createUrlFilter(options = {}) {
+  const {
+    include = [],
+    exclude = [],
+    pathPrefix = null,
+    stripQueryParams = [],
+    excludeExtensions = DEFAULT_EXCLUDED_EXTENSIONS,
+    allowPdfs = false,
+  } = options;
+
+  const includeRules = toArray(include).map(compileRule);
+  const excludeRules = toArray(exclude).map(compileRule);
+  const pathPrefixes = toArray(pathPrefix).filter(Boolean);
+  const stripAllParams = stripQueryParams === true;
+  const stripRules = stripAllParams
+    ? []
+    : toArray(stripQueryParams).map((name) => globToRegExp(name, true));
+
+  return {
+    /**
+     * Drop the fragment and any stripped query parameters
+     */
+    normalize(url) {
+      const parsed = new URL(url);
+      parsed.hash = "";
+
+      if (stripAllParams) {
+        parsed.search = "";
+      } else if (stripRules.length > 0) {
+        [...parsed.searchParams.keys()]
+          .filter((key) => stripRules.some((rule) => rule.test(key)))
+          .forEach((key) => parsed.searchParams.delete(key));
+      }
+
+      return parsed.href;
+    },
+
+    /**
+     * Check whether a URL may be crawled
+     */
+    isAllowed(url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return false;
+      }
+
+      if (excludeExtensions && excludeExtensions.test(parsed.pathname)) {
+        return false;
+      }
+
+      if (!allowPdfs && PDF_EXTENSION.test(parsed.pathname)) {
+        return false;
+      }
+
+      if (
+        pathPrefixes.length > 0 &&
+        !pathPrefixes.some((prefix) => parsed.pathname.startsWith(prefix))
+      ) {
+        return false;
+      }
+
+      if (
+        includeRules.length > 0 &&
+        !includeRules.some((rule) => rule(parsed))
+      ) {
+        return false;
+      }
+
+      return !excludeRules.some((rule) => rule(parsed));
+    },
+
+    /**
+     * transformRequestFunction for enqueueLinks
+     */
+    transformRequest(request) {
+      if (!this.isAllowed(request.url)) return false;
+      request.url = this.normalize(request.url);
+      return request;
+    },
+  };
+}
+
+/**
+ * Compile one include/exclude rule into a URL predicate
+ */
+function compileRule(rule) {
+  if (rule instanceof RegExp) {
+    return (url) => rule.test(url.href);
+  }
+
+  const pattern = String(rule);
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.slice(REGEX_PREFIX.length));
+    } catch (error) {
+      throw new Error(`Invalid URL rule "${pattern}": ${error.message}`);
+    }
+    return (url) => regex.test(url.href);
+  }
+
+  // Globs starting with "/" describe the path only, and one ending with
+  // "/" the whole directory
+  if (pattern.startsWith("/")) {
+    const regex = globToRegExp(
+      pattern.endsWith("/") ? `${pattern}**` : pattern
+    );
+    return (url) => regex.test(url.pathname);
+  }
+  const regex = globToRegExp(pattern);
+  return (url) => regex.test(url.href);
+}
+
+/**
+ * Convert a glob into an anchored regular expression
+ */
+function globToRegExp(glob, caseInsensitive = false) {
+  const source = glob
+    .split("**")
+    .map((part) =>
+      part
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\?/g, "[^/]")
+    )
+    .join(".*");
+
+  return new RegExp(`^${source}$`, caseInsensitive ? "i" : "");
+}
+
+function toArray(value) {
+  if (value === null || value === undefined || value === false) return [];
+  return Array.isArray(value) ? value : [value];
+}
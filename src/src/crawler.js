@@ -3,18 +3,46 @@
  */
 
 import { Actor } from "apify";
-import { PlaywrightCrawler, Dataset } from "crawlee";
+import { Dataset } from "crawlee";
 import {
   extractContent,
   extractMetadata,
   extractMedia,
+  detectMainContent,
+  extractMarkdown,
 } from "./extractors/index.js";
 import { formatOutput } from "./formatters/index.js";
+import { chunkPage } from "./chunking/index.js";
 import { cleanHTML, createLogger } from "./utils/index.js";
-import { SELECTORS_TO_REMOVE, MAIN_CONTENT_SELECTORS } from "./constants.js";
+import { SELECTORS_TO_REMOVE, OUTPUT_FORMATS } from "./constants.js";
+import {
+  openCrawlState,
+  createRobotsPolicy,
+  applyRobotsDirectives,
+  FOLLOWABLE_LINKS_SELECTOR,
+  createUrlFilter,
+  createHostScheduler,
+  DEFAULT_MAX_CONCURRENCY,
+  openDuplicateFilter,
+  DUPLICATE_POLICIES,
+} from "./crawl/index.js";
+import { createHybridCrawler, ENGINES } from "./engine/index.js";
+import { createAuthSession } from "./auth/index.js";
+import {
+  createActionResolver,
+  runPageActions,
+  skipPageActions,
+  createArtifactCapture,
+  inlineEmbeddedContent,
+} from "./browser/index.js";
 
 const log = createLogger("Crawler");
 
+// robots policy, crawl state, auth session and duplicate filter of each
+// created crawler, so runCrawler can persist skips, close the crawl pass,
+// save the session and push the pages held back for duplicate detection
+const crawlerContexts = new WeakMap();
+
 /**
  * Create and configure the Playwright crawler
  */
@@ -25,9 +53,76 @@ export async function createCrawler(config) {
     crawlOptions,
     aiOptions,
     proxyConfiguration,
+    authOptions = {},
+    urls = [],
+    actions = [],
+    artifactOptions = {},
   } = config;
 
-  const crawler = new PlaywrightCrawler({
+  // Named crawls resume their frontier and skip pages already pushed
+  const crawlState = crawlOptions.crawlId
+    ? await openCrawlState(crawlOptions.crawlId, {
+        reset: crawlOptions.resetCrawl,
+      })
+    : null;
+
+  // robots.txt and meta-robots compliance is on unless explicitly disabled
+  const robotsPolicy = createRobotsPolicy({
+    respectRobotsTxt: crawlOptions.respectRobotsTxt !== false,
+    userAgent: crawlOptions.robotsUserAgent,
+  });
+
+  // Per-host pacing, parallelism and backoff on 429/503
+  const scheduler = createHostScheduler({
+    requestsPerMinute: crawlOptions.maxRequestsPerMinutePerHost,
+    maxConcurrentPerHost: crawlOptions.maxConcurrentPerHost,
+    robotsPolicy,
+  });
+
+  // Cookies, saved storage state, basic auth and login, shared by all pages;
+  // basic auth goes to the start URLs' origins unless origins are given
+  const auth = await createAuthSession({ ...authOptions, urls });
+
+  // Click/type/wait steps that run before extraction on matching pages
+  const resolveActions = createActionResolver(actions);
+
+  // Screenshots and PDF snapshots, stored in the key-value store
+  const artifacts = createArtifactCapture(artifactOptions);
+
+  // Near-duplicate pages are skipped or grouped once the crawl is over;
+  // named crawls keep the held-back records in their store
+  const duplicates = crawlOptions.duplicatePolicy
+    ? await openDuplicateFilter({
+        policy: crawlOptions.duplicatePolicy,
+        threshold: crawlOptions.duplicateThreshold,
+        crawlState,
+      })
+    : null;
+
+  // Include/exclude, path-prefix and query stripping rules for followed links
+  const urlFilter = createUrlFilter({
+    include: crawlOptions.include,
+    exclude: crawlOptions.exclude,
+    pathPrefix: crawlOptions.pathPrefix,
+    stripQueryParams: crawlOptions.stripQueryParams,
+  });
+
+  if (crawlState?.isResumed) {
+    log.info(
+      `♻️ Resuming crawl "${crawlState.crawlId}" (${crawlState.pushedCount()} pages already extracted)`
+    );
+  }
+
+  const crawler = createHybridCrawler({
+    engine: crawlOptions.engine || ENGINES.AUTO,
+    requestQueue: crawlState?.requestQueue,
+    fallbackQueue: crawlState?.browserQueue,
+    robotsPolicy,
+    scheduler,
+    auth,
+    requiresBrowser: (request) =>
+      artifacts.enabled || resolveActions(request.url).length > 0,
+
     // Proxy configuration
     proxyConfiguration: proxyConfiguration
       ? await Actor.createProxyConfiguration(proxyConfiguration)
@@ -35,52 +130,109 @@ export async function createCrawler(config) {
 
     // Crawl settings
     maxRequestsPerCrawl: crawlOptions.maxPages || 10,
-    maxConcurrency: 3,
+    maxConcurrency: crawlOptions.maxConcurrency || DEFAULT_MAX_CONCURRENCY,
     requestHandlerTimeoutSecs: 60,
 
-    // Browser settings
-    headless: true,
-    browserPoolOptions: {
-      useFingerprints: true,
-    },
-
-    // Pre-navigation hooks
-    preNavigationHooks: [
-      async ({ page }) => {
-        // Block unnecessary resources for faster loading
-        await page.route("**/*", (route) => {
-          const resourceType = route.request().resourceType();
-          const blockedTypes = ["font", "media"];
-
-          if (blockedTypes.includes(resourceType)) {
-            route.abort();
-          } else {
-            route.continue();
-          }
-        });
+    // Browser settings, used for pages that need JavaScript
+    browserOptions: {
+      headless: true,
+      browserPoolOptions: {
+        useFingerprints: true,
       },
-    ],
+      preNavigationHooks: [
+        async ({ page }) => {
+          // Block unnecessary resources for faster loading
+          await page.route("**/*", (route) => {
+            const resourceType = route.request().resourceType();
+            const blockedTypes = ["font", "media"];
+
+            if (blockedTypes.includes(resourceType)) {
+              route.abort();
+            } else {
+              // Let context routes (e.g. basic auth) handle the rest
+              route.fallback();
+            }
+          });
+        },
+      ],
+    },
 
     // Main request handler
-    async requestHandler({ request, page, enqueueLinks }) {
+    async requestHandler({ request, response, page, enqueueLinks, engine }) {
       const url = request.url;
       const depth = request.userData.depth || 0;
 
       log.info(`📄 Processing [Depth: ${depth}]: ${url}`);
 
+      const followsLinks =
+        crawlOptions.maxDepth > 0 && depth < crawlOptions.maxDepth;
+      let robotsDirectives = { noindex: false, nofollow: false };
+
+      // Enqueue more pages if depth allows
+      const enqueueNextLinks = async () => {
+        if (!followsLinks || robotsDirectives.nofollow) {
+          return;
+        }
+        await enqueueLinks({
+          selector: FOLLOWABLE_LINKS_SELECTOR,
+          strategy: crawlOptions.sameDomain ? "same-domain" : "all",
+          userData: { depth: depth + 1 },
+          transformRequestFunction: (req) => urlFilter.transformRequest(req),
+        });
+        log.info(`🔗 Enqueued links from: ${url}`);
+      };
+
       // Wait for page to be ready
       await page.waitForLoadState("domcontentloaded");
       await page.waitForTimeout(1000); // Allow dynamic content to load
 
-      // Clean the HTML by removing unwanted elements
+      robotsDirectives = await applyRobotsDirectives(
+        robotsPolicy,
+        { page, request, response },
+        { recordLinks: followsLinks }
+      );
+
+      const pageActions = resolveActions(url);
+      let actionReport = null;
+      if (pageActions.length > 0) {
+        actionReport =
+          engine === ENGINES.BROWSER
+            ? await runPageActions(page, pageActions)
+            : skipPageActions(pageActions, "Page actions need a browser");
+      }
+
+      let pageArtifacts = null;
+      if (artifacts.enabled) {
+        pageArtifacts =
+          engine === ENGINES.BROWSER
+            ? await artifacts.capture(page, url)
+            : artifacts.skip("Screenshots and PDFs need a browser");
+      }
+
+      // Inline shadow roots and readable frames, then remove unwanted
+      // elements, including the frames that stayed out
+      const embedded = await inlineEmbeddedContent(page, {
+        allowedFrameOrigins: crawlOptions.allowedFrameOrigins,
+      });
       await cleanHTML(page, SELECTORS_TO_REMOVE);
 
-      // Find main content container
-      const mainContentSelector = await findMainContent(page);
+      if (robotsDirectives.noindex) {
+        await enqueueNextLinks();
+        return;
+      }
+
+      if (crawlState?.hasPushed(url)) {
+        log.info(`⏭️ Already extracted in a previous run: ${url}`);
+        await enqueueNextLinks();
+        return;
+      }
+
+      // Score candidate containers to find the main content
+      const mainContent = await detectMainContent(page);
 
       // Extract all content
       const extractedData = await page.evaluate(
-        ({ mainSelector, contentSelectors }) => {
+        ({ mainSelector }) => {
           const mainElement =
             document.querySelector(mainSelector) || document.body;
 
@@ -101,10 +253,7 @@ export async function createCrawler(config) {
             charset: document.characterSet || "UTF-8",
           };
         },
-        {
-          mainSelector: mainContentSelector,
-          contentSelectors: MAIN_CONTENT_SELECTORS,
-        }
+        { mainSelector: mainContent.selector }
       );
 
       // Extract detailed content
@@ -119,16 +268,29 @@ export async function createCrawler(config) {
       const media = await extractMedia(page, extractOptions);
 
       // Format output according to user preference
+      const markdown =
+        outputFormat === OUTPUT_FORMATS.MARKDOWN
+          ? await extractMarkdown(page, { selector: mainContent.selector })
+          : null;
       const formattedContent = formatOutput(
         {
           ...extractedData,
           ...content,
+          markdown,
         },
         outputFormat
       );
 
       // Process for AI if enabled
-      const aiData = processForAI(extractedData.textContent, aiOptions);
+      const aiData = processForAI(
+        {
+          url,
+          markdown,
+          textContent: extractedData.textContent,
+          headings: content.headings,
+        },
+        aiOptions
+      );
 
       // Build final result
       const result = {
@@ -147,6 +309,8 @@ export async function createCrawler(config) {
         ...(extractOptions.includeImages && { images: media.images }),
         ...(extractOptions.includeTables && { tables: content.tables }),
         ...(extractOptions.includeCode && { codeBlocks: content.codeBlocks }),
+        ...(actionReport && { actions: actionReport }),
+        ...(pageArtifacts && { artifacts: pageArtifacts }),
 
         // Metadata
         metadata: {
@@ -155,6 +319,12 @@ export async function createCrawler(config) {
           wordCount: extractedData.textContent.split(/\s+/).filter((w) => w)
             .length,
           charCount: extractedData.textContent.length,
+          mainContent: {
+            confidence: mainContent.confidence,
+            ...mainContent.explanation,
+          },
+          embedded,
+          engine,
           extractedAt: new Date().toISOString(),
         },
 
@@ -167,21 +337,24 @@ export async function createCrawler(config) {
         },
       };
 
-      // Save to dataset
-      await Dataset.pushData(result);
+      // Save to dataset, or hold back until near-duplicates are known
+      if (duplicates) {
+        await duplicates.add(result, {
+          text: extractedData.textContent,
+          canonicalUrl: extractOptions.includeMetadata
+            ? metadata.canonicalUrl
+            : (await extractMetadata(page)).canonicalUrl,
+        });
+      } else {
+        await Dataset.pushData(result);
+        await crawlState?.markPushed(url);
+      }
 
       log.success(
         `✅ Extracted: ${extractedData.title} (${result.metadata.wordCount} words)`
       );
 
-      // Enqueue more pages if depth allows
-      if (crawlOptions.maxDepth > 0 && depth < crawlOptions.maxDepth) {
-        await enqueueLinks({
-          strategy: crawlOptions.sameDomain ? "same-domain" : "all",
-          userData: { depth: depth + 1 },
-        });
-        log.info(`🔗 Enqueued links from: ${url}`);
-      }
+      await enqueueNextLinks();
     },
 
     // Handle failed requests
@@ -190,6 +363,8 @@ export async function createCrawler(config) {
     },
   });
 
+  crawlerContexts.set(crawler, { robotsPolicy, crawlState, auth, duplicates });
+
   return crawler;
 }
 
@@ -203,79 +378,55 @@ export async function runCrawler(crawler, urls) {
   }));
 
   await crawler.run(requests);
-}
 
-/**
- * Find the main content container on the page
- */
-async function findMainContent(page) {
-  for (const selector of MAIN_CONTENT_SELECTORS) {
-    const element = await page.$(selector);
-    if (element) {
-      return selector;
+  const { robotsPolicy, crawlState, auth, duplicates } =
+    crawlerContexts.get(crawler) || {};
+  if (duplicates) {
+    const { kept, skipped, duplicateCount, groupCount } = duplicates.resolve();
+    for (const record of kept) {
+      if (crawlState?.hasPushed(record.url)) continue;
+      await Dataset.pushData(record);
+      await crawlState?.markPushed(record.url);
+    }
+    for (const { record } of skipped) {
+      await crawlState?.markPushed(record.url);
+    }
+    await duplicates.clear();
+    if (duplicateCount > 0) {
+      log.info(
+        `🪞 Near-duplicates: ${duplicateCount} page(s) in ${groupCount} group(s) ${duplicates.policy === DUPLICATE_POLICIES.SKIP ? "skipped" : "grouped under their canonical page"}`
+      );
     }
   }
-  return "body";
+  await crawlState?.finish();
+  if (auth?.enabled) await auth.save();
+  if (robotsPolicy?.skipped.length > 0) {
+    await robotsPolicy.persistSkipped();
+    log.info(`🚫 Skipped by robots rules: ${robotsPolicy.skipped.length}`);
+  }
 }
 
 /**
  * Process content for AI consumption
  */
-function processForAI(textContent, aiOptions) {
+function processForAI(page, aiOptions) {
   const result = {
-    rawText: textContent,
+    rawText: page.textContent,
   };
 
   // Chunk content if enabled
   if (aiOptions.chunkContent) {
-    result.chunks = chunkText(
-      textContent,
-      aiOptions.chunkSize || 1000,
-      aiOptions.chunkOverlap || 100
-    );
-    result.totalChunks = result.chunks.length;
-  }
-
-  return result;
-}
-
-/**
- * Chunk text into smaller pieces for AI processing
- */
-function chunkText(text, chunkSize, overlap) {
-  const chunks = [];
-  const sentences = text.split(/(?<=[.!?])\s+/);
-
-  let currentChunk = "";
-  let chunkIndex = 0;
-
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > chunkSize && currentChunk) {
-      chunks.push({
-        index: chunkIndex++,
-        content: currentChunk.trim(),
-        charCount: currentChunk.length,
-      });
-
-      // Keep overlap from previous chunk
-      const words = currentChunk.split(/\s+/);
-      const overlapWords = words.slice(-Math.floor(overlap / 5));
-      currentChunk = overlapWords.join(" ") + " " + sentence;
-    } else {
-      currentChunk += (currentChunk ? " " : "") + sentence;
-    }
-  }
-
-  // Add final chunk
-  if (currentChunk.trim()) {
-    chunks.push({
-      index: chunkIndex,
-      content: currentChunk.trim(),
-      charCount: currentChunk.length,
+    const { source, chunks } = chunkPage(page, {
+      strategy: aiOptions.chunkStrategy,
+      chunkSize: aiOptions.chunkSize || 1000,
+      chunkOverlap: aiOptions.chunkOverlap ?? 100,
     });
+    result.chunks = chunks;
+    result.totalChunks = chunks.length;
+    result.chunkSource = source;
   }
 
-  return chunks;
+  return result;
 }
 
 /**
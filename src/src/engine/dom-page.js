@@ -0,0 +1,187 @@
+/**
+ * Playwright page stand-in backed by a jsdom window
+ *
+ * Extractors talk to pages through `page.evaluate()`. Running those callbacks
+ * against a parsed HTTP response lets the same extractors work without a
+ * browser.
+ */
+
+const BLOCK_TAGS = new Set([
+  "ADDRESS",
+  "ARTICLE",
+  "ASIDE",
+  "BLOCKQUOTE",
+  "DD",
+  "DETAILS",
+  "DIV",
+  "DL",
+  "DT",
+  "FIELDSET",
+  "FIGCAPTION",
+  "FIGURE",
+  "FOOTER",
+  "FORM",
+  "HEADER",
+  "HR",
+  "LI",
+  "MAIN",
+  "NAV",
+  "OL",
+  "SECTION",
+  "SUMMARY",
+  "TABLE",
+  "TR",
+  "UL",
+]);
+const PARAGRAPH_TAGS = new Set(["P", "H1", "H2", "H3", "H4", "H5", "H6"]);
+const SKIPPED_TAGS = new Set([
+  "HEAD",
+  "SCRIPT",
+  "STYLE",
+  "NOSCRIPT",
+  "TEMPLATE",
+]);
+
+const compiledCallbacks = new Map();
+
+/**
+ * Wrap a jsdom window in the subset of the Playwright page API we use
+ */
+export function createDomPage(window) {
+  installInnerText(window);
+
+  return {
+    async evaluate(pageFunction, arg) {
+      return compileCallback(pageFunction)(window, arg);
+    },
+
+    // Callers only test the result, so the element stands in for a handle
+    async $(selector) {
+      return window.document.querySelector(selector);
+    },
+
+    // Parsed documents are already loaded and never change on their own
+    async waitForLoadState() {},
+    async waitForTimeout() {},
+
+    url() {
+      return window.location.href;
+    },
+
+    async title() {
+      return window.document.title;
+    },
+
+    async content() {
+      return window.document.documentElement.outerHTML;
+    },
+
+    async close() {
+      window.close();
+    },
+  };
+}
+
+/**
+ * Wrap an HTTP response in the Playwright response methods we use
+ */
+export function createHttpResponse(response) {
+  return {
+    status: () => response.statusCode,
+    headers: () => response.headers,
+    allHeaders: async () => response.headers,
+    url: () => response.url,
+  };
+}
+
+/**
+ * Compile a page.evaluate() callback so its globals resolve to the window
+ *
+ * Like Playwright, the callback is serialized, so it cannot close over
+ * variables from the calling module.
+ */
+function compileCallback(pageFunction) {
+  const source = pageFunction.toString();
+
+  if (!compiledCallbacks.has(source)) {
+    // `with` is only allowed in sloppy mode, which new Function provides
+    compiledCallbacks.set(
+      source,
+      new Function(
+        "window",
+        "arg",
+        `with (window) { return (${source})(arg); }`
+      )
+    );
+  }
+
+  return compiledCallbacks.get(source);
+}
+
+/**
+ * jsdom has no layout, so it does not implement innerText
+ */
+function installInnerText(window) {
+  const proto = window.HTMLElement.prototype;
+  if (Object.getOwnPropertyDescriptor(proto, "innerText")) return;
+
+  Object.defineProperty(proto, "innerText", {
+    configurable: true,
+    get() {
+      return renderText(this);
+    },
+    set(value) {
+      this.textContent = value;
+    },
+  });
+}
+
+/**
+ * Approximate the browser's rendered text of an element
+ */
+function renderText(element) {
+  const parts = [];
+  collectText(element, parts);
+
+  return parts
+    .join("")
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+function collectText(node, parts) {
+  // Text node
+  if (node.nodeType === 3) {
+    parts.push(node.data.replace(/\s+/g, " "));
+    return;
+  }
+  if (node.nodeType !== 1) return;
+
+  const tag = node.tagName;
+  if (SKIPPED_TAGS.has(tag) || node.hasAttribute("hidden")) return;
+
+  if (tag === "BR") {
+    parts.push("\n");
+    return;
+  }
+  if (tag === "PRE") {
+    parts.push("\n", node.textContent, "\n");
+    return;
+  }
+
+  const separator = PARAGRAPH_TAGS.has(tag)
+    ? "\n\n"
+    : BLOCK_TAGS.has(tag)
+      ? "\n"
+      : "";
+
+  parts.push(separator);
+  node.childNodes.forEach((child) => collectText(child, parts));
+  parts.push(separator);
+
+  if (tag === "TD" || tag === "TH") {
+    parts.push("\t");
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * HTTP-first crawler with automatic browser fallback
+ *
+ * Pages are fetched over HTTP and parsed with jsdom, which is far cheaper
+ * than launching Chromium. Pages that turn out to need JavaScript are handed
+ * to a PlaywrightCrawler through a second request queue; the links it finds
+ * go back to the HTTP crawler, which knows the pages already crawled. Either
+ * engine can also be forced.
+ */
+
+import { JSDOMCrawler, PlaywrightCrawler, enqueueLinks } from "crawlee";
+import { getRobotsCrawlerOptions } from "../crawl/index.js";
+import { createDomPage, createHttpResponse } from "./dom-page.js";
+import { detectJavaScriptRequirement } from "./javascript-detection.js";
+import {
+  extractPdf,
+  isPdfUrl,
+  PDF_CONTENT_TYPE,
+} from "../extractors/pdf-extractor.js";
+import { openRequestQueue as openDefaultRequestQueue } from "../utils/storage.js";
+
+export const ENGINES = {
+  AUTO: "auto",
+  HTTP: "http",
+  BROWSER: "browser",
+};
+
+/**
+ * Create a crawler that only opens a browser for pages that need one
+ *
+ * The request handler receives the usual crawling context plus `engine`;
+ * on the HTTP path `page` and `response` are jsdom-backed stand-ins, and a
+ * 304 Not Modified answer to a conditional request reaches the handler as is.
+ * In auto mode, `requiresBrowser(request)` can send a page straight to the
+ * browser, e.g. when it has actions to run.
+ *
+ * With `parsePdfs`, PDF documents reach the handler with `page` set to null
+ * and the parsed document as `pdf`. They are always downloaded over HTTP;
+ * the browser engine recognizes them by their .pdf extension.
+ *
+ * `maxRequestsPerCrawl` only limits the pages processed in one run: links
+ * past it still join the queue, so a crawl the limit cut short keeps them
+ * as its frontier, `isFinished()` tells it apart from a complete one, and
+ * a run on the same queue continues with the next pages.
+ */
+export function createHybridCrawler(options) {
+  const {
+    engine = ENGINES.AUTO,
+    requestHandler,
+    failedRequestHandler,
+    robotsPolicy = null,
+    scheduler = null,
+    auth = null,
+    requiresBrowser = () => false,
+    parsePdfs = false,
+    maxPdfPages,
+    requestQueue,
+    fallbackQueue = null,
+    maxRequestsPerCrawl,
+    maxConcurrency,
+    proxyConfiguration,
+    requestHandlerTimeoutSecs = 60,
+    navigationTimeoutSecs = 60,
+    browserOptions = {},
+    httpOptions = {},
+    logger = console,
+    openRequestQueue = openDefaultRequestQueue,
+  } = options;
+
+  if (!Object.values(ENGINES).includes(engine)) {
+    throw new Error(
+      `Unknown engine: ${engine}. Use one of: ${Object.values(ENGINES).join(", ")}`
+    );
+  }
+
+  const {
+    preNavigationHooks = [],
+    postNavigationHooks = [],
+    ...browserSettings
+  } = browserOptions;
+  const {
+    preNavigationHooks: httpPreNavigationHooks = [],
+    postNavigationHooks: httpPostNavigationHooks = [],
+    ...httpSettings
+  } = httpOptions;
+  let browserQueue = fallbackQueue;
+  let ownsBrowserQueue = false;
+  let processedOverHttp = 0;
+  let processedInBrowser = 0;
+
+  const sharedOptions = {
+    ...(robotsPolicy && getRobotsCrawlerOptions(robotsPolicy)),
+    maxConcurrency,
+    proxyConfiguration,
+    requestHandlerTimeoutSecs,
+    navigationTimeoutSecs,
+
+    errorHandler({ request }) {
+      scheduler?.release(request);
+    },
+
+    async failedRequestHandler(context, error) {
+      scheduler?.release(context.request);
+      await failedRequestHandler?.(context, error);
+    },
+  };
+
+  const schedulerHooks = (hook) => (scheduler ? [scheduler[hook]] : []);
+  const authHooks = (hook) => (auth?.enabled ? [auth[hook]] : []);
+
+  // Browser crawls skip navigation for PDFs and download them instead
+  const markPdfRequest = (request) => {
+    if (!parsePdfs || !request) return request;
+    const options = typeof request === "string" ? { url: request } : request;
+    return isPdfUrl(options.url)
+      ? { ...options, skipNavigation: true }
+      : request;
+  };
+
+  const markPdfLinks =
+    (enqueue) =>
+    (options = {}) =>
+      enqueue({
+        ...options,
+        transformRequestFunction: (request) =>
+          markPdfRequest(
+            options.transformRequestFunction
+              ? options.transformRequestFunction(request)
+              : request
+          ),
+      });
+
+  // A PDF has no DOM to select links from; its link annotations stand in
+  const createPdfContext = async (context, response, pdf) => {
+    const queue = await context.crawler.getRequestQueue();
+    return {
+      ...context,
+      page: null,
+      response: createHttpResponse(response),
+      engine: ENGINES.HTTP,
+      pdf,
+      enqueueLinks: ({ selector, urls, ...options } = {}) =>
+        enqueueLinks({
+          ...options,
+          urls: urls ?? pdf.links.map((link) => link.url),
+          requestQueue: queue,
+          baseUrl: context.request.loadedUrl ?? context.request.url,
+        }),
+    };
+  };
+
+  const downloadPdf = async (context) => {
+    const gotOptions = { headers: {} };
+    if (auth?.enabled) await auth.httpPreNavigationHook(context, gotOptions);
+
+    await scheduler?.preNavigationHook(context);
+    let response;
+    try {
+      response = await context.sendRequest({
+        headers: gotOptions.headers,
+        responseType: "buffer",
+      });
+    } finally {
+      await scheduler?.postNavigationHook({ ...context, response });
+    }
+
+    if (response.statusCode >= 400) {
+      throw new Error(`PDF request failed with status ${response.statusCode}`);
+    }
+    return response;
+  };
+
+  const getBrowserQueue = async () => {
+    if (!browserQueue) {
+      browserQueue = await openRequestQueue(
+        `engine-fallback-${Date.now().toString(36)}`
+      );
+      ownsBrowserQueue = true;
+    }
+    return browserQueue;
+  };
+
+  // The crawling context's enqueueLinks() stops at the request limit;
+  // this one does not, so links past it stay in the frontier
+  const createLinkEnqueuer =
+    (context, getLinks, getQueue = () => context.crawler.getRequestQueue()) =>
+    async ({ selector = "a", urls, ...options } = {}) =>
+      enqueueLinks({
+        ...options,
+        urls: urls ?? (await getLinks(selector)),
+        requestQueue: await getQueue(),
+        robotsTxtFile: await context.crawler.getRobotsTxtFileForUrl(
+          context.request.url
+        ),
+        onSkippedRequest: sharedOptions.onSkippedRequest,
+        baseUrl: context.request.loadedUrl ?? context.request.url,
+      });
+
+  const getPageLinks = (page) => (selector) =>
+    page.$$eval(selector, (links) =>
+      links.map((link) => link.href).filter(Boolean)
+    );
+
+  const getDocumentLinks = (document) => (selector) =>
+    Array.from(document.querySelectorAll(selector), (link) => link.href).filter(
+      Boolean
+    );
+
+  const createBrowserCrawler = (queue, maxRequests) =>
+    new PlaywrightCrawler({
+      ...sharedOptions,
+      ...browserSettings,
+      requestQueue: queue,
+      maxRequestsPerCrawl: maxRequests,
+      preNavigationHooks: [
+        ...authHooks("browserPreNavigationHook"),
+        ...preNavigationHooks,
+        ...schedulerHooks("preNavigationHook"),
+      ],
+      postNavigationHooks: [
+        ...authHooks("browserPostNavigationHook"),
+        ...postNavigationHooks,
+        ...schedulerHooks("postNavigationHook"),
+      ],
+
+      async requestHandler(context) {
+        if (queue === browserQueue) processedInBrowser++;
+        if (parsePdfs && context.request.skipNavigation) {
+          const response = await downloadPdf(context);
+          const pdf = await extractPdf(response.body, {
+            maxPages: maxPdfPages,
+          });
+          const pdfContext = await createPdfContext(context, response, pdf);
+          await requestHandler({
+            ...pdfContext,
+            enqueueLinks: markPdfLinks(pdfContext.enqueueLinks),
+          });
+          return;
+        }
+
+        // Links of a rendered page go to the main queue, so pages crawled
+        // over HTTP are not extracted again and only pages needing
+        // JavaScript come back to the browser
+        const isFallback = queue === browserQueue;
+        const enqueuePageLinks = createLinkEnqueuer(
+          context,
+          getPageLinks(context.page),
+          isFallback ? () => httpCrawler.getRequestQueue() : undefined
+        );
+        await requestHandler({
+          ...context,
+          engine: ENGINES.BROWSER,
+          enqueueLinks: isFallback
+            ? enqueuePageLinks
+            : markPdfLinks(enqueuePageLinks),
+        });
+      },
+    });
+
+  const httpCrawler = new JSDOMCrawler({
+    ...sharedOptions,
+    ...httpSettings,
+    requestQueue,
+    maxRequestsPerCrawl,
+    hideInternalConsole: true,
+    additionalMimeTypes: [
+      ...(httpSettings.additionalMimeTypes || []),
+      ...(parsePdfs ? [PDF_CONTENT_TYPE] : []),
+    ],
+    preNavigationHooks: [
+      ...authHooks("httpPreNavigationHook"),
+      ...httpPreNavigationHooks,
+      ...schedulerHooks("preNavigationHook"),
+    ],
+    postNavigationHooks: [
+      ...authHooks("httpPostNavigationHook"),
+      ...httpPostNavigationHooks,
+      ...schedulerHooks("postNavigationHook"),
+    ],
+
+    async requestHandler(context) {
+      const { window, request, response, contentType } = context;
+      const notModified = response.statusCode === 304;
+
+      if (parsePdfs && contentType?.type === PDF_CONTENT_TYPE) {
+        processedOverHttp++;
+        const pdf = await extractPdf(context.body, { maxPages: maxPdfPages });
+        await requestHandler(await createPdfContext(context, response, pdf));
+        return;
+      }
+
+      if (engine === ENGINES.AUTO && !notModified) {
+        const detection = requiresBrowser(request)
+          ? { required: true, reason: "page actions" }
+          : detectJavaScriptRequirement(window.document);
+        if (detection.required) {
+          logger.log(
+            `🖥️ ${request.url} needs JavaScript (${detection.reason}), rendering in browser`
+          );
+          const queue = await getBrowserQueue();
+          await queue.addRequest({
+            url: request.url,
+            uniqueKey: request.uniqueKey,
+            userData: { ...request.userData, renderReason: detection.reason },
+          });
+          return;
+        }
+      }
+
+      processedOverHttp++;
+      await requestHandler({
+        ...context,
+        page: createDomPage(window),
+        response: createHttpResponse(response),
+        engine: ENGINES.HTTP,
+        enqueueLinks: createLinkEnqueuer(
+          context,
+          getDocumentLinks(window.document)
+        ),
+      });
+    },
+  });
+
+  // JSDOMCrawler rejects responses without an HTML Content-Type before any
+  // user hook runs; a bodiless 304 is still a valid answer to hand over
+  httpCrawler.postNavigationHooks.unshift(({ response }) => {
+    if (response.statusCode === 304 && !response.headers["content-type"]) {
+      response.headers["content-type"] = "text/html";
+    }
+  });
+
+  return {
+    engine,
+
+    /**
+     * Crawl the requests, then render any pages that needed a browser
+     */
+    async run(requests) {
+      // Requests go straight to the queue; the crawler's own addRequests
+      // would drop those past the request limit
+      const addRequests = async (crawler, list) => {
+        if (!list?.length) return;
+        const queue = await crawler.getRequestQueue();
+        await queue.addRequests(list);
+      };
+
+      // The limit counts this run's requests, while crawlee also counts
+      // those a resumed queue handled in earlier runs
+      const limitThisRun = async (crawler) => {
+        if (!maxRequestsPerCrawl) return;
+        const queue = await crawler.getRequestQueue();
+        crawler.maxRequestsPerCrawl =
+          (await queue.handledCount()) + maxRequestsPerCrawl;
+      };
+
+      if (engine === ENGINES.BROWSER) {
+        const browserCrawler = createBrowserCrawler(
+          requestQueue,
+          maxRequestsPerCrawl
+        );
+        await limitThisRun(browserCrawler);
+        await addRequests(browserCrawler, requests?.map(markPdfRequest));
+        return browserCrawler.run();
+      }
+
+      await limitThisRun(httpCrawler);
+      await addRequests(httpCrawler, requests);
+      const stats = await httpCrawler.run();
+
+      // Rendered pages may enqueue links for the HTTP crawler, which may
+      // hand some of them back to the browser
+      while (
+        engine === ENGINES.AUTO &&
+        browserQueue &&
+        !(await browserQueue.isFinished())
+      ) {
+        const processed = processedOverHttp + processedInBrowser;
+        if (maxRequestsPerCrawl && processed >= maxRequestsPerCrawl) break;
+
+        // The browser crawler counts what its queue handled in earlier rounds
+        await createBrowserCrawler(
+          browserQueue,
+          maxRequestsPerCrawl
+            ? (await browserQueue.handledCount()) +
+                maxRequestsPerCrawl -
+                processed
+            : undefined
+        ).run();
+        const mainQueue = await httpCrawler.getRequestQueue();
+        if (!(await mainQueue.isFinished())) await httpCrawler.run();
+
+        // A round without progress means a request limit was reached
+        if (processedOverHttp + processedInBrowser === processed) break;
+      }
+
+      if (browserQueue) {
+        if (ownsBrowserQueue) {
+          await browserQueue.drop();
+          browserQueue = null;
+          ownsBrowserQueue = false;
+        }
+      }
+
+      return stats;
+    },
+
+    /**
+     * Whether every queued page was processed, i.e. no request limit cut
+     * the crawl short and left pages in the queue
+     */
+    async isFinished() {
+      const queue = requestQueue || (await openRequestQueue());
+      if (!(await queue.isFinished())) return false;
+      return !browserQueue || browserQueue.isFinished();
+    },
+  };
+}
@@ -0,0 +1,7 @@
+/**
+ * Page engines barrel export
+ */
+
+export { createHybridCrawler, ENGINES } from "./hybrid-crawler.js";
+export { createDomPage, createHttpResponse } from "./dom-page.js";
+export { detectJavaScriptRequirement } from "./javascript-detection.js";
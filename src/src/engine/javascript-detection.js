@@ -0,0 +1,67 @@
+/**
+ * Detect pages that only render their content with JavaScript
+ */
+
+// Below this much visible text the page is treated as an empty shell
+const MIN_TEXT_LENGTH = 50;
+
+// A noscript warning only matters when little else is on the page
+const NOSCRIPT_TEXT_LIMIT = 500;
+
+// Mount points of client-side rendered apps
+const SPA_ROOT_SELECTORS = [
+  "#root",
+  "#app",
+  "#__next",
+  "#__nuxt",
+  "#svelte",
+  "[data-reactroot]",
+  "[ng-app]",
+  "[ng-version]",
+  "app-root",
+];
+
+const NOSCRIPT_WARNING =
+  /(enable|turn on|activate)\s+javascript|javascript\s+(is\s+)?(required|disabled|needed)|requires?\s+javascript|need\s+(to\s+)?(enable\s+)?javascript/i;
+
+/**
+ * Check whether a parsed document needs a browser to show its content
+ */
+export function detectJavaScriptRequirement(document) {
+  const body = document.body;
+  if (!body) {
+    return { required: true, reason: "empty body" };
+  }
+
+  const textLength = getVisibleText(body).length;
+  if (textLength < MIN_TEXT_LENGTH) {
+    return { required: true, reason: "empty body" };
+  }
+
+  for (const selector of SPA_ROOT_SELECTORS) {
+    const root = document.querySelector(selector);
+    if (root && getVisibleText(root).length < MIN_TEXT_LENGTH) {
+      return { required: true, reason: `empty SPA root ${selector}` };
+    }
+  }
+
+  const noscriptWarning = Array.from(
+    document.querySelectorAll("noscript")
+  ).some((el) => NOSCRIPT_WARNING.test(el.textContent));
+  if (noscriptWarning && textLength < NOSCRIPT_TEXT_LIMIT) {
+    return { required: true, reason: "noscript warning" };
+  }
+
+  return { required: false, reason: null };
+}
+
+/**
+ * Text a visitor would see, without scripts, styles and noscript fallbacks
+ */
+function getVisibleText(element) {
+  const clone = element.cloneNode(true);
+  clone
+    .querySelectorAll("script, style, noscript, template")
+    .forEach((el) => el.remove());
+  return clone.textContent.replace(/\s+/g, " ").trim();
+}
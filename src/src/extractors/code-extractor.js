@@ -41,10 +41,11 @@ export function isCodePlatform(url) {
  * Extract code content from page (unified interface)
  * This works with the page object directly
  */
-export async function extractCodeContent(page, url) {
+export async function extractCodeContent(page, url, options = {}) {
+  const { logger = console } = options;
   const platform = detectCodePlatform(url);
 
-  console.log(`📂 Detected platform: ${platform}`);
+  logger.log(`📂 Detected platform: ${platform}`);
 
   try {
     // Wait for page to load
@@ -61,7 +62,7 @@ export async function extractCodeContent(page, url) {
         return await extractCodeFromWebsitePage(page, url);
     }
   } catch (error) {
-    console.error(`Error extracting code: ${error.message}`);
+    logger.error(`Error extracting code: ${error.message}`);
     return null;
   }
 }
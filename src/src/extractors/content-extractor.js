@@ -2,8 +2,16 @@
  * Content extraction logic
  */
 
+import {
+  EMBEDDED_ATTRIBUTE,
+  EMBEDDED_SOURCE_ATTRIBUTE,
+} from "../browser/embedded-content.js";
+
 /**
  * Extract structured content from the page
+ *
+ * Items inside inlined shadow roots or frames carry an `origin` with the
+ * shadow host or frame URL they came from; paragraphs stay plain strings.
  */
 export async function extractContent(page, options = {}) {
   // Ensure options has default values
@@ -21,9 +29,23 @@ export async function extractContent(page, options = {}) {
     includeHeadings:
       options.includeHeadings !== undefined ? options.includeHeadings : true,
     ...options,
+    embeddedAttributes: [EMBEDDED_ATTRIBUTE, EMBEDDED_SOURCE_ATTRIBUTE],
   };
 
   const content = await page.evaluate((extractOptions) => {
+    // Where an item was inlined from, if not the page itself
+    const [kindAttribute, sourceAttribute] = extractOptions.embeddedAttributes;
+    const originOf = (el) => {
+      const container = el.closest(`[${kindAttribute}]`);
+      if (!container) return {};
+      return {
+        origin: {
+          type: container.getAttribute(kindAttribute),
+          source: container.getAttribute(sourceAttribute),
+        },
+      };
+    };
+
     const result = {
       headings: [],
       paragraphs: [],
@@ -41,6 +63,7 @@ export async function extractContent(page, options = {}) {
           level: parseInt(heading.tagName[1]),
           text: heading.innerText.trim(),
           id: heading.id || `heading-${index}`,
+          ...originOf(heading),
         });
       });
 
@@ -69,6 +92,7 @@ export async function extractContent(page, options = {}) {
             text: text,
             isExternal: !href.includes(window.location.hostname),
             title: link.title || null,
+            ...originOf(link),
           });
         }
       });
@@ -81,6 +105,7 @@ export async function extractContent(page, options = {}) {
           index: tableIndex,
           headers: [],
           rows: [],
+          ...originOf(table),
         };
 
         // Get headers
@@ -119,6 +144,7 @@ export async function extractContent(page, options = {}) {
             index,
             language,
             code: text,
+            ...originOf(code),
           });
         }
       });
@@ -136,6 +162,7 @@ export async function extractContent(page, options = {}) {
           result.lists.push({
             type: list.tagName.toLowerCase(),
             items,
+            ...originOf(list),
           });
         }
       });
@@ -65,6 +65,7 @@ export async function extractFromGitHub(url, options = {}) {
       ".json",
     ],
     includeTests = false,
+    logger = console,
   } = options;
 
   const parsed = parseGitHubUrl(url);
@@ -73,7 +74,7 @@ export async function extractFromGitHub(url, options = {}) {
     throw new Error(`Invalid GitHub URL: ${url}`);
   }
 
-  console.log(`   📂 GitHub ${parsed.type}: ${parsed.owner}/${parsed.repo}`);
+  logger.log(`   📂 GitHub ${parsed.type}: ${parsed.owner}/${parsed.repo}`);
 
   const token = process.env.GITHUB_TOKEN;
   const headers = {
@@ -92,6 +93,7 @@ export async function extractFromGitHub(url, options = {}) {
         maxFiles,
         extensions,
         includeTests,
+        logger,
       });
     case "blob":
       return await extractSingleFile(parsed, headers);
@@ -110,7 +112,7 @@ export async function extractFromGitHub(url, options = {}) {
 
 async function extractRepository(parsed, headers, options) {
   const { owner, repo, branch, path } = parsed;
-  const { maxFiles, extensions, includeTests } = options;
+  const { maxFiles, extensions, includeTests, logger } = options;
 
   // Get repo info
   let repoInfo = { name: repo, fullName: `${owner}/${repo}` };
@@ -135,7 +137,7 @@ async function extractRepository(parsed, headers, options) {
       };
     }
   } catch (e) {
-    console.log(`   ⚠️ Could not fetch repo info`);
+    logger.log(`   ⚠️ Could not fetch repo info`);
   }
 
   // Get file tree
@@ -187,7 +189,7 @@ async function extractRepository(parsed, headers, options) {
       return true;
     });
 
-    console.log(`   📄 Found ${codeFiles.length} code files`);
+    logger.log(`   📄 Found ${codeFiles.length} code files`);
 
     // Fetch file contents
     const filesToFetch = codeFiles.slice(0, maxFiles);
@@ -208,13 +210,13 @@ async function extractRepository(parsed, headers, options) {
           });
         }
       } catch (e) {
-        console.log(`   ⚠️ Could not fetch: ${file.path}`);
+        logger.log(`   ⚠️ Could not fetch: ${file.path}`);
       }
     }
 
-    console.log(`   ✅ Fetched ${files.length} files`);
+    logger.log(`   ✅ Fetched ${files.length} files`);
   } catch (error) {
-    console.log(`   ⚠️ Tree fetch failed: ${error.message}`);
+    logger.log(`   ⚠️ Tree fetch failed: ${error.message}`);
 
     // Fallback: try to get README
     try {
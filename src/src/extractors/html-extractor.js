@@ -0,0 +1,68 @@
+/**
+ * Clean HTML extraction
+ *
+ * Serializes the content element without anything executable or
+ * presentational: scripts, styles, event handlers, inline styles and
+ * class names are dropped, and link and image URLs are made absolute so
+ * the markup stands on its own outside the page.
+ */
+
+/**
+ * Clean HTML of the element matching `selector` (default: the body)
+ */
+export async function extractHtml(page, options = {}) {
+  const { selector = "body" } = options;
+
+  return page.evaluate((rootSelector) => {
+    const root = document.querySelector(rootSelector) || document.body;
+    if (!root) return "";
+
+    const KEPT_ATTRIBUTES = new Set([
+      "href",
+      "src",
+      "alt",
+      "title",
+      "colspan",
+      "rowspan",
+      "start",
+      "lang",
+      "datetime",
+      "cite",
+    ]);
+    const clone = root.cloneNode(true);
+
+    clone
+      .querySelectorAll(
+        "script, noscript, style, template, link, meta, iframe, object, embed"
+      )
+      .forEach((el) => el.remove());
+
+    [clone, ...clone.querySelectorAll("*")].forEach((el) => {
+      // Lazy-loaded images keep their real source in a data attribute
+      const lazySource = el.tagName === "IMG" && el.getAttribute("data-src");
+      if (lazySource) el.setAttribute("src", lazySource);
+
+      Array.from(el.attributes).forEach(({ name, value }) => {
+        const keepsLanguage =
+          name === "class" &&
+          (el.tagName === "CODE" || el.tagName === "PRE") &&
+          /lang/.test(value);
+        if (!KEPT_ATTRIBUTES.has(name) && !keepsLanguage) {
+          el.removeAttribute(name);
+        } else if (name === "href" || name === "src") {
+          if (/^\s*(javascript|data):/i.test(value)) {
+            el.removeAttribute(name);
+            return;
+          }
+          try {
+            el.setAttribute(name, new URL(value, document.baseURI).href);
+          } catch (e) {
+            el.removeAttribute(name);
+          }
+        }
+      });
+    });
+
+    return clone.innerHTML.replace(/\n{3,}/g, "\n\n").trim();
+  }, selector);
+}
@@ -5,9 +5,18 @@
 export { extractContent } from "./content-extractor.js";
 export { extractMetadata } from "./metadata-extractor.js";
 export { extractMedia } from "./media-extractor.js";
+export { detectMainContent, MAIN_CONTENT_ATTRIBUTE } from "./main-content.js";
+export { extractMarkdown } from "./markdown-extractor.js";
+export { extractHtml } from "./html-extractor.js";
 export { extractFromGitHub, parseGitHubUrl } from "./github-extractor.js";
 export {
   extractFromStackOverflow,
   extractCodeFromWebsite,
   detectCodePlatform,
 } from "./code-extractor.js";
+export {
+  extractPdf,
+  isPdfUrl,
+  PDF_CONTENT_TYPE,
+  DEFAULT_MAX_PDF_PAGES,
+} from "./pdf-extractor.js";
@@ -25,8 +25,14 @@ function isCodePlatform(url) {
 /**
  * Execute extraction based on plan
  */
-export async function executeExtractionPlan(page, plan, aiConfig) {
-  console.log(`🎯 Executing: ${plan.intent}`);
+export async function executeExtractionPlan(
+  page,
+  plan,
+  aiConfig,
+  options = {}
+) {
+  const { logger = console } = options;
+  logger.log(`🎯 Executing: ${plan.intent}`);
 
   const results = {
     instruction: plan.instruction,
@@ -44,11 +50,11 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
   try {
     // Check if it's a code platform and user wants code
     if (plan.extractors.includes("code") || isCodePlatform(plan.url)) {
-      console.log("💻 Extracting code content...");
+      logger.log("💻 Extracting code content...");
       try {
         // Dynamic import to avoid issues if code-extractor doesn't export extractCodeContent
         const { extractCodeContent } = await import("./code-extractor.js");
-        const codeData = await extractCodeContent(page, plan.url);
+        const codeData = await extractCodeContent(page, plan.url, { logger });
 
         // Filter for specific file if requested
         if (plan.options.specificFile && codeData && codeData.files) {
@@ -61,13 +67,13 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
           results.data.code = codeData;
         }
       } catch (error) {
-        console.log(`⚠️ Code extraction failed: ${error.message}`);
+        logger.log(`⚠️ Code extraction failed: ${error.message}`);
       }
     }
 
     // Extract general content
     if (plan.extractors.includes("content")) {
-      console.log("📄 Extracting content...");
+      logger.log("📄 Extracting content...");
       try {
         const content = await extractContent(page, {
           includeLinks: plan.options.includeLinks || false,
@@ -114,13 +120,13 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
           results.data.paragraphs = content.paragraphs || [];
         }
       } catch (error) {
-        console.log(`⚠️ Content extraction failed: ${error.message}`);
+        logger.log(`⚠️ Content extraction failed: ${error.message}`);
       }
     }
 
     // Extract media
     if (plan.extractors.includes("media")) {
-      console.log("🖼️ Extracting media...");
+      logger.log("🖼️ Extracting media...");
       try {
         const media = await extractMedia(page, {
           includeImages: plan.options.includeImages || false,
@@ -129,13 +135,13 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
         results.data.images = media.images || [];
         results.data.videos = media.videos || [];
       } catch (error) {
-        console.log(`⚠️ Media extraction failed: ${error.message}`);
+        logger.log(`⚠️ Media extraction failed: ${error.message}`);
       }
     }
 
     // Extract structured data
     if (plan.extractors.includes("structured")) {
-      console.log("📊 Extracting structured data...");
+      logger.log("📊 Extracting structured data...");
       try {
         const structured = await extractStructuredData(page, {
           includePricing: plan.options.includePricing || false,
@@ -163,20 +169,20 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
           results.data.structured = structured;
         }
       } catch (error) {
-        console.log(`⚠️ Structured data extraction failed: ${error.message}`);
+        logger.log(`⚠️ Structured data extraction failed: ${error.message}`);
       }
     }
 
     // Extract metadata
-    console.log("🏷️ Extracting metadata...");
+    logger.log("🏷️ Extracting metadata...");
     try {
       results.data.metadata = await extractMetadata(page);
     } catch (error) {
-      console.log(`⚠️ Metadata extraction failed: ${error.message}`);
+      logger.log(`⚠️ Metadata extraction failed: ${error.message}`);
       results.data.metadata = { error: error.message };
     }
   } catch (error) {
-    console.error(`❌ Extraction plan execution error: ${error.message}`);
+    logger.error(`❌ Extraction plan execution error: ${error.message}`);
     throw error;
   }
 
@@ -186,12 +192,13 @@ export async function executeExtractionPlan(page, plan, aiConfig) {
 /**
  * Post-process results with AI if needed
  */
-export async function postProcessWithAI(results, plan, aiConfig) {
+export async function postProcessWithAI(results, plan, aiConfig, options = {}) {
+  const { logger = console } = options;
   if (!plan.requiresAI || !aiConfig || !aiConfig.aiProvider) {
     return results;
   }
 
-  console.log(`🤖 Post-processing with AI: ${plan.aiTask}`);
+  logger.log(`🤖 Post-processing with AI: ${plan.aiTask}`);
 
   let prompt = "";
   let dataContext = JSON.stringify(results.data, null, 2).substring(0, 8000);
@@ -237,9 +244,11 @@ Provide the requested information.`;
   try {
     const aiResponse = await callAI(prompt, {
       provider: aiConfig.aiProvider,
+      apiKey: aiConfig.aiApiKey,
       model: aiConfig.aiModel,
       maxTokens: 1000,
       temperature: 0.3,
+      logger,
     });
 
     results.aiProcessing = {
@@ -250,7 +259,7 @@ Provide the requested information.`;
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
-    console.log(`⚠️ AI processing failed: ${error.message}`);
+    logger.log(`⚠️ AI processing failed: ${error.message}`);
     results.aiProcessing = {
       task: plan.aiTask,
       error: error.message,
@@ -259,3 +268,92 @@ Provide the requested information.`;
 
   return results;
 }
+
+/**
+ * Number of items a result holds: the length of its longest list
+ */
+export function countExtractedItems(result) {
+  const longest = (value) => {
+    if (Array.isArray(value)) return value.length;
+    if (value && typeof value === "object") {
+      return Math.max(0, ...Object.values(value).map(longest));
+    }
+    return 0;
+  };
+
+  const { metadata, ...data } = result?.data || {};
+  return longest(data);
+}
+
+/**
+ * Merge the results of several pages of one listing into one result
+ *
+ * Lists are concatenated without duplicates and capped at `maxItems`,
+ * texts are joined, and for single values the first page wins.
+ */
+export function mergeExtractionResults(results, options = {}) {
+  const { maxItems = Infinity } = options;
+  if (results.length === 0) return null;
+
+  let truncated = false;
+
+  const merge = (a, b) => {
+    if (a === undefined || a === null) return b;
+    if (b === undefined || b === null) return a;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const seen = new Set(a.map((item) => JSON.stringify(item)));
+      const merged = [...a];
+      for (const item of b) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(item);
+      }
+      return merged;
+    }
+
+    if (typeof a === "string" && typeof b === "string") {
+      return a === b ? a : `${a}\n\n${b}`;
+    }
+
+    if (typeof a === "object" && typeof b === "object") {
+      const merged = { ...a };
+      Object.keys(b).forEach((key) => {
+        merged[key] = merge(a[key], b[key]);
+      });
+      return merged;
+    }
+
+    return a;
+  };
+
+  const cap = (value) => {
+    if (Array.isArray(value)) {
+      if (value.length > maxItems) truncated = true;
+      return value.slice(0, maxItems);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, cap(item)])
+      );
+    }
+    return value;
+  };
+
+  // Metadata describes a single page, so only the first page's is kept
+  const withoutMetadata = ({ metadata, ...data } = {}) => data;
+
+  const [first, ...rest] = results;
+  const data = rest.reduce(
+    (merged, result) => merge(merged, withoutMetadata(result.data)),
+    withoutMetadata(first.data)
+  );
+  const metadata = first.data?.metadata;
+
+  return {
+    ...first,
+    data: { ...cap(data), ...(metadata && { metadata }) },
+    truncated,
+  };
+}
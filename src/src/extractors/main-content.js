@@ -0,0 +1,295 @@
+/**
+ * Main content detection by scoring
+ *
+ * Taking the first element that matches a selector list goes wrong both
+ * ways: `.content` often matches a small wrapper, and `main` may hold whole
+ * sidebars. Instead every paragraph scores its ancestors, weighted by text
+ * length, link density and class/id hints; the selector list only adds a
+ * bonus.
+ */
+
+import { MAIN_CONTENT_SELECTORS } from "../constants.js";
+
+export const MAIN_CONTENT_ATTRIBUTE = "data-main-content";
+
+/**
+ * Find and mark the main content element of a page
+ *
+ * Returns a `selector` for the chosen element (the element is marked with
+ * an attribute, so the selector stays valid until the next detection), a
+ * `confidence` between 0 and 1, and an `explanation` of the choice.
+ */
+export async function detectMainContent(page, options = {}) {
+  const { hintSelectors = MAIN_CONTENT_SELECTORS } = options;
+
+  return page.evaluate(
+    ({ hints, attribute }) => {
+      const POSITIVE =
+        /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story|docs?|markdown|prose/i;
+      const NEGATIVE =
+        /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|breadcrumb|cookie|modal|popup|\bads?\b/i;
+      const PARAGRAPHS = "p, pre, td, blockquote, li, dd";
+      const HINT_BONUS = 25;
+
+      document
+        .querySelectorAll(`[${attribute}]`)
+        .forEach((el) => el.removeAttribute(attribute));
+
+      const textOf = (el) => (el.textContent || "").replace(/\s+/g, " ").trim();
+
+      const describe = (el) => {
+        if (el === document.body) return "body";
+        const id = el.id ? `#${el.id}` : "";
+        const classes = Array.from(el.classList || [])
+          .slice(0, 3)
+          .map((name) => `.${name}`)
+          .join("");
+        return `${el.tagName.toLowerCase()}${id}${classes}`;
+      };
+
+      const pathOf = (el) => {
+        const parts = [];
+        for (let node = el; node && node !== document.body; ) {
+          parts.unshift(describe(node));
+          if (node.id) break;
+          node = node.parentElement;
+        }
+        return parts.length > 0 ? parts.join(" > ") : "body";
+      };
+
+      const classValues = (el) =>
+        [el.className, el.id].filter(
+          (value) => typeof value === "string" && value
+        );
+      const classPenalty = (el) =>
+        classValues(el).filter((value) => NEGATIVE.test(value)).length * -25;
+      const hasPositiveClass = (el) =>
+        classValues(el).some((value) => POSITIVE.test(value));
+
+      const tagWeight = (el) => {
+        switch (el.tagName) {
+          case "ARTICLE":
+          case "MAIN":
+            return 10;
+          case "DIV":
+          case "SECTION":
+            return 5;
+          case "PRE":
+          case "TD":
+          case "BLOCKQUOTE":
+            return 3;
+          case "OL":
+          case "UL":
+          case "DL":
+          case "LI":
+          case "FORM":
+          case "ASIDE":
+          case "NAV":
+            return -3;
+          case "H1":
+          case "H2":
+          case "H3":
+          case "H4":
+          case "H5":
+          case "H6":
+          case "TH":
+          case "HEADER":
+          case "FOOTER":
+            return -5;
+          default:
+            return 0;
+        }
+      };
+
+      const matchesHint = (el) =>
+        hints.find((selector) => {
+          try {
+            return el.matches(selector);
+          } catch (e) {
+            return false;
+          }
+        });
+
+      const linkDensity = (el, textLength) => {
+        if (!textLength) return 0;
+        const linkLength = Array.from(el.querySelectorAll("a")).reduce(
+          (sum, a) => sum + textOf(a).length,
+          0
+        );
+        return Math.min(1, linkLength / textLength);
+      };
+
+      // Each paragraph adds to its parent, and less to older ancestors
+      const candidates = new Map();
+      const candidateFor = (el) => {
+        if (!candidates.has(el)) {
+          candidates.set(el, {
+            el,
+            score: tagWeight(el) + classPenalty(el),
+            paragraphs: 0,
+            paragraphText: 0,
+          });
+        }
+        return candidates.get(el);
+      };
+
+      let paragraphText = 0;
+      document.querySelectorAll(PARAGRAPHS).forEach((paragraph) => {
+        if (paragraph.closest("[hidden], [aria-hidden='true']")) return;
+        const text = textOf(paragraph);
+        if (text.length < 25) return;
+        paragraphText += text.length;
+
+        const score =
+          1 +
+          (text.match(/,/g) || []).length +
+          Math.min(Math.floor(text.length / 100), 3);
+
+        let ancestor = paragraph.parentElement;
+        for (let level = 0; ancestor && level < 3; level++) {
+          if (ancestor === document.documentElement) break;
+          const candidate = candidateFor(ancestor);
+          candidate.score += score / (level === 0 ? 1 : level * 2);
+          candidate.paragraphText += text.length;
+          if (level === 0) candidate.paragraphs++;
+          ancestor = ancestor.parentElement;
+        }
+      });
+
+      const ranked = Array.from(candidates.values())
+        .map((candidate) => {
+          const text = textOf(candidate.el);
+          const density = linkDensity(candidate.el, text.length);
+          const hint = matchesHint(candidate.el);
+          // A hint selector or a content-like class/id vouches for a
+          // candidate only as far as it holds the page's paragraphs, and
+          // counts once when both apply
+          const share = paragraphText
+            ? candidate.paragraphText / paragraphText
+            : 0;
+          const bonus =
+            hint || hasPositiveClass(candidate.el) ? HINT_BONUS * share : 0;
+          return {
+            ...candidate,
+            hint,
+            bonus,
+            textLength: text.length,
+            linkDensity: density,
+            finalScore: (candidate.score + bonus) * (1 - density),
+          };
+        })
+        .sort((a, b) => b.finalScore - a.finalScore);
+
+      let best = ranked[0];
+
+      // Content split across sibling blocks (sections of one post) belongs
+      // together: take their parent when a sibling scores close to the best
+      if (best) {
+        const parent = candidates.has(best.el.parentElement)
+          ? ranked.find((candidate) => candidate.el === best.el.parentElement)
+          : null;
+        const strongSibling = ranked.some(
+          (candidate) =>
+            candidate !== best &&
+            candidate.el.parentElement === best.el.parentElement &&
+            candidate.finalScore >= best.finalScore * 0.5
+        );
+        if (
+          parent &&
+          strongSibling &&
+          parent.el !== document.body &&
+          parent.finalScore >= best.finalScore * 0.75
+        ) {
+          best = parent;
+        }
+      }
+
+      if (!best || best.finalScore <= 0) {
+        const fallback =
+          hints
+            .map((selector) => {
+              try {
+                return document.querySelector(selector);
+              } catch (e) {
+                return null;
+              }
+            })
+            .find(Boolean) || document.body;
+        if (!fallback) {
+          return { selector: "body", confidence: 0, explanation: null };
+        }
+        fallback.setAttribute(attribute, "");
+        return {
+          selector: `[${attribute}]`,
+          confidence: fallback === document.body ? 0.1 : 0.2,
+          explanation: {
+            node: pathOf(fallback),
+            reasons: [
+              "no scored paragraphs",
+              fallback === document.body
+                ? "fell back to the whole body"
+                : "fell back to the first matching hint selector",
+            ],
+          },
+        };
+      }
+
+      const runnerUp = ranked.find(
+        (candidate) =>
+          candidate !== best &&
+          !candidate.el.contains(best.el) &&
+          !best.el.contains(candidate.el)
+      );
+      const coverage = paragraphText
+        ? Math.min(
+            1,
+            (best.textLength * (1 - best.linkDensity)) / paragraphText
+          )
+        : 0;
+      const margin = runnerUp
+        ? 1 - Math.max(0, runnerUp.finalScore) / best.finalScore
+        : 1;
+      const confidence =
+        Math.round(
+          Math.max(
+            0,
+            Math.min(
+              1,
+              0.5 * coverage + 0.3 * margin + 0.2 * (1 - best.linkDensity)
+            )
+          ) * 100
+        ) / 100;
+
+      const reasons = [
+        `${best.paragraphs} paragraph(s) directly inside`,
+        `${best.textLength} characters of text`,
+        `link density ${best.linkDensity.toFixed(2)}`,
+      ];
+      const penalty = classPenalty(best.el);
+      if (penalty !== 0) reasons.push(`class/id penalty ${penalty}`);
+      if (best.bonus > 0) {
+        reasons.push(
+          `${best.hint ? `matches hint selector ${best.hint}` : "content-like class/id"} +${best.bonus.toFixed(1)}`
+        );
+      }
+      if (runnerUp) {
+        reasons.push(
+          `runner-up ${pathOf(runnerUp.el)} scored ${runnerUp.finalScore.toFixed(1)}`
+        );
+      }
+
+      best.el.setAttribute(attribute, "");
+
+      return {
+        selector: `[${attribute}]`,
+        confidence,
+        explanation: {
+          node: pathOf(best.el),
+          score: Math.round(best.finalScore * 10) / 10,
+          reasons,
+        },
+      };
+    },
+    { hints: hintSelectors, attribute: MAIN_CONTENT_ATTRIBUTE }
+  );
+}
@@ -0,0 +1,339 @@
+/**
+ * DOM to Markdown conversion
+ *
+ * Walks the content element in document order and keeps its structure:
+ * headings, nested lists, inline links and emphasis, blockquotes, GFM
+ * tables and fenced code with its language. Link and image URLs are
+ * resolved against the page URL.
+ */
+
+/**
+ * Convert the element matching `selector` (default: the body) to Markdown
+ */
+export async function extractMarkdown(page, options = {}) {
+  const { selector = "body" } = options;
+
+  return page.evaluate((rootSelector) => {
+    const root = document.querySelector(rootSelector) || document.body;
+    if (!root) return "";
+
+    const SKIPPED = new Set([
+      "SCRIPT",
+      "STYLE",
+      "NOSCRIPT",
+      "TEMPLATE",
+      "SVG",
+      "CANVAS",
+      "IFRAME",
+      "BUTTON",
+      "INPUT",
+      "SELECT",
+      "TEXTAREA",
+    ]);
+    const BLOCKS = new Set([
+      "ADDRESS",
+      "ARTICLE",
+      "ASIDE",
+      "BLOCKQUOTE",
+      "DD",
+      "DETAILS",
+      "DIV",
+      "DL",
+      "DT",
+      "FIELDSET",
+      "FIGCAPTION",
+      "FIGURE",
+      "FOOTER",
+      "FORM",
+      "H1",
+      "H2",
+      "H3",
+      "H4",
+      "H5",
+      "H6",
+      "HEADER",
+      "HR",
+      "LI",
+      "MAIN",
+      "NAV",
+      "OL",
+      "P",
+      "PRE",
+      "SECTION",
+      "SUMMARY",
+      "TABLE",
+      "UL",
+    ]);
+    const BLOCK_SELECTOR = Array.from(BLOCKS).join(",").toLowerCase();
+
+    const isHidden = (el) =>
+      el.hidden ||
+      el.getAttribute("aria-hidden") === "true" ||
+      /display\s*:\s*none/i.test(el.getAttribute("style") || "");
+
+    const resolveUrl = (value) => {
+      if (!value || /^(javascript|data):/i.test(value.trim())) return null;
+      try {
+        return new URL(value.trim(), document.baseURI).href.replace(
+          /[ ()]/g,
+          (c) => ({ " ": "%20", "(": "%28", ")": "%29" })[c]
+        );
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const escapeText = (text) => text.replace(/([\\`*_[\]])/g, "\\$1");
+
+    const codeSpan = (text) => {
+      const longest = Math.max(
+        0,
+        ...(text.match(/`+/g) || []).map((run) => run.length)
+      );
+      const fence = "`".repeat(longest + 1);
+      const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+      return `${fence}${pad}${text}${pad}${fence}`;
+    };
+
+    // Emphasis markers must hug the text, so outer spaces move outside
+    const wrap = (content, marker) => {
+      const trimmed = content.trim();
+      if (!trimmed) return content;
+      const lead = content.match(/^\s*/)[0];
+      const trail = content.match(/\s*$/)[0];
+      return `${lead ? " " : ""}${marker}${trimmed}${marker}${trail ? " " : ""}`;
+    };
+
+    const image = (img) => {
+      const src = resolveUrl(
+        img.getAttribute("data-src") || img.getAttribute("src")
+      );
+      if (!src) return "";
+      const alt = (img.getAttribute("alt") || "").replace(/[[\]\n]/g, " ");
+      return `![${alt.trim()}](${src})`;
+    };
+
+    // Inline content; "\n" marks a hard line break
+    const inline = (node) => {
+      if (node.nodeType === 3) {
+        return escapeText(node.textContent.replace(/\s+/g, " "));
+      }
+      if (node.nodeType !== 1 || SKIPPED.has(node.tagName)) return "";
+      if (isHidden(node)) return "";
+
+      const children = () => Array.from(node.childNodes).map(inline).join("");
+
+      switch (node.tagName) {
+        case "BR":
+          return "\n";
+        case "IMG":
+          return image(node);
+        case "A": {
+          const content = children().replace(/\s*\n\s*/g, " ");
+          const text = content.trim();
+          const href = resolveUrl(node.getAttribute("href"));
+          if (!text || !href) return content;
+          const lead = /^\s/.test(content) ? " " : "";
+          const trail = /\s$/.test(content) ? " " : "";
+          return `${lead}[${text}](${href})${trail}`;
+        }
+        case "STRONG":
+        case "B":
+          return wrap(children(), "**");
+        case "EM":
+        case "I":
+        case "CITE":
+          return wrap(children(), "_");
+        case "DEL":
+        case "S":
+        case "STRIKE":
+          return wrap(children(), "~~");
+        case "CODE":
+        case "KBD":
+        case "SAMP": {
+          const text = node.textContent.replace(/\s+/g, " ");
+          return text.trim() ? codeSpan(text) : "";
+        }
+        default:
+          return BLOCKS.has(node.tagName) ? ` ${children()} ` : children();
+      }
+    };
+
+    // Paragraph text: one trimmed line per hard break, block syntax escaped
+    const paragraph = (text) =>
+      text
+        .split("\n")
+        .map((line) =>
+          line
+            .replace(/\s+/g, " ")
+            .trim()
+            .replace(/^([#>+=-]|\d+[.)])(?=\s|$)/, "\\$1")
+        )
+        .filter(Boolean)
+        .join("  \n");
+
+    const codeBlock = (pre) => {
+      const code = pre.querySelector("code");
+      const hints = [
+        pre.getAttribute("data-lang"),
+        pre.getAttribute("data-language"),
+        code?.getAttribute("data-lang"),
+        code?.getAttribute("data-language"),
+        code?.className,
+        pre.className,
+        pre.parentElement?.className,
+      ]
+        .filter(Boolean)
+        .join(" ");
+      const language =
+        hints.match(
+          /(?:^|\s)(?:language|lang|highlight-source|brush:?)[-\s]?([\w+#.-]+)/i
+        )?.[1] || "";
+
+      const text = pre.textContent.replace(/\n+$/, "");
+      const longest = Math.max(
+        2,
+        ...(text.match(/^`{3,}/gm) || []).map((run) => run.length)
+      );
+      const fence = "`".repeat(longest + 1);
+      return `${fence}${language.toLowerCase()}\n${text}\n${fence}`;
+    };
+
+    const tableCell = (cell) =>
+      paragraph(inline(cell))
+        .replace(/ {2}\n/g, "<br>")
+        .replace(/\|/g, "\\|");
+
+    const table = (el) => {
+      const rows = Array.from(el.rows || []).filter((row) => !isHidden(row));
+      const width = Math.max(
+        0,
+        ...rows.map((row) =>
+          Array.from(row.cells).reduce(
+            (sum, cell) => sum + (parseInt(cell.colSpan, 10) || 1),
+            0
+          )
+        )
+      );
+
+      // Layout tables hold blocks rather than data
+      const isLayout =
+        width < 2 || el.querySelector("table, pre, ul, ol, h1, h2, h3, h4");
+      if (isLayout) {
+        return rows
+          .flatMap((row) => Array.from(row.cells))
+          .map((cell) => children(cell))
+          .filter(Boolean)
+          .join("\n\n");
+      }
+
+      const grid = rows.map((row) => {
+        const cells = [];
+        Array.from(row.cells).forEach((cell) => {
+          cells.push(tableCell(cell));
+          for (let i = 1; i < (parseInt(cell.colSpan, 10) || 1); i++) {
+            cells.push("");
+          }
+        });
+        while (cells.length < width) cells.push("");
+        return `| ${cells.join(" | ")} |`;
+      });
+
+      const caption = el.caption ? paragraph(inline(el.caption)) : "";
+      const separator = `| ${Array(width).fill("---").join(" | ")} |`;
+      return [
+        ...(caption ? [caption, ""] : []),
+        grid[0],
+        separator,
+        ...grid.slice(1),
+      ].join("\n");
+    };
+
+    const list = (el) => {
+      const ordered = el.tagName === "OL";
+      let number = parseInt(el.getAttribute("start"), 10) || 1;
+
+      return Array.from(el.children)
+        .filter((item) => item.tagName === "LI" && !isHidden(item))
+        .map((item) => {
+          const marker = ordered ? `${number++}.` : "-";
+          const indent = " ".repeat(marker.length + 1);
+          const [first = "", ...rest] = children(item, "\n").split("\n");
+          return [
+            `${marker} ${first}`,
+            ...rest.map((line) => (line ? indent + line : "")),
+          ].join("\n");
+        })
+        .join("\n");
+    };
+
+    const block = (el) => {
+      switch (el.tagName) {
+        case "H1":
+        case "H2":
+        case "H3":
+        case "H4":
+        case "H5":
+        case "H6": {
+          const text = paragraph(inline(el)).replace(/ {2}\n/g, " ");
+          return text ? `${"#".repeat(Number(el.tagName[1]))} ${text}` : "";
+        }
+        case "P":
+        case "DT":
+        case "SUMMARY":
+        case "FIGCAPTION":
+          return el.tagName === "DT"
+            ? wrap(paragraph(inline(el)), "**")
+            : paragraph(inline(el));
+        case "UL":
+        case "OL":
+          return list(el);
+        case "PRE":
+          return codeBlock(el);
+        case "TABLE":
+          return table(el);
+        case "HR":
+          return "---";
+        case "BLOCKQUOTE":
+          return children(el)
+            .split("\n")
+            .map((line) => (line ? `> ${line}` : ">"))
+            .join("\n");
+        default:
+          return children(el);
+      }
+    };
+
+    // Blocks of an element; runs of inline content become paragraphs
+    function children(el, separator = "\n\n") {
+      const parts = [];
+      let run = "";
+      const flush = () => {
+        const text = paragraph(run);
+        if (text) parts.push(text);
+        run = "";
+      };
+
+      el.childNodes.forEach((node) => {
+        if (node.nodeType === 1) {
+          if (SKIPPED.has(node.tagName) || isHidden(node)) return;
+          const isBlock =
+            BLOCKS.has(node.tagName) ||
+            (node.tagName !== "A" && node.querySelector(BLOCK_SELECTOR));
+          if (isBlock) {
+            flush();
+            const rendered = block(node);
+            if (rendered) parts.push(rendered);
+            return;
+          }
+        }
+        run += inline(node);
+      });
+      flush();
+
+      return parts.join(separator);
+    }
+
+    return block(root).trim();
+  }, selector);
+}
@@ -2,11 +2,35 @@
  * Media extraction logic (images, videos, etc.)
  */
 
+import {
+  EMBEDDED_ATTRIBUTE,
+  EMBEDDED_SOURCE_ATTRIBUTE,
+} from "../browser/embedded-content.js";
+
 /**
  * Extract media content from the page
+ *
+ * Media inside inlined shadow roots or frames carries an `origin`.
  */
 export async function extractMedia(page, options = {}) {
+  const evaluateOptions = {
+    ...options,
+    embeddedAttributes: [EMBEDDED_ATTRIBUTE, EMBEDDED_SOURCE_ATTRIBUTE],
+  };
+
   const media = await page.evaluate((opts) => {
+    const [kindAttribute, sourceAttribute] = opts.embeddedAttributes;
+    const originOf = (el) => {
+      const container = el.closest(`[${kindAttribute}]`);
+      if (!container) return {};
+      return {
+        origin: {
+          type: container.getAttribute(kindAttribute),
+          source: container.getAttribute(sourceAttribute),
+        },
+      };
+    };
+
     const result = {
       images: [],
       videos: [],
@@ -26,6 +50,7 @@ export async function extractMedia(page, options = {}) {
             width: img.naturalWidth || img.width || null,
             height: img.naturalHeight || img.height || null,
             loading: img.loading || "eager",
+            ...originOf(img),
           });
         }
       });
@@ -43,6 +68,7 @@ export async function extractMedia(page, options = {}) {
               alt: "",
               title: "",
               type: "background",
+              ...originOf(el),
             });
           }
         });
@@ -59,6 +85,7 @@ export async function extractMedia(page, options = {}) {
             src: video.src || video.querySelector("source")?.src || null,
             poster: video.poster || null,
             duration: video.duration || null,
+            ...originOf(video),
           });
         } else {
           result.videos.push({
@@ -66,12 +93,13 @@ export async function extractMedia(page, options = {}) {
             type: "embed",
             src: video.src,
             platform: video.src.includes("youtube") ? "youtube" : "vimeo",
+            ...originOf(video),
           });
         }
       });
 
     return result;
-  }, options);
+  }, evaluateOptions);
 
   return media;
 }
@@ -0,0 +1,325 @@
+/**
+ * PDF document extraction
+ *
+ * PDFs are parsed locally with pdf.js. Text comes positioned glyph run by
+ * glyph run, so lines, headings and tables are rebuilt from coordinates and
+ * font sizes; the document outline is preferred for headings when present.
+ */
+
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+export const PDF_CONTENT_TYPE = "application/pdf";
+export const DEFAULT_MAX_PDF_PAGES = 200;
+
+// Fraction of the font size two runs may differ vertically and share a line
+const LINE_TOLERANCE = 0.5;
+// Horizontal gap, in font sizes, that separates table cells
+const CELL_GAP = 2;
+const MIN_TABLE_ROWS = 3;
+
+/**
+ * Whether a URL looks like a PDF document
+ */
+export function isPdfUrl(url) {
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Extract text, page sections, headings, tables, links and metadata
+ *
+ * Only the first `maxPages` pages are read; `truncated` tells when the
+ * document had more.
+ */
+export async function extractPdf(data, options = {}) {
+  const { maxPages = DEFAULT_MAX_PDF_PAGES } = options;
+
+  const doc = await getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pageCount = doc.numPages;
+    const pages = [];
+    const links = [];
+
+    for (let number = 1; number <= Math.min(pageCount, maxPages); number++) {
+      const page = await doc.getPage(number);
+      const { items } = await page.getTextContent();
+      const lines = groupLines(items);
+
+      pages.push({
+        pageNumber: number,
+        lines,
+        text: joinLines(lines),
+      });
+
+      const annotations = await page.getAnnotations();
+      annotations
+        .filter((annotation) => annotation.subtype === "Link" && annotation.url)
+        .forEach((annotation) =>
+          links.push({ url: annotation.url, text: "", page: number })
+        );
+
+      page.cleanup();
+    }
+
+    const metadata = await readMetadata(doc, pageCount);
+    const outline = await readOutline(doc);
+    const headings = outline.length > 0 ? outline : detectHeadings(pages);
+
+    const tables = pages.flatMap((page) =>
+      detectTables(page.lines).map((rows, index) => ({
+        index,
+        page: page.pageNumber,
+        headers: rows[0],
+        rows: rows.slice(1),
+      }))
+    );
+    tables.forEach((table, index) => (table.index = index));
+
+    const firstLine = pages.find((page) => page.lines.length > 0)?.lines[0];
+
+    return {
+      title: metadata.title || headings[0]?.text || firstLine?.text || null,
+      textContent: pages
+        .map((page) => page.text)
+        .filter(Boolean)
+        .join("\n\n"),
+      pages: pages.map(({ pageNumber, text }) => ({ pageNumber, text })),
+      headings,
+      tables,
+      links,
+      metadata,
+      truncated: pageCount > maxPages,
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Merge positioned text runs into reading-order lines
+ *
+ * Each line keeps its cells: runs separated by a wide gap, which is how
+ * table columns show up in a PDF.
+ */
+function groupLines(items) {
+  const runs = items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: Math.abs(item.transform[3]) || item.height || 10,
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  runs.forEach((run) => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= line.size * LINE_TOLERANCE) {
+      line.runs.push(run);
+      line.size = Math.max(line.size, run.size);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  });
+
+  return lines.map((line) => {
+    const cells = [];
+    line.runs
+      .sort((a, b) => a.x - b.x)
+      .forEach((run) => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? run.x - (cell.x + cell.width) : Infinity;
+        if (cell && gap < run.size * CELL_GAP) {
+          const space = gap > run.size * 0.15 && !/\s$/.test(cell.text);
+          cell.text += (space ? " " : "") + run.text;
+          cell.width = run.x + run.width - cell.x;
+        } else {
+          cells.push({ text: run.text, x: run.x, width: run.width });
+        }
+      });
+
+    const cellTexts = cells.map((cell) =>
+      cell.text.replace(/\s+/g, " ").trim()
+    );
+    return {
+      text: cellTexts.join(" "),
+      cells: cellTexts,
+      cellX: cells.map((cell) => cell.x),
+      y: line.y,
+      size: line.size,
+    };
+  });
+}
+
+/**
+ * Page text with a blank line wherever the vertical gap suggests a new
+ * paragraph
+ */
+function joinLines(lines) {
+  return lines
+    .map((line, i) => {
+      const previous = lines[i - 1];
+      const gap = previous ? previous.y - line.y : 0;
+      return (previous && gap > previous.size * 1.8 ? "\n" : "") + line.text;
+    })
+    .join("\n");
+}
+
+/**
+ * Headings from font sizes: short lines set larger than the body text
+ *
+ * The most common size is taken as the body; larger sizes rank as levels
+ * 1 to 3, biggest first.
+ */
+function detectHeadings(pages) {
+  const sizeCounts = new Map();
+  pages.forEach((page) =>
+    page.lines.forEach((line) => {
+      const size = Math.round(line.size);
+      sizeCounts.set(size, (sizeCounts.get(size) || 0) + line.text.length);
+    })
+  );
+  if (sizeCounts.size === 0) return [];
+
+  const bodySize = [...sizeCounts].sort((a, b) => b[1] - a[1])[0][0];
+  const headingSizes = [...sizeCounts.keys()]
+    .filter((size) => size >= bodySize * 1.15)
+    .sort((a, b) => b - a)
+    .slice(0, 3);
+
+  return pages.flatMap((page) =>
+    page.lines
+      .filter(
+        (line) =>
+          headingSizes.includes(Math.round(line.size)) &&
+          line.text.length <= 150 &&
+          /\p{L}/u.test(line.text)
+      )
+      .map((line) => ({
+        level: headingSizes.indexOf(Math.round(line.size)) + 1,
+        text: line.text.substring(0, 200),
+        page: page.pageNumber,
+      }))
+  );
+}
+
+/**
+ * Runs of consecutive lines with the same column layout
+ *
+ * At least three lines of two or more cells whose left edges line up are
+ * taken as a table; the first line is the header.
+ */
+function detectTables(lines) {
+  const tables = [];
+  let current = [];
+
+  const aligned = (a, b) =>
+    a.cells.length === b.cells.length &&
+    a.cellX.every((x, i) => Math.abs(x - b.cellX[i]) <= a.size * CELL_GAP);
+
+  const flush = () => {
+    if (current.length >= MIN_TABLE_ROWS) {
+      tables.push(current.map((line) => line.cells));
+    }
+    current = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.cells.length < 2) {
+      flush();
+      return;
+    }
+    if (current.length > 0 && !aligned(current[0], line)) flush();
+    current.push(line);
+  });
+  flush();
+
+  return tables;
+}
+
+async function readMetadata(doc, pageCount) {
+  const { info = {} } = await doc.getMetadata().catch(() => ({}));
+  const text = (value) =>
+    typeof value === "string" && value.trim() ? value.trim() : null;
+
+  return {
+    title: text(info.Title),
+    author: text(info.Author),
+    subject: text(info.Subject),
+    keywords: text(info.Keywords),
+    creator: text(info.Creator),
+    producer: text(info.Producer),
+    createdAt: parsePdfDate(info.CreationDate),
+    modifiedAt: parsePdfDate(info.ModDate),
+    pageCount,
+  };
+}
+
+/**
+ * Headings from the document outline (bookmarks), with their page numbers
+ */
+async function readOutline(doc) {
+  const outline = (await doc.getOutline().catch(() => null)) || [];
+  const headings = [];
+
+  const resolvePage = async (dest) => {
+    try {
+      const explicit =
+        typeof dest === "string" ? await doc.getDestination(dest) : dest;
+      if (!Array.isArray(explicit)) return null;
+      return (await doc.getPageIndex(explicit[0])) + 1;
+    } catch {
+      return null;
+    }
+  };
+
+  const walk = async (items, level) => {
+    for (const item of items) {
+      const text = item.title?.replace(/\s+/g, " ").trim();
+      if (text) {
+        headings.push({
+          level: Math.min(level, 6),
+          text: text.substring(0, 200),
+          page: await resolvePage(item.dest),
+        });
+      }
+      if (item.items?.length) await walk(item.items, level + 1);
+    }
+  };
+  await walk(outline, 1);
+
+  return headings;
+}
+
+// PDF dates look like D:20240131120000+01'00'
+function parsePdfDate(value) {
+  const match =
+    typeof value === "string" &&
+    value.match(
+      /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/
+    );
+  if (!match) return null;
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00"] = match;
+  const second = match[6] || "00";
+  const zone =
+    match[7] === "+" || match[7] === "-"
+      ? `${match[7]}${match[8] || "00"}:${match[9] || "00"}`
+      : "Z";
+  const date = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`
+  );
+  return isNaN(date) ? null : date.toISOString();
+}
@@ -4,6 +4,9 @@
 
 /**
  * Extract structured data from page
+ *
+ * With `markElements`, each pricing item gets a `selector` that points back
+ * at its element, e.g. for element screenshots.
  */
 export async function extractStructuredData(page, options = {}) {
   // Ensure options has safe defaults
@@ -11,6 +14,7 @@ export async function extractStructuredData(page, options = {}) {
     includePricing: options.includePricing || false,
     includeContact: options.includeContact || false,
     includeProduct: options.includeProduct || false,
+    markElements: options.markElements || false,
   };
 
   const data = await page.evaluate((extractOptions) => {
@@ -79,6 +83,7 @@ export async function extractStructuredData(page, options = {}) {
                 text: text.trim().substring(0, 500),
                 prices: priceMatch,
                 rawText: text.trim(),
+                node: el,
               });
             }
           });
@@ -111,6 +116,7 @@ export async function extractStructuredData(page, options = {}) {
                   element: "auto-detected",
                   text: text.trim().substring(0, 500),
                   prices: priceMatch,
+                  node: el,
                 });
               }
             }
@@ -124,10 +130,14 @@ export async function extractStructuredData(page, options = {}) {
       const unique = [];
       const seen = new Set();
 
-      pricing.forEach((item) => {
+      pricing.forEach(({ node, ...item }) => {
         const key = item.text.substring(0, 100);
         if (!seen.has(key)) {
           seen.add(key);
+          if (extractOptions.markElements) {
+            node.setAttribute("data-structured-pricing", unique.length);
+            item.selector = `[data-structured-pricing="${unique.length}"]`;
+          }
           unique.push(item);
         }
       });
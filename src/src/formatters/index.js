@@ -25,6 +25,11 @@ export function formatOutput(data, format) {
   }
 }
 
-export { formatAsMarkdown } from "./markdown-formatter.js";
+export {
+  formatAsMarkdown,
+  createSlugger,
+  getMarkdownHeadings,
+  formatTableOfContents,
+} from "./markdown-formatter.js";
 export { formatAsText } from "./text-formatter.js";
 export { formatAsStructured } from "./structured-formatter.js";
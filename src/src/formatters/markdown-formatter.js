@@ -2,10 +2,86 @@
  * Markdown formatting logic
  */
 
+/**
+ * Create a heading slugger that matches GitHub's anchor ids
+ *
+ * Call it once per heading in document order: repeated headings get a
+ * numeric suffix just like on GitHub.
+ */
+export function createSlugger() {
+  const seen = new Set();
+
+  return (text) => {
+    const base = text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, "")
+      .replace(/ /g, "-");
+    let slug = base;
+    for (let n = 1; seen.has(slug); n++) slug = `${base}-${n}`;
+    seen.add(slug);
+    return slug;
+  };
+}
+
+/**
+ * ATX headings of a Markdown document as plain text, skipping code blocks
+ *
+ * Each heading has its level, text and the character offset of its line.
+ */
+export function getMarkdownHeadings(markdown) {
+  const headings = [];
+  let fence = null;
+  let offset = 0;
+
+  markdown.split("\n").forEach((line) => {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) fence = marker;
+      else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const match = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (match && match[2]) {
+      headings.push({
+        level: match[1].length,
+        text: toPlainText(match[2]),
+        offset: lineOffset,
+      });
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Table of contents lines for headings, linked through `slug`
+ */
+export function formatTableOfContents(headings, slug) {
+  const minLevel = Math.min(...headings.map((h) => h.level));
+  return headings.map(
+    (h) =>
+      `${"  ".repeat(h.level - minLevel)}- [${h.text.replace(/[[\]]/g, "\\$&")}](#${slug(h.text)})`
+  );
+}
+
 /**
  * Format content as Markdown
+ *
+ * When the page was converted to Markdown (`data.markdown`), that is the
+ * body and the table of contents links to its headings; otherwise the plain
+ * text is used with code, tables and links appended.
  */
 export function formatAsMarkdown(data) {
+  if (data.markdown) return formatDocument(data);
+
   const lines = [];
 
   // Title
@@ -93,6 +169,61 @@ export function formatAsMarkdown(data) {
   return lines.join("\n");
 }
 
+/**
+ * Markdown document from converted page content
+ */
+function formatDocument(data) {
+  const lines = [];
+  let body = data.markdown;
+  let headings = getMarkdownHeadings(body);
+
+  // Pages usually open with their own title; it replaces ours
+  let titleLine = `# ${data.title}`;
+  if (headings[0]?.level === 1 && /^# /.test(body)) {
+    [titleLine] = body.split("\n", 1);
+    body = body.substring(titleLine.length).trimStart();
+    headings = headings.slice(1);
+  }
+
+  lines.push(titleLine);
+  lines.push("");
+  lines.push(`> Source: ${data.url}`);
+  lines.push("");
+  lines.push("---");
+  lines.push("");
+
+  // Anchors are numbered in document order: title, contents, sections
+  if (headings.length > 3) {
+    const slug = createSlugger();
+    slug(getMarkdownHeadings(titleLine)[0]?.text || "");
+    slug("Table of Contents");
+
+    lines.push("## Table of Contents");
+    lines.push("");
+    lines.push(...formatTableOfContents(headings, slug));
+    lines.push("");
+    lines.push("---");
+    lines.push("");
+  }
+
+  lines.push(body);
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+// Inline Markdown reduced to the text a reader sees
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/(`+) ?(.*?) ?\1/g, "$2")
+    .replace(/(\*\*|__|~~)(.+?)\1/g, "$2")
+    .replace(/(^|\W)[*_](.+?)[*_](?=\W|$)/g, "$1$2")
+    .replace(/\\([\\`*_[\]{}()#+\-.!|>~])/g, "$1")
+    .trim();
+}
+
 /**
  * Clean text content for better readability
  */
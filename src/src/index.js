@@ -0,0 +1,272 @@
+/**
+ * Programmatic API
+ *
+ * Importing this module has no side effects; the Apify Actor entry point
+ * (main.js) is a thin wrapper over it. Every function returns its result
+ * records and accepts the options of the matching runner, plus:
+ *
+ * - `storage`: anything with `pushData(record)`, such as a crawlee or Apify
+ *   dataset, to receive records as they are produced
+ * - `logger`: a console-like object with `log`, `warn` and `error`
+ * - `openKeyValueStore(name)` and `openRequestQueue(name)`: factories for
+ *   the named stores and queues that keep crawl state, snapshots, sessions,
+ *   artifacts, llms.txt files and vectors; crawlee's `KeyValueStore.open`
+ *   and `RequestQueue.open` by default
+ * - `ai`: `{ provider, apiKey, model, task }`, where `task` post-processes
+ *   the results (analyze, explain or summarize; for code also document
+ *   and improve)
+ * - `proxyConfiguration`: a crawlee ProxyConfiguration
+ * - `mirror` (extract and crawl): `{ directory, downloadImages }` to also
+ *   write one file per page into a directory tree mirroring the URLs, in
+ *   the markdown or html `format`
+ * - `chunkContent` (extract and crawl): add `chunks` to each record, made
+ *   by the `chunkStrategy` (recursive, markdown, tokens or code) with
+ *   `chunkSize` and `chunkOverlap`
+ * - `llmsTxt` (extract and crawl): `true` or `{ title, summary, directory }`
+ *   to build llms.txt and llms-full.txt from the pages, stored in the
+ *   "llms-txt" key-value store (and in `directory` when given)
+ * - `embeddings` (extract and crawl): `true` or `{ provider, apiKey, model,
+ *   baseUrl, index, reset, exportPath }` to embed the chunks (chunking is
+ *   turned on) into a persistent vector index, "default" unless `index`
+ *   names another, and export it as JSONL to `exportPath`
+ *
+ * crawlee's local storage can be relocated with CRAWLEE_STORAGE_DIR.
+ */
+
+import {
+  runCrawler,
+  runInstructionBasedCrawler,
+  runMonitor,
+  runCodeExtractor,
+} from "./runners/index.js";
+import { createMirrorSink } from "./mirror/index.js";
+import { generateLlmsFiles } from "./llms/index.js";
+import { DEFAULT_SCHEMA_INSTRUCTION } from "./schema/index.js";
+import {
+  indexRecords,
+  openVectorIndex,
+  exportVectorsJsonl,
+} from "./vectors/index.js";
+import {
+  analyzeCode,
+  explainCode,
+  generateDocs,
+  improveCode,
+  summarizeContent,
+} from "./ai/index.js";
+
+const PAGE_AI_TASKS = {
+  analyze: analyzeCode,
+  explain: explainCode,
+  summarize: summarizeContent,
+};
+
+const CODE_AI_TASKS = {
+  analyze: analyzeCode,
+  explain: explainCode,
+  document: generateDocs,
+  improve: improveCode,
+};
+
+/**
+ * Extract a single page; returns its record
+ */
+export async function extract(url, options = {}) {
+  const [record = null] = await extractMany([url], options);
+  return record;
+}
+
+/**
+ * Extract a list of pages without following links
+ */
+export async function extractMany(urls, options = {}) {
+  return runPages(urls, { ...options, followLinks: false });
+}
+
+/**
+ * Crawl a website from one or more start URLs, following links or
+ * sitemaps (`discovery`) up to `maxDepth` and `maxPages`
+ */
+export async function crawl(startUrl, options = {}) {
+  return runPages(toList(startUrl), {
+    maxDepth: 2,
+    ...options,
+    followLinks: true,
+  });
+}
+
+/**
+ * Extract what a natural-language instruction asks for from each page
+ *
+ * The instruction is parsed with AI when `ai` names a configured
+ * provider, and with keyword rules otherwise.
+ */
+export async function extractWithInstruction(urls, instruction, options = {}) {
+  const { ai = {}, ...crawlOptions } = options;
+  return runInstructionBasedCrawler(toList(urls), instruction, {
+    ...crawlOptions,
+    aiProvider: ai.provider || null,
+    aiApiKey: ai.apiKey,
+    aiModel: ai.model,
+  });
+}
+
+/**
+ * Extract data that validates against a JSON Schema or a field spec from
+ * each page
+ *
+ * Each record gets a `schemaExtraction` with the `data`, whether it is
+ * `valid`, and the `fieldSources` telling which fields came from the DOM
+ * heuristics and which from the AI. An `instruction` tells the AI what the
+ * data is about; the DOM values alone are returned without `ai`.
+ */
+export async function extractWithSchema(urls, schema, options = {}) {
+  const { instruction = DEFAULT_SCHEMA_INSTRUCTION, ...instructionOptions } =
+    options;
+  return extractWithInstruction(urls, instruction, {
+    ...instructionOptions,
+    schema,
+  });
+}
+
+/**
+ * Extract code from a repository, gist, StackOverflow question or page
+ *
+ * Returns null when nothing was found.
+ */
+export async function extractCode(url, options = {}) {
+  const { ai = {}, storage = null, logger = console, ...codeOptions } = options;
+
+  const codeData = await runCodeExtractor(url, { ...codeOptions, logger });
+  if (!codeData) return null;
+
+  const task = CODE_AI_TASKS[ai.task];
+  if (task && codeData.code) {
+    logger.log(`🤖 Running AI ${ai.task}...`);
+    codeData.aiResult = await task(codeData.code, getAIOptions(ai, logger));
+  }
+
+  await storage?.pushData(codeData);
+  return codeData;
+}
+
+/**
+ * Compare pages with their snapshots from the previous run of the same
+ * monitor (`monitorName`)
+ */
+export async function monitor(urls, options = {}) {
+  return runMonitor(toList(urls), options);
+}
+
+export { handleMCPRequest } from "./runners/index.js";
+export { createMirrorSink } from "./mirror/index.js";
+export { generateLlmsFiles } from "./llms/index.js";
+export {
+  indexRecords,
+  openVectorIndex,
+  exportVectorsJsonl,
+} from "./vectors/index.js";
+export { askSite } from "./rag/index.js";
+export { toJsonSchema, validateAgainstSchema } from "./schema/index.js";
+export { embedTexts } from "./ai/index.js";
+export {
+  chunkDocument,
+  countTokens,
+  CHUNK_STRATEGIES,
+} from "./chunking/index.js";
+
+// A mirror receives the records alongside `storage` and writes its files
+// once the crawl is over, as do the llms.txt generator and the embedding
+// stage
+async function runPages(urls, options) {
+  const {
+    ai = {},
+    logger = console,
+    storage = null,
+    mirror = null,
+    llmsTxt = false,
+    embeddings = null,
+    openKeyValueStore,
+    ...crawlOptions
+  } = options;
+  if (embeddings) crawlOptions.chunkContent = true;
+
+  const mirrorSink = mirror
+    ? createMirrorSink({
+        ...mirror,
+        format: crawlOptions.format || "markdown",
+        logger,
+      })
+    : null;
+  const sinks = [storage, mirrorSink].filter(Boolean);
+
+  const records = await runCrawler(urls, {
+    ...crawlOptions,
+    logger,
+    openKeyValueStore,
+    storage: sinks.length
+      ? {
+          pushData: (data) =>
+            Promise.all(sinks.map((sink) => sink.pushData(data))),
+        }
+      : null,
+  });
+  await applyPageTask(records, ai, logger);
+  await mirrorSink?.finish();
+  if (llmsTxt) {
+    await generateLlmsFiles(records, {
+      ...(llmsTxt === true ? {} : llmsTxt),
+      format: crawlOptions.format || "markdown",
+      ai,
+      logger,
+      openKeyValueStore,
+    });
+  }
+  if (embeddings) {
+    const { index, reset, exportPath, ...embeddingOptions } =
+      embeddings === true ? {} : embeddings;
+    await indexRecords(records, {
+      embeddings: embeddingOptions,
+      index,
+      reset,
+      logger,
+      openKeyValueStore,
+    });
+    if (exportPath) {
+      const count = await exportVectorsJsonl(
+        await openVectorIndex(index, { openKeyValueStore }),
+        exportPath
+      );
+      logger.log(`📤 Exported ${count} vector(s) to ${exportPath}`);
+    }
+  }
+  return records;
+}
+
+// Page records keep their AI result in the returned records only, as
+// storage already received them
+async function applyPageTask(records, ai, logger) {
+  const task = PAGE_AI_TASKS[ai.task];
+  if (!task) return;
+
+  logger.log(`\n🤖 Running AI ${ai.task} on results...`);
+  for (const record of records) {
+    if (record.status !== "success" || !record.textContent) continue;
+    try {
+      record.aiResult = await task(
+        record.textContent,
+        getAIOptions(ai, logger)
+      );
+    } catch (e) {
+      logger.log(`   ⚠️ AI failed for ${record.url}: ${e.message}`);
+    }
+  }
+}
+
+function getAIOptions(ai, logger) {
+  return { provider: ai.provider, apiKey: ai.apiKey, model: ai.model, logger };
+}
+
+function toList(urls) {
+  return Array.isArray(urls) ? urls : [urls];
+}
@@ -0,0 +1,100 @@
+/**
+ * Post-crawl llms.txt generation
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { summarizeContent } from "../ai/index.js";
+import {
+  orderPages,
+  buildLlmsTxt,
+  buildLlmsFullTxt,
+  toOneLine,
+} from "./llms-txt.js";
+import { openLlmsStore, getSiteName, LLMS_FILES } from "./llms-store.js";
+
+/**
+ * Build llms.txt and llms-full.txt from crawl records and store them
+ *
+ * Page descriptions come from the pages' meta descriptions, then from AI
+ * summaries already in the records (the summarize task), then, when `ai`
+ * names a provider, from new AI summaries. The site title and summary
+ * default to the start page's. Files go to the llms.txt store and, with
+ * `directory`, to disk as well. Returns null when no page was extracted.
+ */
+export async function generateLlmsFiles(records, options = {}) {
+  const {
+    title,
+    summary,
+    format = "markdown",
+    ai = {},
+    directory = null,
+    store = null,
+    logger = console,
+    openKeyValueStore,
+  } = options;
+
+  const pages = orderPages(records);
+  if (pages.length === 0) {
+    logger.log("⚠️ No extracted pages to build llms.txt from");
+    return null;
+  }
+
+  const descriptions = new Map();
+  for (const page of pages) {
+    let description =
+      page.description ||
+      (page.aiResult?.type === "summary" ? page.aiResult.content : null);
+
+    if (!description && ai.provider && page.textContent) {
+      try {
+        const result = await summarizeContent(page.textContent, {
+          provider: ai.provider,
+          apiKey: ai.apiKey,
+          model: ai.model,
+          maxLength: 160,
+          logger,
+        });
+        description = result.content;
+      } catch (error) {
+        logger.log(`⚠️ AI summary failed for ${page.url}: ${error.message}`);
+      }
+    }
+
+    if (description) descriptions.set(page.url, toOneLine(description));
+  }
+
+  const [home] = pages;
+  const site = getSiteName(home.url);
+  const files = {
+    title: title || home.title || site,
+    pages: pages.length,
+  };
+  const siteSummary = summary || descriptions.get(home.url);
+
+  files.llmsTxt = buildLlmsTxt(pages, {
+    title: files.title,
+    summary: siteSummary,
+    descriptions,
+  });
+  files.llmsFullTxt = buildLlmsFullTxt(pages, {
+    title: files.title,
+    summary: siteSummary,
+    format,
+  });
+
+  const llmsStore = store || (await openLlmsStore({ openKeyValueStore }));
+  await llmsStore.save(site, files);
+
+  if (directory) {
+    await fs.mkdir(directory, { recursive: true });
+    for (const [fileName, field] of Object.entries(LLMS_FILES)) {
+      await fs.writeFile(path.join(directory, fileName), files[field]);
+    }
+  }
+
+  logger.log(
+    `📄 Generated llms.txt and llms-full.txt for ${site} (${pages.length} pages)`
+  );
+  return { site, ...files };
+}
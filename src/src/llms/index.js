@@ -0,0 +1,12 @@
+/**
+ * llms.txt barrel export
+ */
+
+export { generateLlmsFiles } from "./generator.js";
+export { orderPages, buildLlmsTxt, buildLlmsFullTxt } from "./llms-txt.js";
+export {
+  openLlmsStore,
+  getSiteName,
+  LLMS_STORE_NAME,
+  LLMS_FILES,
+} from "./llms-store.js";
@@ -0,0 +1,76 @@
+/**
+ * Key-value store of the generated llms.txt files, one pair per site
+ *
+ * The store is named, so files outlive the run that generated them and
+ * the MCP server can serve them later.
+ */
+
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+export const LLMS_STORE_NAME = "llms-txt";
+
+export const LLMS_FILES = {
+  "llms.txt": "llmsTxt",
+  "llms-full.txt": "llmsFullTxt",
+};
+
+const SITES_KEY = "SITES";
+const CONTENT_TYPE = "text/markdown; charset=utf-8";
+
+/**
+ * Open the llms.txt store
+ */
+export async function openLlmsStore({
+  openKeyValueStore = openDefaultKeyValueStore,
+} = {}) {
+  const store = await openKeyValueStore(LLMS_STORE_NAME);
+
+  return {
+    /**
+     * Sites with stored files, with their page count and generation time
+     */
+    async list() {
+      return (await store.getValue(SITES_KEY)) || [];
+    },
+
+    /**
+     * Stored text of one of the LLMS_FILES of a site, or null
+     */
+    async read(site, fileName) {
+      if (!LLMS_FILES[fileName]) return null;
+      return store.getValue(getFileKey(site, fileName));
+    },
+
+    async save(site, files) {
+      for (const [fileName, field] of Object.entries(LLMS_FILES)) {
+        await store.setValue(getFileKey(site, fileName), files[field], {
+          contentType: CONTENT_TYPE,
+        });
+      }
+
+      const sites = (await this.list()).filter((entry) => entry.site !== site);
+      sites.push({
+        site,
+        title: files.title,
+        pages: files.pages,
+        generatedAt: new Date().toISOString(),
+      });
+      await store.setValue(SITES_KEY, sites);
+    },
+  };
+}
+
+/**
+ * Name a site by the host of its start page, e.g. docs.example.com
+ */
+export function getSiteName(url) {
+  const { hostname, port } = new URL(url);
+  return (port ? `${hostname}_${port}` : hostname).replace(
+    /[^a-zA-Z0-9._-]/g,
+    "-"
+  );
+}
+
+function getFileKey(site, fileName) {
+  return `${site}.${fileName}`;
+}
@@ -0,0 +1,143 @@
+/**
+ * llms.txt and llms-full.txt builders
+ *
+ * llms.txt (https://llmstxt.org) is a Markdown index of a site for
+ * language models: a title, a one-paragraph summary and sections of links
+ * with one-line descriptions. llms-full.txt holds the content of every
+ * page in one file.
+ */
+
+const GENERAL_SECTION = "Pages";
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Extracted pages in reading order: the start pages, then sitemap pages
+ * in sitemap order, then the pages found by links, shallowest first
+ */
+export function orderPages(records) {
+  const rank = (record) => {
+    const { discoveredBy, sitemapIndex, depth = 0 } = record.metadata || {};
+    if (!discoveredBy || discoveredBy === "seed") return [0, 0];
+    if (sitemapIndex !== undefined) return [1, sitemapIndex];
+    return [2, depth];
+  };
+
+  return records
+    .filter((record) => record.status === "success" && record.url)
+    .map((record, index) => ({ record, index, rank: rank(record) }))
+    .sort(
+      (a, b) =>
+        a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index
+    )
+    .map(({ record }) => record);
+}
+
+/**
+ * Build llms.txt from ordered pages
+ *
+ * `descriptions` maps page URLs to their one-line descriptions. Pages are
+ * grouped into sections by their first path segment.
+ */
+export function buildLlmsTxt(pages, options = {}) {
+  const { title, summary, descriptions = new Map() } = options;
+  const lines = [`# ${toOneLine(title || "Untitled")}`, ""];
+  if (summary) lines.push(`> ${toOneLine(summary)}`, "");
+
+  for (const [section, sectionPages] of groupBySection(pages)) {
+    lines.push(`## ${section}`, "");
+    sectionPages.forEach((page) => {
+      const text = toOneLine(page.title || page.url).replace(
+        /([\\[\]])/g,
+        "\\$1"
+      );
+      const description = descriptions.get(page.url);
+      lines.push(
+        `- [${text}](${page.url})${description ? `: ${description}` : ""}`
+      );
+    });
+    lines.push("");
+  }
+
+  return `${lines.join("\n").trim()}\n`;
+}
+
+/**
+ * Build llms-full.txt: every page's Markdown, one after the other
+ *
+ * Records of another `format` than markdown contribute their text.
+ */
+export function buildLlmsFullTxt(pages, options = {}) {
+  const { title, summary, format = "markdown" } = options;
+  const header = [`# ${toOneLine(title || "Untitled")}`];
+  if (summary) header.push("", `> ${toOneLine(summary)}`);
+
+  const documents = pages.map((page) =>
+    format === "markdown" && typeof page.content === "string"
+      ? page.content.trim()
+      : [
+          `# ${toOneLine(page.title || page.url)}`,
+          "",
+          `> Source: ${page.url}`,
+          "",
+          (page.textContent || "").trim(),
+        ].join("\n")
+  );
+
+  return `${[header.join("\n"), ...documents].join("\n\n---\n\n")}\n`;
+}
+
+/**
+ * Collapse a description to one line of reasonable length, cut at a word
+ */
+export function toOneLine(text) {
+  const line = String(text).replace(/\s+/g, " ").trim();
+  if (line.length <= MAX_DESCRIPTION_LENGTH) return line;
+  const cut = line.slice(0, MAX_DESCRIPTION_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(" ")) || cut}…`;
+}
+
+// Sections are the first path segments that have pages below them; the
+// home page stands for the whole site and is left out
+function groupBySection(pages) {
+  const segmentsOf = (url) => {
+    const { pathname } = new URL(url);
+    return {
+      segments: pathname.split("/").filter(Boolean),
+      isDirectory: pathname.endsWith("/"),
+    };
+  };
+  const sectionKey = (segment) =>
+    segment.replace(/\.(html?|php|aspx?)$/i, "").toLowerCase();
+
+  const directories = new Set();
+  pages.forEach((page) => {
+    const { segments, isDirectory } = segmentsOf(page.url);
+    if (segments.length > 1 || (segments.length === 1 && isDirectory)) {
+      directories.add(sectionKey(segments[0]));
+    }
+  });
+
+  const sections = new Map();
+  pages.forEach((page) => {
+    const { segments } = segmentsOf(page.url);
+    if (segments.length === 0) return;
+
+    const key = sectionKey(segments[0]);
+    const name = directories.has(key) ? humanize(key) : GENERAL_SECTION;
+    if (!sections.has(name)) sections.set(name, []);
+    sections.get(name).push(page);
+  });
+
+  return sections;
+}
+
+function humanize(segment) {
+  let text = segment;
+  try {
+    text = decodeURIComponent(segment);
+  } catch (e) {
+    // Keep malformed escapes as they are
+  }
+  text = text.replace(/[-_]+/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
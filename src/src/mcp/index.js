@@ -4,4 +4,5 @@
 
 export { startMCPServer } from "./server.js";
 export { getMCPTools } from "./tools.js";
-export { handleMCPRequest } from "./handlers.js";
+export { handleMCPRequest } from "../runners/mcp.js";
+export { serveStdio } from "./stdio.js";
@@ -7,7 +7,7 @@
 
 import { Actor } from "apify";
 import { getMCPTools } from "./tools.js";
-import { handleMCPRequest } from "./handlers.js";
+import { handleMCPRequest } from "../runners/mcp.js";
 import { MCP_PROTOCOL_VERSION } from "../constants.js";
 
 /**
@@ -86,7 +86,12 @@ export async function startMCPServer(config) {
   // Handle incoming MCP request if provided
   if (config.mcpRequest) {
     console.log("\n📨 Processing MCP Request...");
-    const result = await handleMCPRequest(config.mcpRequest, config);
+    const result = await handleMCPRequest(config.mcpRequest, {
+      storage: await Actor.openDataset(),
+      logger: console,
+      openKeyValueStore: (name) => Actor.openKeyValueStore(name),
+      openRequestQueue: (name) => Actor.openRequestQueue(name),
+    });
     await store.setValue("MCP_RESPONSE", result);
     console.log("✅ MCP Response saved");
     return result;
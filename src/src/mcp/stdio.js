@@ -0,0 +1,41 @@
+/**
+ * MCP stdio transport
+ *
+ * Local MCP clients start the server as a process and exchange
+ * newline-delimited JSON-RPC messages over its stdin and stdout. Stdout
+ * carries responses only, so anything the handler logs must go elsewhere.
+ */
+
+import readline from "node:readline";
+
+/**
+ * Answer each request read from `input` with `handleRequest(request)`
+ *
+ * Notifications (messages without an id) get no response. Resolves when
+ * the input ends.
+ */
+export async function serveStdio(handleRequest, options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const send = (message) => output.write(`${JSON.stringify(message)}\n`);
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      send({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: -32700, message: `Parse error: ${error.message}` },
+      });
+      continue;
+    }
+
+    if (request.id === undefined || request.id === null) continue;
+    send(await handleRequest(request));
+  }
+}
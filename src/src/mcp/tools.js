@@ -27,6 +27,25 @@ export function getMCPTools() {
             description:
               "Use AI to help understand and process the instruction",
           },
+          pagination: {
+            type: "boolean",
+            default: false,
+            description:
+              "Follow listing pagination: rel=next and numbered or Next links, Load more buttons and infinite scroll. Results from all pages are merged",
+          },
+          maxPaginationPages: {
+            type: "integer",
+            default: 10,
+            minimum: 1,
+            description:
+              "Maximum listing pages to visit (each Load more click counts as a page)",
+          },
+          maxItems: {
+            type: "integer",
+            default: 1000,
+            minimum: 1,
+            description: "Stop paginating once this many items were extracted",
+          },
         },
         required: ["url", "instruction"],
       },
@@ -50,10 +69,87 @@ export function getMCPTools() {
             type: "boolean",
             default: false,
           },
+          maxConcurrency: {
+            type: "integer",
+            default: 3,
+            minimum: 1,
+            description: "Maximum pages processed in parallel",
+          },
+          maxRequestsPerMinutePerHost: {
+            type: "integer",
+            minimum: 0,
+            description:
+              "Requests per minute allowed to each host (0 = no limit; robots.txt Crawl-delay still applies)",
+          },
+          maxConcurrentPerHost: {
+            type: "integer",
+            default: 2,
+            minimum: 1,
+            description: "Maximum parallel requests to the same host",
+          },
+          pagination: {
+            type: "boolean",
+            default: false,
+            description:
+              "Follow listing pagination: rel=next and numbered or Next links, Load more buttons and infinite scroll. Results from all pages are merged",
+          },
+          maxPaginationPages: {
+            type: "integer",
+            default: 10,
+            minimum: 1,
+            description:
+              "Maximum listing pages to visit (each Load more click counts as a page)",
+          },
+          maxItems: {
+            type: "integer",
+            default: 1000,
+            minimum: 1,
+            description: "Stop paginating once this many items were extracted",
+          },
         },
         required: ["urls", "instruction"],
       },
     },
+    {
+      name: "extract_with_schema",
+      description:
+        "Extract data from a URL that validates against a JSON Schema or a compact field spec. Fields found by DOM heuristics are kept, AI fills the rest and retries with the validation errors; the result tells which fields came from where",
+      inputSchema: {
+        type: "object",
+        properties: {
+          url: {
+            type: "string",
+            description: "URL to extract from",
+          },
+          schema: {
+            type: ["object", "string"],
+            description:
+              'JSON Schema, or a field spec such as {"name": "string", "price": "number", "tags": "string[]?"} or "name, price:number, tags:string[]?"',
+          },
+          instruction: {
+            type: "string",
+            description: "What the data is about, to guide the AI",
+          },
+          useAI: {
+            type: "boolean",
+            default: true,
+            description:
+              "Without AI, only fields the DOM heuristics find are filled",
+          },
+          aiProvider: { type: "string", default: "ollama" },
+          aiModel: { type: "string" },
+          maxAttempts: {
+            type: "integer",
+            default: 3,
+            minimum: 1,
+            maximum: 5,
+            description: "AI attempts to produce data that validates",
+          },
+          respectRobotsTxt: { type: "boolean", default: true },
+        },
+        required: ["url", "schema"],
+      },
+    },
     {
       name: "extract_webpage",
       description: "Extract clean content from a webpage (legacy method)",
@@ -66,6 +162,13 @@ export function getMCPTools() {
             enum: ["markdown", "text", "structured"],
             default: "markdown",
           },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+            description:
+              "auto fetches over HTTP and renders in a browser only when the page needs JavaScript",
+          },
         },
         required: ["url"],
       },
@@ -82,6 +185,31 @@ export function getMCPTools() {
             enum: ["markdown", "text", "structured"],
             default: "markdown",
           },
+          maxConcurrency: {
+            type: "integer",
+            default: 3,
+            minimum: 1,
+            description: "Maximum pages processed in parallel",
+          },
+          maxRequestsPerMinutePerHost: {
+            type: "integer",
+            minimum: 0,
+            description:
+              "Requests per minute allowed to each host (0 = no limit; robots.txt Crawl-delay still applies)",
+          },
+          maxConcurrentPerHost: {
+            type: "integer",
+            default: 2,
+            minimum: 1,
+            description: "Maximum parallel requests to the same host",
+          },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+            description:
+              "auto fetches over HTTP and renders in a browser only when the page needs JavaScript",
+          },
         },
         required: ["urls"],
       },
@@ -95,10 +223,196 @@ export function getMCPTools() {
           startUrl: { type: "string" },
           maxDepth: { type: "integer", default: 1, maximum: 5 },
           maxPages: { type: "integer", default: 10, maximum: 100 },
+          respectRobotsTxt: {
+            type: "boolean",
+            default: true,
+            description:
+              "Honor robots.txt Disallow/Crawl-delay and meta robots noindex/nofollow",
+          },
+          userAgent: {
+            type: "string",
+            description: "User agent token matched against robots.txt groups",
+          },
+          discovery: {
+            type: "string",
+            enum: ["links", "sitemap", "both"],
+            default: "links",
+            description:
+              "Find pages by following links, from the site's sitemaps, or both",
+          },
+          sitemapLastmodSince: {
+            type: "string",
+            description:
+              "Only seed sitemap URLs modified on or after this date (ISO 8601)",
+          },
+          sitemapPattern: {
+            type: "string",
+            description: "Regular expression sitemap URLs must match",
+          },
+          include: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              'Globs or "re:" regular expressions a URL must match to be crawled (globs starting with "/" match the path, and "/docs/" everything under it)',
+          },
+          exclude: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              'Globs or "re:" regular expressions of URLs never to crawl',
+          },
+          pathPrefix: {
+            type: "string",
+            description: 'Only crawl pages under this path, e.g. "/docs/v2/"',
+          },
+          stripQueryParams: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              'Query parameters to remove before deduplication, e.g. ["utm_*", "ref"]',
+          },
+          maxConcurrency: {
+            type: "integer",
+            default: 3,
+            minimum: 1,
+            description: "Maximum pages processed in parallel",
+          },
+          maxRequestsPerMinutePerHost: {
+            type: "integer",
+            minimum: 0,
+            description:
+              "Requests per minute allowed to each host (0 = no limit; robots.txt Crawl-delay still applies)",
+          },
+          maxConcurrentPerHost: {
+            type: "integer",
+            default: 2,
+            minimum: 1,
+            description: "Maximum parallel requests to the same host",
+          },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+            description:
+              "auto fetches over HTTP and renders in a browser only when the page needs JavaScript",
+          },
+          duplicatePolicy: {
+            type: "string",
+            enum: ["skip", "group"],
+            description:
+              "Detect near-duplicate pages (print views, tracking-parameter variants, localized copies) and skip them or keep them grouped under their canonical page",
+          },
+          duplicateThreshold: {
+            type: "number",
+            default: 0.9,
+            exclusiveMinimum: 0,
+            maximum: 1,
+            description: "Text similarity from which pages are near-duplicates",
+          },
         },
         required: ["startUrl"],
       },
     },
+    {
+      name: "generate_llms_txt",
+      description:
+        "Crawl a site and build its llms.txt (linked page index with one-line descriptions) and llms-full.txt (every page as Markdown). Both stay available as llms:// resources",
+      inputSchema: {
+        type: "object",
+        properties: {
+          url: { type: "string", description: "Start URL of the site" },
+          maxDepth: { type: "integer", default: 2, maximum: 5 },
+          maxPages: { type: "integer", default: 50, maximum: 500 },
+          discovery: {
+            type: "string",
+            enum: ["links", "sitemap", "both"],
+            default: "links",
+            description:
+              "Find pages by following links, from the site's sitemaps, or both; sitemap pages are listed in sitemap order",
+          },
+          title: {
+            type: "string",
+            description: "Site title (default: the start page's title)",
+          },
+          summary: {
+            type: "string",
+            description:
+              "One-paragraph site summary (default: the start page's description)",
+          },
+          useAI: {
+            type: "boolean",
+            default: false,
+            description: "Summarize pages that have no meta description",
+          },
+          aiProvider: { type: "string" },
+          respectRobotsTxt: { type: "boolean", default: true },
+          userAgent: { type: "string" },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+          },
+        },
+        required: ["url"],
+      },
+    },
+    {
+      name: "ask_site",
+      description:
+        "Answer a question from a whole crawled site, citing the pages it comes from (URL, section anchor and quoted passage). Refuses when no crawled content supports an answer",
+      inputSchema: {
+        type: "object",
+        properties: {
+          question: { type: "string" },
+          site: {
+            type: "string",
+            description:
+              "Site name or any URL of the site to search (default: every crawled site)",
+          },
+          url: {
+            type: "string",
+            description:
+              "Crawl the site from this URL first; otherwise the vector index, then the crawl results, are searched",
+          },
+          maxDepth: { type: "integer", default: 2, maximum: 5 },
+          maxPages: { type: "integer", default: 50, maximum: 500 },
+          index: {
+            type: "string",
+            default: "default",
+            description: "Vector index to search or to add the crawl to",
+          },
+          embeddingProvider: {
+            type: "string",
+            enum: [
+              "ollama",
+              "openai",
+              "together",
+              "gemini",
+              "cohere",
+              "huggingface",
+            ],
+            description:
+              "Embed a new crawl for semantic search; without it, crawled pages are searched by keywords",
+          },
+          embeddingModel: { type: "string" },
+          aiProvider: { type: "string" },
+          aiModel: { type: "string" },
+          limit: {
+            type: "integer",
+            default: 6,
+            maximum: 20,
+            description: "Most passages given to the AI",
+          },
+          respectRobotsTxt: { type: "boolean", default: true },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+          },
+        },
+        required: ["question"],
+      },
+    },
     {
       name: "extract_with_chunking",
       description: "Extract content split into chunks for RAG/LLM processing",
@@ -106,8 +420,27 @@ export function getMCPTools() {
         type: "object",
         properties: {
           url: { type: "string" },
-          chunkSize: { type: "integer", default: 1000 },
+          chunkStrategy: {
+            type: "string",
+            enum: ["recursive", "markdown", "tokens", "code"],
+            default: "recursive",
+            description:
+              "recursive splits by headings, paragraphs and sentences; markdown makes one chunk per section; tokens makes fixed token windows; code keeps code blocks apart",
+          },
+          chunkSize: {
+            type: "integer",
+            default: 1000,
+            description:
+              "Chunk size, in tokens for the tokens strategy and characters otherwise",
+          },
           chunkOverlap: { type: "integer", default: 100 },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+            description:
+              "auto fetches over HTTP and renders in a browser only when the page needs JavaScript",
+          },
         },
         required: ["url"],
       },
@@ -262,6 +595,39 @@ export function getMCPTools() {
         type: "object",
         properties: {
           url: { type: "string" },
+          engine: {
+            type: "string",
+            enum: ["auto", "http", "browser"],
+            default: "auto",
+            description:
+              "auto fetches over HTTP and renders in a browser only when the page needs JavaScript",
+          },
+        },
+        required: ["url"],
+      },
+    },
+    {
+      name: "capture_page",
+      description:
+        "Take screenshots and a PDF snapshot of a webpage, stored in the key-value store",
+      inputSchema: {
+        type: "object",
+        properties: {
+          url: { type: "string" },
+          fullPageScreenshot: { type: "boolean", default: true },
+          viewportScreenshot: { type: "boolean", default: false },
+          elementScreenshots: {
+            type: "array",
+            items: { type: "string", enum: ["tables", "pricing"] },
+            description: "Screenshot each detected table and/or pricing card",
+          },
+          maxElementScreenshots: { type: "integer", default: 20 },
+          pdf: { type: "boolean", default: false },
+          format: { type: "string", enum: ["png", "jpeg"], default: "png" },
+          quality: {
+            type: "integer",
+            description: "0-100, jpeg only",
+          },
         },
         required: ["url"],
       },
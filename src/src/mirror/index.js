@@ -0,0 +1,11 @@
+/**
+ * Mirror barrel export
+ */
+
+export { createMirrorSink, MIRROR_FORMATS } from "./mirror-sink.js";
+export {
+  getPagePath,
+  getAssetPath,
+  getRelativePath,
+  reservePath,
+} from "./local-paths.js";
@@ -0,0 +1,83 @@
+/**
+ * URL to local file path mapping
+ *
+ * Paths are POSIX-style and relative to the mirror directory: the host
+ * becomes the top directory and the URL path the rest, so
+ * https://docs.example.com/guide/intro.html maps to
+ * docs.example.com/guide/intro.md. A path ending in a slash maps to an
+ * index file inside the directory.
+ */
+
+import path from "node:path";
+
+// Page extensions that give way to the mirror's own
+const PAGE_EXTENSIONS = /\.(html?|shtml|php|aspx?|jsp|pdf)$/i;
+
+/**
+ * Local path of a page URL with the given file extension (e.g. ".md")
+ */
+export function getPagePath(url, extension) {
+  const { hostname, port, pathname, search } = new URL(url);
+  const host = sanitizeSegment(port ? `${hostname}_${port}` : hostname);
+
+  const segments = pathname
+    .split("/")
+    .slice(1)
+    .map((segment) => sanitizeSegment(decodeSegment(segment)));
+
+  let name = segments.pop().replace(PAGE_EXTENSIONS, "") || "index";
+  if (search) name += `-${sanitizeSegment(search.slice(1))}`;
+
+  return [host, ...segments.filter(Boolean), `${name}${extension}`].join("/");
+}
+
+/**
+ * Local path of an asset (e.g. an image) next to `pagePath`
+ *
+ * `extension` is used when the URL's file name has none.
+ */
+export function getAssetPath(url, pagePath, extension = "") {
+  const fileName = decodeSegment(new URL(url).pathname.split("/").pop());
+  let name = sanitizeSegment(fileName) || "asset";
+  if (!path.posix.extname(name)) name += extension;
+  return path.posix.join(path.posix.dirname(pagePath), name);
+}
+
+/**
+ * Link from the file at `fromPath` to the file at `toPath`
+ */
+export function getRelativePath(fromPath, toPath) {
+  const relative = path.posix.relative(path.posix.dirname(fromPath), toPath);
+  return relative || path.posix.basename(toPath);
+}
+
+/**
+ * Reserve a path, numbering it when it is already taken
+ */
+export function reservePath(filePath, usedPaths) {
+  const extension = path.posix.extname(filePath);
+  const base = filePath.slice(0, filePath.length - extension.length);
+
+  let candidate = filePath;
+  for (let i = 2; usedPaths.has(candidate.toLowerCase()); i++) {
+    candidate = `${base}-${i}${extension}`;
+  }
+  // Case-insensitive file systems would merge paths differing in case
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+function sanitizeSegment(segment) {
+  return segment
+    .replace(/[^\p{L}\p{N}._~@+-]+/gu, "-")
+    .replace(/^[.-]+|-+$/g, "")
+    .slice(0, 120);
+}
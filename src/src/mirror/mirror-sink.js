@@ -0,0 +1,331 @@
+/**
+ * Local mirror of a crawl
+ *
+ * A storage sink that writes one Markdown or HTML file per page into a
+ * directory tree mirroring the URL paths. Files are written once the crawl
+ * is over, when every mirrored page is known: links between them are then
+ * rewritten to relative local paths, and an index page lists the pages in
+ * the order they were discovered.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  getPagePath,
+  getAssetPath,
+  getRelativePath,
+  reservePath,
+} from "./local-paths.js";
+
+export const MIRROR_FORMATS = {
+  markdown: ".md",
+  html: ".html",
+};
+
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+  "image/avif": ".avif",
+};
+
+/**
+ * Create a mirror sink for records in `format` ("markdown" or "html")
+ *
+ * Pass it as (or alongside) the crawl's `storage`, then call `finish()`
+ * after the crawl to write the files. With `downloadImages`, images are
+ * saved next to the first page that shows them.
+ */
+export function createMirrorSink(options) {
+  const {
+    directory,
+    format = "markdown",
+    downloadImages = false,
+    logger = console,
+  } = options;
+
+  if (!directory) throw new Error("Mirroring needs a directory");
+  const extension = MIRROR_FORMATS[format];
+  if (!extension) {
+    throw new Error(
+      `Cannot mirror the ${format} format. Use one of: ${Object.keys(MIRROR_FORMATS).join(", ")}`
+    );
+  }
+
+  const pages = new Map();
+
+  return {
+    directory,
+    format,
+
+    async pushData(data) {
+      // Only extracted pages carry content to mirror
+      const records = (Array.isArray(data) ? data : [data]).filter(
+        (record) =>
+          record.status === "success" && typeof record.content === "string"
+      );
+      records.forEach((record) => pages.set(normalizeUrl(record.url), record));
+    },
+
+    /**
+     * Write the mirrored pages, their images and the index page
+     */
+    async finish() {
+      const usedPaths = new Set();
+      const indexPath = reservePath(`index${extension}`, usedPaths);
+
+      const files = new Map();
+      for (const [url, record] of pages) {
+        files.set(
+          url,
+          reservePath(getPagePath(record.url, extension), usedPaths)
+        );
+      }
+
+      const images = downloadImages
+        ? await saveImages(pages, files, usedPaths)
+        : new Map();
+
+      for (const [url, record] of pages) {
+        const filePath = files.get(url);
+        const resolveLink = (href) =>
+          resolveLocalLink(href, record.url, filePath, files, images);
+        const content =
+          format === "html"
+            ? toHtmlDocument(
+                record,
+                rewriteHtmlLinks(record.content, resolveLink)
+              )
+            : rewriteMarkdownLinks(record.content, resolveLink);
+        await writeFile(filePath, content);
+      }
+
+      await writeFile(indexPath, createIndex(pages, files, indexPath, format));
+
+      logger.log(
+        `🗂️ Mirrored ${pages.size} page(s)${downloadImages ? ` and ${images.size} image(s)` : ""} to ${directory}`
+      );
+      return {
+        directory,
+        index: path.join(directory, indexPath),
+        pages: pages.size,
+        images: images.size,
+      };
+    },
+  };
+
+  async function writeFile(filePath, content) {
+    const target = path.join(directory, ...filePath.split("/"));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(
+      target,
+      content.endsWith("\n") ? content : `${content}\n`
+    );
+  }
+
+  // Each image is downloaded once, next to the first page referencing it
+  async function saveImages(pages, files, usedPaths) {
+    const images = new Map();
+    const failed = new Set();
+
+    for (const [url, record] of pages) {
+      for (const imageUrl of findImageUrls(record.content, record.url)) {
+        if (images.has(imageUrl) || failed.has(imageUrl)) continue;
+        try {
+          const response = await fetch(imageUrl, {
+            signal: AbortSignal.timeout(30000),
+          });
+          const type = response.headers.get("content-type")?.split(";")[0];
+          if (!response.ok || !type?.startsWith("image/")) {
+            throw new Error(
+              response.ok
+                ? `not an image (${type})`
+                : `status ${response.status}`
+            );
+          }
+
+          const imagePath = reservePath(
+            getAssetPath(imageUrl, files.get(url), IMAGE_EXTENSIONS[type]),
+            usedPaths
+          );
+          const target = path.join(directory, ...imagePath.split("/"));
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.writeFile(target, Buffer.from(await response.arrayBuffer()));
+          images.set(imageUrl, imagePath);
+        } catch (error) {
+          failed.add(imageUrl);
+          logger.log(
+            `⚠️ Could not download image ${imageUrl}: ${error.message}`
+          );
+        }
+      }
+    }
+
+    return images;
+  }
+
+  function findImageUrls(content, pageUrl) {
+    const pattern =
+      format === "html"
+        ? /<img\b[^>]*?\ssrc="([^"]+)"/gi
+        : /!\[[^\]]*\]\(([^)\s]+)\)/g;
+    const urls = new Set();
+    for (const [, value] of content.matchAll(pattern)) {
+      const url = resolveUrl(decodeEntities(value), pageUrl);
+      if (url?.startsWith("http")) urls.add(url);
+    }
+    return urls;
+  }
+}
+
+// Local path for a link target that was mirrored, keeping its fragment
+function resolveLocalLink(href, pageUrl, filePath, files, images) {
+  const url = resolveUrl(href, pageUrl);
+  if (!url) return null;
+  if (images.has(url)) return getRelativePath(filePath, images.get(url));
+
+  const { hash } = new URL(url);
+  const target = files.get(normalizeUrl(url)) || files.get(toggleSlash(url));
+  return target ? `${getRelativePath(filePath, target)}${hash}` : null;
+}
+
+function rewriteMarkdownLinks(markdown, resolveLink) {
+  return markdown.replace(/\]\(([^)\s]+)\)/g, (match, href) => {
+    if (href.startsWith("#")) return match;
+    const local = resolveLink(href);
+    return local ? `](${encodeURI(local)})` : match;
+  });
+}
+
+function rewriteHtmlLinks(html, resolveLink) {
+  return html.replace(
+    /(\s(?:href|src))="([^"]*)"/gi,
+    (match, attribute, value) => {
+      if (value.startsWith("#")) return match;
+      const local = resolveLink(decodeEntities(value));
+      return local ? `${attribute}="${escapeHtml(encodeURI(local))}"` : match;
+    }
+  );
+}
+
+function toHtmlDocument(record, body) {
+  const language = record.metadata?.language || "en";
+  const canonical = record.url
+    ? `\n<link rel="canonical" href="${escapeHtml(record.url)}">`
+    : "";
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(record.title || record.url)}</title>${canonical}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Index of the mirrored pages, nested the way the crawl found them
+ */
+function createIndex(pages, files, indexPath, format) {
+  const children = new Map();
+  const roots = [];
+  for (const [url, record] of pages) {
+    const parent = normalizeUrl(record.metadata?.parentUrl);
+    if (parent && parent !== url && pages.has(parent)) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(url);
+    } else {
+      roots.push(url);
+    }
+  }
+
+  const entry = (url) => {
+    const record = pages.get(url);
+    return {
+      title: (record.title || record.url).replace(/\s+/g, " ").trim(),
+      href: encodeURI(getRelativePath(indexPath, files.get(url))),
+    };
+  };
+
+  const created = new Date().toISOString();
+  const summary = `${pages.size} page(s) mirrored on ${created}`;
+
+  if (format === "html") {
+    const list = (urls) =>
+      `<ul>\n${urls
+        .map((url) => {
+          const { title, href } = entry(url);
+          const nested = children.has(url)
+            ? `\n${list(children.get(url))}`
+            : "";
+          return `<li><a href="${escapeHtml(href)}">${escapeHtml(title)}</a>${nested}</li>`;
+        })
+        .join("\n")}\n</ul>`;
+    return toHtmlDocument(
+      { title: "Index" },
+      `<h1>Index</h1>\n<p>${summary}</p>\n${roots.length ? list(roots) : ""}`
+    );
+  }
+
+  const lines = [];
+  const list = (urls, level) =>
+    urls.forEach((url) => {
+      const { title, href } = entry(url);
+      const text = title.replace(/([\\[\]])/g, "\\$1");
+      lines.push(`${"  ".repeat(level)}- [${text}](${href})`);
+      if (children.has(url)) list(children.get(url), level + 1);
+    });
+  list(roots, 0);
+
+  return `# Index\n\n${summary}\n\n${lines.join("\n")}`;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toggleSlash(url) {
+  const normalized = normalizeUrl(url);
+  const parsed = new URL(normalized);
+  parsed.pathname = parsed.pathname.endsWith("/")
+    ? parsed.pathname.slice(0, -1) || "/"
+    : `${parsed.pathname}/`;
+  return parsed.href;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
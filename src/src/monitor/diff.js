@@ -0,0 +1,298 @@
+/**
+ * Structured diffs between two page snapshots
+ */
+
+const DEFAULT_CONTEXT_LINES = 2;
+
+/**
+ * Compare two snapshots of the same page
+ *
+ * Returns `changed: false` when nothing monitored differs; otherwise the
+ * text hunks, table rows, prices and metadata fields that changed.
+ */
+export function diffSnapshots(previous, current, options = {}) {
+  const { contextLines = DEFAULT_CONTEXT_LINES } = options;
+
+  const text = diffText(previous.text, current.text, { contextLines });
+  const tables = diffTables(previous.tables, current.tables);
+  const prices = diffPrices(previous.pricing, current.pricing);
+  const metadata = diffMetadata(previous.metadata, current.metadata);
+
+  const changed =
+    text.hunks.length > 0 ||
+    tables.length > 0 ||
+    prices.added.length + prices.removed.length + prices.changed.length > 0 ||
+    metadata.length > 0;
+
+  return {
+    changed,
+    previousCapturedAt: previous.capturedAt,
+    text,
+    tables,
+    prices,
+    metadata,
+  };
+}
+
+/**
+ * Line diff as unified-style hunks
+ *
+ * Hunk lines are prefixed with " ", "-" or "+" like `diff -u` output.
+ */
+export function diffText(before = [], after = [], options = {}) {
+  const { contextLines = DEFAULT_CONTEXT_LINES } = options;
+  const edits = diffLines(before, after);
+
+  // Line numbers of every edit in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = edits.map((edit) => {
+    const position = { oldLine, newLine };
+    if (edit.type !== "+") oldLine++;
+    if (edit.type !== "-") newLine++;
+    return position;
+  });
+
+  // Changes whose context overlaps share one hunk
+  const ranges = [];
+  edits.forEach((edit, i) => {
+    if (edit.type === " ") return;
+    const start = Math.max(0, i - contextLines);
+    const end = Math.min(edits.length - 1, i + contextLines);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const hunks = ranges.map(({ start, end }) => {
+    const slice = edits.slice(start, end + 1);
+    return {
+      oldStart: positions[start].oldLine,
+      oldLines: slice.filter((edit) => edit.type !== "+").length,
+      newStart: positions[start].newLine,
+      newLines: slice.filter((edit) => edit.type !== "-").length,
+      lines: slice.map((edit) => `${edit.type}${edit.line}`),
+    };
+  });
+
+  return {
+    added: edits.filter((edit) => edit.type === "+").length,
+    removed: edits.filter((edit) => edit.type === "-").length,
+    hunks,
+  };
+}
+
+/**
+ * Rows added to or removed from each table
+ *
+ * Tables are matched by their header row, falling back to their position.
+ */
+export function diffTables(before = [], after = []) {
+  const keyOf = (table) =>
+    table.headers.length > 0 ? table.headers.join("|") : `#${table.index}`;
+  const previousTables = new Map(before.map((table) => [keyOf(table), table]));
+  const changes = [];
+
+  after.forEach((table) => {
+    const key = keyOf(table);
+    const previous = previousTables.get(key);
+    previousTables.delete(key);
+
+    const { added, removed } = diffRows(previous?.rows || [], table.rows);
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({
+        index: table.index,
+        headers: table.headers,
+        status: previous ? "changed" : "added",
+        addedRows: added,
+        removedRows: removed,
+      });
+    }
+  });
+
+  previousTables.forEach((table) => {
+    changes.push({
+      index: table.index,
+      headers: table.headers,
+      status: "removed",
+      addedRows: [],
+      removedRows: table.rows,
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Prices that appeared, disappeared or changed
+ *
+ * Pricing items are matched by their text with the amounts taken out, so
+ * "Pro $29/month" and "Pro $39/month" count as one changed price.
+ */
+export function diffPrices(before = [], after = []) {
+  const previous = indexPricing(before);
+  const current = indexPricing(after);
+
+  const result = { added: [], removed: [], changed: [] };
+
+  current.forEach((item, label) => {
+    const old = previous.get(label);
+    if (!old) {
+      result.added.push({ label, prices: item.prices, text: item.text });
+    } else if (old.prices.join("|") !== item.prices.join("|")) {
+      result.changed.push({
+        label,
+        before: old.prices,
+        after: item.prices,
+        text: item.text,
+      });
+    }
+  });
+
+  previous.forEach((item, label) => {
+    if (!current.has(label)) {
+      result.removed.push({ label, prices: item.prices, text: item.text });
+    }
+  });
+
+  return result;
+}
+
+function diffMetadata(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+    .map((field) => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+    }));
+}
+
+/**
+ * Multiset difference of table rows, so reordering is not a change
+ */
+function diffRows(before, after) {
+  const counts = new Map();
+  before.forEach((row) => {
+    const key = JSON.stringify(row);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const added = [];
+  after.forEach((row) => {
+    const key = JSON.stringify(row);
+    if (counts.get(key) > 0) {
+      counts.set(key, counts.get(key) - 1);
+    } else {
+      added.push(row);
+    }
+  });
+
+  const removed = [];
+  counts.forEach((count, key) => {
+    for (let i = 0; i < count; i++) removed.push(JSON.parse(key));
+  });
+
+  return { added, removed };
+}
+
+/**
+ * Pricing items by label
+ *
+ * Pricing is extracted from nested elements, so a card and its price line
+ * both show up; the most specific item with the same prices is kept.
+ */
+function indexPricing(items) {
+  const labelled = items
+    .map((item) => ({
+      label: item.text
+        .replace(
+          /(?:USD|EUR|GBP|\$)?\s*\d+(?:,\d{3})*(?:\.\d+)?\s*(?:USD|EUR|GBP|dollars?)?/gi,
+          " "
+        )
+        .replace(/\s+/g, " ")
+        .trim()
+        .substring(0, 120),
+      item,
+    }))
+    .sort((a, b) => a.label.length - b.label.length);
+
+  const index = new Map();
+  labelled.forEach(({ label, item }) => {
+    const prices = item.prices.join("|");
+    const nested = [...index].some(
+      ([kept, keptItem]) =>
+        keptItem.prices.join("|") === prices && label.includes(kept)
+    );
+    if (!nested && !index.has(label)) index.set(label, item);
+  });
+  return index;
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers' algorithm)
+ */
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 2);
+
+  // Only diagonals -d..d are reachable in round d, so keep just those
+  const trace = [];
+  const traced = (d, k) => trace[d][k + d + 1];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && before[x] === after[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edits
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && traced(d, k - 1) < traced(d, k + 1))
+        ? k + 1
+        : k - 1;
+    const prevX = d === 0 ? 0 : traced(d, prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: " ", line: before[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: "+", line: after[--y] });
+      } else {
+        edits.push({ type: "-", line: before[--x] });
+      }
+    }
+  }
+
+  return edits.reverse();
+}
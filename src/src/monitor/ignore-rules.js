@@ -0,0 +1,72 @@
+/**
+ * Ignore rules for volatile page regions
+ *
+ * Selectors drop whole elements before a snapshot is taken; patterns mask
+ * matching text (clocks, "updated 5 minutes ago", session IDs) so it never
+ * shows up as a change.
+ */
+
+const IGNORED_PLACEHOLDER = "[ignored]";
+
+// Dates and times that change between visits without the page changing
+const TIMESTAMP_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+  /\b\d{1,2}[/.]\d{1,2}[/.]\d{2,4}\b/g,
+  /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.? \d{1,2}(?:st|nd|rd|th)?,? \d{4}\b/gi,
+  /\b\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.? \d{4}\b/gi,
+  /\b\d{1,2}:\d{2}(?::\d{2})?\s*(?:[AaPp]\.?[Mm]\.?)?(?:\s*[A-Z]{2,4}\b)?/g,
+  /\b\d+\s+(?:second|minute|hour|day|week|month|year)s?\s+ago\b/gi,
+  /\b(?:just now|today|yesterday)\b/gi,
+];
+
+/**
+ * Build the ignore rules of a monitor run
+ */
+export function createIgnoreRules(options = {}) {
+  const {
+    ignoreSelectors = [],
+    ignorePatterns = [],
+    ignoreTimestamps = true,
+  } = options;
+
+  const patterns = [
+    ...(ignoreTimestamps ? TIMESTAMP_PATTERNS : []),
+    ...ignorePatterns.map((pattern) => toRegExp(pattern)),
+  ];
+
+  return {
+    selectors: ignoreSelectors,
+
+    /**
+     * Mask the ignored parts of a text
+     */
+    apply(text) {
+      if (!text) return text;
+      return patterns.reduce(
+        (masked, pattern) => masked.replace(pattern, IGNORED_PLACEHOLDER),
+        String(text)
+      );
+    },
+  };
+}
+
+/**
+ * Accept both plain patterns and "/pattern/flags" strings
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return new RegExp(
+      pattern.source,
+      pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`
+    );
+  }
+
+  const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    return match
+      ? new RegExp(match[1], match[2].includes("g") ? match[2] : `${match[2]}g`)
+      : new RegExp(pattern, "g");
+  } catch (error) {
+    throw new Error(`Invalid ignore pattern ${pattern}: ${error.message}`);
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Change monitoring barrel export
+ */
+
+export { captureSnapshot } from "./snapshot.js";
+export { diffSnapshots, diffText, diffTables, diffPrices } from "./diff.js";
+export { createIgnoreRules } from "./ignore-rules.js";
+export { openSnapshotStore, DEFAULT_MONITOR_NAME } from "./snapshot-store.js";
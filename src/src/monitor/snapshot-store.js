@@ -0,0 +1,46 @@
+/**
+ * Key-value store of the last snapshot of each monitored URL
+ */
+
+import { createHash } from "node:crypto";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+export const DEFAULT_MONITOR_NAME = "default";
+
+/**
+ * Open the snapshot store of a named monitor
+ *
+ * Separate monitors of the same URL (e.g. with different ignore rules) keep
+ * separate snapshots.
+ */
+export async function openSnapshotStore(
+  name = DEFAULT_MONITOR_NAME,
+  { openKeyValueStore = openDefaultKeyValueStore } = {}
+) {
+  const storeName = `monitor-${name}`
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .substring(0, 63);
+  const store = await openKeyValueStore(storeName);
+
+  return {
+    name,
+
+    async get(url) {
+      return store.getValue(getSnapshotKey(url));
+    },
+
+    async set(url, snapshot) {
+      await store.setValue(getSnapshotKey(url), { url, ...snapshot });
+    },
+
+    async delete(url) {
+      await store.setValue(getSnapshotKey(url), null);
+    },
+  };
+}
+
+// Store keys only allow a small character set, so URLs are hashed
+function getSnapshotKey(url) {
+  return `SNAPSHOT-${createHash("sha256").update(url).digest("hex").substring(0, 32)}`;
+}
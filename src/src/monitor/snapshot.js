@@ -0,0 +1,85 @@
+/**
+ * Page snapshots compared between monitor runs
+ */
+
+import { SELECTORS_TO_REMOVE } from "../constants.js";
+import { inlineEmbeddedContent } from "../browser/embedded-content.js";
+import { extractContent } from "../extractors/content-extractor.js";
+import { detectMainContent } from "../extractors/main-content.js";
+import { extractMetadata } from "../extractors/metadata-extractor.js";
+import { extractStructuredData } from "../extractors/structured-extractor.js";
+
+// Metadata fields worth alerting on; the rest is mostly build noise
+const TRACKED_METADATA_FIELDS = [
+  "title",
+  "description",
+  "keywords",
+  "ogTitle",
+  "ogDescription",
+  "ogImage",
+  "canonicalUrl",
+  "robots",
+];
+
+/**
+ * Capture the monitored parts of a loaded page
+ *
+ * Shadow roots and allowed frames are inlined and ignored selectors
+ * removed first; ignore patterns are applied to every captured text.
+ */
+export async function captureSnapshot(page, ignoreRules, options = {}) {
+  await inlineEmbeddedContent(page, options);
+  await page.evaluate(
+    (selectors) => {
+      selectors.forEach((sel) => {
+        try {
+          document.querySelectorAll(sel).forEach((el) => el.remove());
+        } catch (e) {}
+      });
+    },
+    [...SELECTORS_TO_REMOVE, ...ignoreRules.selectors]
+  );
+
+  const mainContent = await detectMainContent(page);
+
+  const lines = await page.evaluate((mainSelector) => {
+    const mainElement = document.querySelector(mainSelector) || document.body;
+
+    return (mainElement?.innerText || "")
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+  }, mainContent.selector);
+
+  const content = await extractContent(page, {
+    includeTables: true,
+    includeLists: false,
+    includeHeadings: false,
+  });
+  const structured = await extractStructuredData(page, {
+    includePricing: true,
+  });
+  const metadata = await extractMetadata(page);
+
+  const mask = (text) => ignoreRules.apply(text);
+
+  return {
+    capturedAt: new Date().toISOString(),
+    text: lines.map(mask),
+    tables: content.tables.map((table) => ({
+      index: table.index,
+      headers: table.headers.map(mask),
+      rows: table.rows.map((row) => row.map(mask)),
+    })),
+    pricing: (structured.pricing || []).map((item) => ({
+      text: mask(item.text),
+      prices: item.prices,
+    })),
+    metadata: Object.fromEntries(
+      TRACKED_METADATA_FIELDS.map((field) => [
+        field,
+        mask(metadata[field] ?? null),
+      ])
+    ),
+  };
+}
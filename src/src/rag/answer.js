@@ -0,0 +1,196 @@
+/**
+ * Grounded answers: the AI answers from numbered passages and every
+ * citation is checked against the passage it names
+ */
+
+import { callAI } from "../ai/index.js";
+import { createSlugger, getMarkdownHeadings } from "../formatters/index.js";
+import { tokenize } from "./retrieval.js";
+
+const SYSTEM_PROMPT =
+  "You answer questions about a website using only the sources you are given, and you cite them.";
+
+/**
+ * Ask the AI to answer from passages, then keep only citations backed by
+ * them
+ *
+ * Quotes the model made up or paraphrased are replaced by the sentence of
+ * the cited passage that matches them best, or dropped. Returns
+ * `{ answer, citations }`; `answer` is null when the model found no answer
+ * in the passages or cited none of them.
+ */
+export async function answerFromPassages(
+  question,
+  passages,
+  ai = {},
+  options = {}
+) {
+  const { logger = console } = options;
+  const response = await callAI(buildPrompt(question, passages), {
+    provider: ai.provider,
+    apiKey: ai.apiKey,
+    model: ai.model,
+    maxTokens: 1000,
+    temperature: 0.1,
+    systemPrompt: SYSTEM_PROMPT,
+    logger,
+  });
+
+  const { answer, citations } = parseResponse(response.content);
+  if (!answer) return { answer: null, citations: [] };
+
+  const seen = new Set();
+  const check = ({ source, quote }) => {
+    const passage = passages[source - 1];
+    if (!passage) return null;
+    const span = findQuote(passage.content, quote || answer);
+    if (!span || seen.has(`${source}:${span}`)) return null;
+    seen.add(`${source}:${span}`);
+    return toCitation(source, passage, span);
+  };
+
+  const checked = citations.map(check).filter(Boolean);
+  // Sources cited inline but without a usable quote get one from the answer
+  const inline = new Set(
+    [...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1]))
+  );
+  for (const source of inline) {
+    if (checked.some((citation) => citation.source === source)) continue;
+    const citation = check({ source });
+    if (citation) checked.push(citation);
+  }
+
+  return checked.length > 0
+    ? { answer, citations: checked }
+    : { answer: null, citations: [] };
+}
+
+function buildPrompt(question, passages) {
+  const sources = passages
+    .map((passage, i) => {
+      const location = [passage.title, ...passage.headingPath]
+        .filter(Boolean)
+        .join(" > ");
+      return `[${i + 1}] ${location} (${passage.url})\n"""\n${passage.content}\n"""`;
+    })
+    .join("\n\n");
+
+  return `Answer the question using ONLY the sources below.
+
+QUESTION: ${question}
+
+SOURCES:
+${sources}
+
+Rules:
+- Cite the sources you use inline, like [1] or [2][3]
+- For each cited source, copy one short passage that supports the answer word for word
+- If the sources do not answer the question, set "answer" to null
+- Do not use any knowledge that is not in the sources
+
+Respond in JSON format:
+{
+  "answer": "answer with inline citations, or null",
+  "citations": [{ "source": 1, "quote": "exact words from source 1" }]
+}
+
+Only respond with valid JSON.`;
+}
+
+// Falls back to the raw text when the model did not answer in JSON
+function parseResponse(content) {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      return {
+        answer:
+          typeof parsed.answer === "string" && parsed.answer.trim()
+            ? parsed.answer.trim()
+            : null,
+        citations: Array.isArray(parsed.citations)
+          ? parsed.citations.map((citation) => ({
+              source: Number(citation?.source),
+              quote: typeof citation?.quote === "string" ? citation.quote : "",
+            }))
+          : [],
+      };
+    } catch {
+      // Not JSON after all
+    }
+  }
+  const answer = content.trim();
+  return {
+    answer: answer && !/^null$/i.test(answer) ? answer : null,
+    citations: [],
+  };
+}
+
+/**
+ * The span of `text` that `quote` refers to: the quote itself when it is
+ * there word for word (ignoring case and spacing), otherwise the sentence
+ * sharing most of its words, if it shares at least half of them
+ */
+function findQuote(text, quote) {
+  const cleanQuote = quote
+    .replace(/\[\d+\]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!cleanQuote) return null;
+
+  const flat = text.replace(/\s+/g, " ");
+  const at = flat.toLowerCase().indexOf(cleanQuote.toLowerCase());
+  if (at !== -1) return flat.substring(at, at + cleanQuote.length);
+
+  const words = new Set(tokenize(cleanQuote));
+  if (words.size === 0) return null;
+
+  let best = null;
+  let bestShare = 0;
+  for (const line of text.split(/(?<=[.!?])\s+|\n+/)) {
+    const sentence = line.replace(/\s+/g, " ").trim();
+    const sentenceWords = new Set(tokenize(sentence));
+    const shared = [...words].filter((word) => sentenceWords.has(word)).length;
+    const share = shared / Math.min(words.size, sentenceWords.size || 1);
+    if (shared >= Math.min(2, words.size) && share > bestShare) {
+      best = sentence;
+      bestShare = share;
+    }
+  }
+  return bestShare >= 0.5 ? best : null;
+}
+
+/**
+ * A citation of a quote in a passage, linked to the section the quote
+ * ends in: the last heading before that point inside the passage, or else
+ * the last one of the passage's heading path
+ */
+function toCitation(source, passage, quote) {
+  const pattern = quote
+    .split(" ")
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("\\s+");
+  const match = passage.content.match(new RegExp(pattern, "i"));
+  const end = match ? match.index + match[0].length : 0;
+  const inner = getMarkdownHeadings(passage.content).filter(
+    (heading) => heading.offset < end
+  );
+  const heading =
+    inner[inner.length - 1]?.text ||
+    passage.headingPath[passage.headingPath.length - 1] ||
+    null;
+  const anchor = heading ? createSlugger()(heading) : null;
+
+  return {
+    source,
+    url: passage.url,
+    title: passage.title,
+    headingPath: passage.headingPath,
+    heading,
+    anchor,
+    link: anchor ? `${passage.url.split("#")[0]}#${anchor}` : passage.url,
+    quote,
+    startOffset: passage.startOffset,
+    endOffset: passage.endOffset,
+  };
+}
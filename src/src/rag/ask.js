@@ -0,0 +1,104 @@
+/**
+ * Question answering over a crawled site
+ */
+
+import { getSiteName } from "../llms/index.js";
+import { openVectorIndex } from "../vectors/index.js";
+import { answerFromPassages } from "./answer.js";
+import { searchIndex, searchRecords } from "./retrieval.js";
+
+// Least cosine similarity of a passage to the question in the vector index
+const MIN_VECTOR_SCORE = 0.3;
+
+/**
+ * Answer a question from a site's crawled pages, with citations
+ *
+ * Passages come from the vector index `index` when it holds pages of the
+ * site, by semantic search, and otherwise from `records` (crawl records,
+ * such as a dataset's items), by keyword search; `index: false` always
+ * searches the records. `site` is a site name or any URL of the site and
+ * limits the search to it. Passages scoring under `minScore` (cosine
+ * similarity, or BM25 for records) do not count.
+ *
+ * Without a supporting passage, or when the AI finds no answer in them,
+ * the result is a refusal: `refused` is true and `answer` null. Otherwise
+ * every citation has the page URL, the anchor of the section, and a quote
+ * found in the passage.
+ */
+export async function askSite(question, options = {}) {
+  const {
+    site: siteOption = null,
+    index: indexName,
+    records = [],
+    ai = {},
+    embeddings = {},
+    limit = 6,
+    minScore,
+    logger = console,
+    openKeyValueStore,
+  } = options;
+
+  if (!question?.trim()) throw new Error("A question is required");
+
+  const site = siteOption?.includes("://")
+    ? getSiteName(siteOption)
+    : siteOption;
+  const index =
+    indexName === false
+      ? null
+      : await openVectorIndex(indexName, { openKeyValueStore });
+  const useIndex = Boolean(
+    index?.embedding && index.listPages({ site }).length > 0
+  );
+
+  let passages;
+  if (useIndex) {
+    logger.log(`🔎 Searching vector index "${index.name}"...`);
+    passages = (
+      await searchIndex(question, index, { site, limit, embeddings })
+    ).filter((passage) => passage.score >= (minScore ?? MIN_VECTOR_SCORE));
+  } else {
+    logger.log(`🔎 Searching ${records.length} crawled page(s)...`);
+    passages = searchRecords(question, records, { site, limit }).filter(
+      (passage) => passage.score >= (minScore ?? 0)
+    );
+  }
+
+  const result = {
+    question,
+    site,
+    retrieval: useIndex ? "vector" : "keyword",
+    passages: passages.length,
+  };
+
+  if (passages.length === 0) {
+    logger.log("⚠️ No crawled content matches the question");
+    return {
+      ...result,
+      refused: true,
+      reason: "No crawled content matches the question",
+      answer: null,
+      citations: [],
+    };
+  }
+
+  const { answer, citations } = await answerFromPassages(
+    question,
+    passages,
+    ai,
+    { logger }
+  );
+  if (!answer) {
+    logger.log("⚠️ The matching content does not answer the question");
+    return {
+      ...result,
+      refused: true,
+      reason: "The matching content does not answer the question",
+      answer: null,
+      citations: [],
+    };
+  }
+
+  logger.log(`✅ Answered with ${citations.length} citation(s)`);
+  return { ...result, refused: false, answer, citations };
+}
@@ -0,0 +1,7 @@
+/**
+ * Question answering barrel export
+ */
+
+export { askSite } from "./ask.js";
+export { searchIndex, searchRecords } from "./retrieval.js";
+export { answerFromPassages } from "./answer.js";
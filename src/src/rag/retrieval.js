@@ -0,0 +1,144 @@
+/**
+ * Chunk retrieval for questions
+ *
+ * Semantic search in a vector index when the site was embedded, and BM25
+ * keyword ranking over crawl records otherwise. Both return passages:
+ * `{ url, title, headingPath, content, startOffset, endOffset, score }`.
+ */
+
+import { embedTexts } from "../ai/index.js";
+import { chunkPage } from "../chunking/index.js";
+import { getSiteName } from "../llms/index.js";
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can could did do does for from had has " +
+    "have how i if in into is it its me my no not of on or our so than " +
+    "that the their them then there these they this to was we were what " +
+    "when where which who whom why will with would you your"
+  ).split(" ")
+);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * The `limit` chunks of a vector index closest to the question
+ *
+ * The question is embedded with the index's own provider and model;
+ * `embeddings` may add an `apiKey` or `baseUrl` for them.
+ */
+export async function searchIndex(question, index, options = {}) {
+  const { site = null, limit = 6, embeddings = {} } = options;
+  const { provider, model } = index.embedding;
+
+  const {
+    vectors: [vector],
+  } = await embedTexts([question], {
+    ...embeddings,
+    provider,
+    model,
+    inputType: "query",
+  });
+
+  const entries = await index.search(vector, { limit, site });
+  return entries.map((entry) => ({
+    url: entry.url,
+    title: entry.title,
+    headingPath: entry.chunk.headingPath || [],
+    content: entry.chunk.content,
+    startOffset: entry.chunk.startOffset,
+    endOffset: entry.chunk.endOffset,
+    score: entry.score,
+  }));
+}
+
+/**
+ * The `limit` chunks of crawl records that best match the question's
+ * words, by BM25; chunks sharing no word with it are left out
+ *
+ * Records without chunks are chunked here.
+ */
+export function searchRecords(question, records, options = {}) {
+  const { site = null, limit = 6 } = options;
+  const chunks = collectChunks(records, site);
+  const terms = [...new Set(tokenize(question))];
+  if (terms.length === 0 || chunks.length === 0) return [];
+
+  const documents = chunks.map((chunk) => countTerms(tokenize(chunk.content)));
+  const averageLength =
+    documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length;
+  const idf = new Map(
+    terms.map((term) => {
+      const frequency = documents.filter((doc) => doc.counts.has(term)).length;
+      return [
+        term,
+        Math.log(1 + (chunks.length - frequency + 0.5) / (frequency + 0.5)),
+      ];
+    })
+  );
+
+  return chunks
+    .map((chunk, i) => {
+      const { counts, length } = documents[i];
+      const score = terms.reduce((sum, term) => {
+        const tf = counts.get(term) || 0;
+        if (!tf) return sum;
+        const norm = K1 * (1 - B + (B * length) / (averageLength || 1));
+        return sum + (idf.get(term) * tf * (K1 + 1)) / (tf + norm);
+      }, 0);
+      return { ...chunk, score };
+    })
+    .filter((chunk) => chunk.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Lowercase words of a text, without stop words and plural endings
+ */
+export function tokenize(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  )
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 ? word.replace(/s$/, "") : word));
+}
+
+function collectChunks(records, site) {
+  return records
+    .filter(
+      (record) =>
+        record.status === "success" &&
+        record.url &&
+        (!site || getSiteName(record.url) === site)
+    )
+    .flatMap((record) => {
+      const chunks =
+        record.chunks ||
+        chunkPage({
+          url: record.url,
+          markdown: typeof record.content === "string" ? record.content : null,
+          textContent: record.textContent,
+          headings: record.headings,
+        }).chunks;
+
+      return chunks.map((chunk) => ({
+        url: record.url,
+        title: record.title,
+        headingPath: chunk.headingPath || [],
+        content: chunk.content,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+      }));
+    });
+}
+
+function countTerms(words) {
+  const counts = new Map();
+  words.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+  return { counts, length: words.length };
+}
@@ -0,0 +1,56 @@
+/**
+ * Page captures: screenshots and PDF snapshots
+ */
+
+import { createHybridCrawler, ENGINES } from "../engine/index.js";
+import { createArtifactCapture } from "../browser/index.js";
+import { openRunQueue } from "./common.js";
+
+/**
+ * Load a page in the browser and store the artifacts `options` ask for
+ * (see createArtifactCapture); a full-page screenshot is taken by default
+ */
+export async function runPageCapture(url, options = {}) {
+  const {
+    logger = console,
+    openKeyValueStore,
+    openRequestQueue,
+    fullPageScreenshot = true,
+    ...artifactOptions
+  } = options;
+  const artifacts = createArtifactCapture({
+    fullPageScreenshot,
+    ...artifactOptions,
+    logger,
+    openKeyValueStore,
+  });
+
+  let result = { url, error: "Page could not be loaded" };
+  const requestQueue = await openRunQueue("capture", openRequestQueue);
+
+  const crawler = createHybridCrawler({
+    engine: ENGINES.BROWSER,
+    requestQueue,
+    openRequestQueue,
+    maxRequestsPerCrawl: 1,
+    logger,
+    async requestHandler({ page }) {
+      await page.waitForLoadState("domcontentloaded");
+      result = {
+        url,
+        title: await page.title(),
+        artifacts: await artifacts.capture(page, url),
+        capturedAt: new Date().toISOString(),
+      };
+      logger.log(`📸 Captured: ${url}`);
+    },
+    failedRequestHandler({ request }, error) {
+      logger.error(`❌ Failed to capture ${request.url}: ${error.message}`);
+    },
+  });
+
+  await crawler.run([url]);
+  await requestQueue.drop();
+
+  return result;
+}
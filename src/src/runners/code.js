@@ -0,0 +1,41 @@
+/**
+ * Code extraction from repositories, Q&A sites and web pages
+ */
+
+import { extractFromGitHub } from "../extractors/github-extractor.js";
+import {
+  extractFromStackOverflow,
+  extractCodeFromWebsite,
+  detectCodePlatform,
+} from "../extractors/code-extractor.js";
+
+/**
+ * Extract code from a GitHub repository or file, a gist, a StackOverflow
+ * question or the code blocks of any other page
+ */
+export async function runCodeExtractor(url, options = {}) {
+  const {
+    maxFiles = 50,
+    extensions,
+    includeTests = false,
+    logger = console,
+  } = options;
+
+  const platform = detectCodePlatform(url);
+  logger.log(`   📂 Platform: ${platform}`);
+
+  switch (platform) {
+    case "github":
+    case "gist":
+      return await extractFromGitHub(url, {
+        maxFiles,
+        extensions,
+        includeTests,
+        logger,
+      });
+    case "stackoverflow":
+      return await extractFromStackOverflow(url);
+    default:
+      return await extractCodeFromWebsite(url);
+  }
+}
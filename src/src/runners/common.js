@@ -0,0 +1,114 @@
+/**
+ * Helpers shared by the runners
+ */
+
+import { openRequestQueue as openDefaultRequestQueue } from "../utils/storage.js";
+
+// Page furniture removed before extraction
+export const SELECTORS_TO_REMOVE = [
+  "script",
+  "style",
+  "noscript",
+  "iframe",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  ".ads",
+  ".advertisement",
+  ".cookie-banner",
+  ".popup",
+  ".modal",
+  ".sidebar",
+  ".menu",
+  "#comments",
+];
+
+// Statuses that mean a page is gone rather than temporarily failing
+export const GONE_STATUS_CODES = [404, 410];
+
+const USER_AGENTS = [
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
+];
+
+// Hides the most common headless browser tells
+export const STEALTH_SCRIPTS = `
+  Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+  window.chrome = { runtime: {}, loadTimes: function() {}, csi: function() {}, app: {} };
+`;
+
+/**
+ * Open a request queue of its own for one run
+ *
+ * Runs in the same process would otherwise share the default queue and
+ * skip each other's already handled URLs. Drop the queue when done.
+ */
+export async function openRunQueue(
+  prefix,
+  openRequestQueue = openDefaultRequestQueue
+) {
+  const suffix = Math.random().toString(36).slice(2, 8);
+  return openRequestQueue(`${prefix}-${Date.now().toString(36)}-${suffix}`);
+}
+
+export function getRandomUserAgent() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+export function getRandomDelay(min = 1000, max = 3000) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/**
+ * Scroll down to trigger lazy loading, then back to the top
+ */
+export async function autoScroll(page) {
+  try {
+    await page.evaluate(async () => {
+      await new Promise((resolve) => {
+        let totalHeight = 0;
+        const distance = 300;
+        const timer = setInterval(() => {
+          const scrollHeight = document.body.scrollHeight;
+          window.scrollBy(0, distance);
+          totalHeight += distance;
+          if (totalHeight >= scrollHeight || totalHeight > 5000) {
+            clearInterval(timer);
+            window.scrollTo(0, 0);
+            resolve();
+          }
+        }, 100);
+      });
+    });
+  } catch (e) {
+    // Ignore scroll errors
+  }
+}
+
+/**
+ * Click the first cookie consent button found
+ */
+export async function dismissCookieBanners(page) {
+  const cookieButtonSelectors = [
+    'button[id*="accept"]',
+    'button[class*="accept"]',
+    'button[id*="cookie"]',
+    'button[class*="cookie"]',
+    'button:has-text("Accept")',
+    'button:has-text("I agree")',
+  ];
+
+  for (const selector of cookieButtonSelectors) {
+    try {
+      const button = await page.$(selector);
+      if (button) {
+        await button.click();
+        await page.waitForTimeout(500);
+        break;
+      }
+    } catch (e) {
+      // Ignore
+    }
+  }
+}
@@ -0,0 +1,802 @@
+/**
+ * Page extraction and website crawling
+ */
+
+import {
+  openCrawlState,
+  createRobotsPolicy,
+  applyRobotsDirectives,
+  FOLLOWABLE_LINKS_SELECTOR,
+  discoverSitemapUrls,
+  usesSitemap,
+  usesLinks,
+  createUrlFilter,
+  openPageIndex,
+  hashContent,
+  createConditionalRequestHook,
+  CHANGE_TYPES,
+  createHostScheduler,
+  DEFAULT_MAX_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENT_PER_HOST,
+  openDuplicateFilter,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_THRESHOLD,
+} from "../crawl/index.js";
+import { createHybridCrawler, ENGINES } from "../engine/index.js";
+import { PDF_CONTENT_TYPE } from "../extractors/pdf-extractor.js";
+import { detectMainContent } from "../extractors/main-content.js";
+import { extractMetadata } from "../extractors/metadata-extractor.js";
+import { extractMarkdown } from "../extractors/markdown-extractor.js";
+import { extractHtml } from "../extractors/html-extractor.js";
+import {
+  createSlugger,
+  getMarkdownHeadings,
+  formatTableOfContents,
+} from "../formatters/markdown-formatter.js";
+import { createAuthSession } from "../auth/index.js";
+import {
+  createActionResolver,
+  runPageActions,
+  skipPageActions,
+  createArtifactCapture,
+  inlineEmbeddedContent,
+  EMBEDDED_ATTRIBUTE,
+  EMBEDDED_SOURCE_ATTRIBUTE,
+} from "../browser/index.js";
+import { chunkPage, validateChunkOptions } from "../chunking/index.js";
+import {
+  SELECTORS_TO_REMOVE,
+  GONE_STATUS_CODES,
+  getRandomUserAgent,
+  openRunQueue,
+} from "./common.js";
+
+/**
+ * Markdown document of a page: a header with its source, extraction time
+ * and table of contents, then its own content from `bodyOffset` on
+ */
+function formatAsMarkdown(data) {
+  let body = data.markdown || "";
+  let headings = body ? getMarkdownHeadings(body) : data.headings || [];
+
+  // Converted pages usually open with their own title
+  let titleLine = `# ${data.title}`;
+  if (body && headings[0]?.level === 1 && /^# /.test(body)) {
+    [titleLine] = body.split("\n", 1);
+    body = body.substring(titleLine.length).trimStart();
+    headings = headings.slice(1);
+  }
+
+  const lines = [
+    titleLine,
+    "",
+    `> Source: ${data.url}`,
+    `> Extracted: ${new Date().toISOString()}`,
+    "",
+    "---",
+    "",
+  ];
+
+  if (data.description) {
+    lines.push(`**Description:** ${data.description}`, "");
+  }
+
+  if (headings.length > 2) {
+    lines.push("## Table of Contents", "");
+    if (body) {
+      const slug = createSlugger();
+      slug(getMarkdownHeadings(titleLine)[0]?.text || "");
+      slug("Table of Contents");
+      const toc = formatTableOfContents(headings, slug);
+      lines.push(...toc.slice(0, 15));
+    } else {
+      headings.slice(0, 15).forEach((h) => {
+        const indent = "  ".repeat(Math.min(h.level - 1, 3));
+        lines.push(`${indent}- ${h.text}`);
+      });
+    }
+    lines.push("", "---", "");
+  }
+
+  const header = `${lines.join("\n")}\n`;
+  return {
+    markdown: `${header}${body || `## Content\n\n${data.textContent || ""}`}`,
+    bodyOffset: header.length,
+  };
+}
+
+/**
+ * Page data of a parsed PDF, in the shape HTML pages are extracted into
+ */
+function getPdfPageData(pdf, url) {
+  return {
+    title:
+      pdf.title ||
+      decodeURIComponent(new URL(url).pathname.split("/").pop()) ||
+      "Untitled",
+    textContent: pdf.textContent,
+    description: pdf.metadata.subject,
+    language: null,
+    headings: pdf.headings.slice(0, 50),
+    links: pdf.links.slice(0, 100),
+    codeBlocks: [],
+  };
+}
+
+// PDF text has no markup; its blank-line paragraphs become <p> elements
+function textToHtml(text) {
+  const escape = (value) =>
+    value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escape(paragraph)}</p>`)
+    .join("\n");
+}
+
+/**
+ * Extract the given pages, optionally following links or sitemaps
+ *
+ * Returns one record per page; records are also pushed to `storage` as
+ * they are produced. Error pages are never extracted; in an `incremental`
+ * crawl, an indexed page that now answers 404 or 410 is reported removed.
+ * With a `duplicatePolicy` ("skip" or "group"), pages
+ * at least `duplicateThreshold` similar to another are near-duplicates,
+ * and extracted pages are pushed once the crawl is over and their groups
+ * are known.
+ */
+export async function runCrawler(urls, options = {}) {
+  const {
+    format = "markdown",
+    chunkContent = false,
+    chunkStrategy = "recursive",
+    chunkSize = 1000,
+    chunkOverlap = 100,
+    proxyConfiguration,
+    storage = null,
+    logger = console,
+    openKeyValueStore,
+    openRequestQueue,
+    maxPages = 100,
+    maxDepth = 0,
+    followLinks = false,
+    metadataOnly = false,
+    crawlId = null,
+    resetCrawl = false,
+    respectRobotsTxt = true,
+    robotsUserAgent,
+    discovery = "links",
+    sitemapLastmodSince = null,
+    sitemapPattern = null,
+    include = [],
+    exclude = [],
+    pathPrefix = null,
+    stripQueryParams = [],
+    maxConcurrency = DEFAULT_MAX_CONCURRENCY,
+    maxRequestsPerMinutePerHost = 0,
+    maxConcurrentPerHost = DEFAULT_MAX_CONCURRENT_PER_HOST,
+    engine = ENGINES.AUTO,
+    incremental = false,
+    parsePdfs = true,
+    maxPdfPages,
+    allowedFrameOrigins = [],
+    auth: authOptions = {},
+    actions = [],
+    artifacts: artifactOptions = {},
+    duplicatePolicy = null,
+    duplicateThreshold = DEFAULT_DUPLICATE_THRESHOLD,
+  } = options;
+
+  if (chunkContent) {
+    validateChunkOptions({ strategy: chunkStrategy, chunkSize, chunkOverlap });
+  }
+
+  const results = [];
+  let successCount = 0;
+
+  logger.log(`\n📋 Processing ${urls.length} URL(s)...`);
+
+  const urlFilter = createUrlFilter({
+    include,
+    exclude,
+    pathPrefix,
+    stripQueryParams,
+    allowPdfs: parsePdfs,
+  });
+
+  const robotsPolicy = createRobotsPolicy({
+    respectRobotsTxt,
+    userAgent: robotsUserAgent,
+    logger,
+    openKeyValueStore,
+  });
+
+  const scheduler = createHostScheduler({
+    requestsPerMinute: maxRequestsPerMinutePerHost,
+    maxConcurrentPerHost,
+    robotsPolicy,
+    logger,
+  });
+
+  const auth = await createAuthSession({
+    ...authOptions,
+    urls,
+    logger,
+    openKeyValueStore,
+  });
+  const resolveActions = createActionResolver(actions);
+  const artifacts = createArtifactCapture({
+    ...artifactOptions,
+    logger,
+    openKeyValueStore,
+  });
+
+  // Named crawls persist their frontier so a rerun resumes where it stopped
+  let crawlState;
+  if (crawlId) {
+    crawlState = await openCrawlState(crawlId, {
+      reset: resetCrawl,
+      openKeyValueStore,
+      openRequestQueue,
+    });
+    logger.log(
+      crawlState.isResumed
+        ? `♻️ Resuming crawl "${crawlId}" (${crawlState.pushedCount()} pages already extracted)`
+        : `🆕 Starting crawl "${crawlId}"`
+    );
+  }
+
+  // Near-duplicates are held back until the crawl is over; named crawls
+  // keep them in their store so an interrupted run does not lose them
+  const duplicates = duplicatePolicy
+    ? await openDuplicateFilter({
+        policy: duplicatePolicy,
+        threshold: duplicateThreshold,
+        crawlState,
+      })
+    : null;
+
+  // Incremental recrawls compare every page with the previous run
+  const pageIndex = incremental
+    ? await openPageIndex({ crawlState, urls, openKeyValueStore })
+    : null;
+  if (pageIndex?.previousRunAt) {
+    logger.log(`🔁 Comparing with the run from ${pageIndex.previousRunAt}`);
+  }
+
+  const pushRemoved = async (page, extra = {}) => {
+    const removedResult = {
+      url: page.url,
+      timestamp: new Date().toISOString(),
+      title: page.title,
+      status: "removed",
+      change: CHANGE_TYPES.REMOVED,
+      lastSeenAt: page.lastSeenAt,
+      ...extra,
+    };
+    await storage?.pushData(removedResult);
+    results.push(removedResult);
+  };
+
+  const requestQueue =
+    crawlState?.requestQueue || (await openRunQueue("crawl", openRequestQueue));
+
+  const crawler = createHybridCrawler({
+    engine,
+    requestQueue,
+    fallbackQueue: crawlState?.browserQueue,
+    openRequestQueue,
+    logger,
+    robotsPolicy,
+    scheduler,
+    auth,
+    requiresBrowser: (request) =>
+      artifacts.enabled || resolveActions(request.url).length > 0,
+    parsePdfs,
+    maxPdfPages,
+    maxRequestsPerCrawl: followLinks ? maxPages : urls.length + 10,
+    maxConcurrency,
+    requestHandlerTimeoutSecs: 90,
+    navigationTimeoutSecs: 60,
+    proxyConfiguration,
+
+    httpOptions: {
+      preNavigationHooks: pageIndex
+        ? [createConditionalRequestHook(pageIndex)]
+        : [],
+    },
+
+    browserOptions: {
+      headless: true,
+      launchContext: {
+        launchOptions: {
+          args: [
+            "--no-sandbox",
+            "--disable-setuid-sandbox",
+            "--disable-blink-features=AutomationControlled",
+          ],
+        },
+      },
+      preNavigationHooks: [
+        async ({ page, request }) => {
+          await page.setExtraHTTPHeaders({
+            "User-Agent": getRandomUserAgent(),
+            Accept:
+              "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+            "Accept-Language": "en-US,en;q=0.9",
+          });
+          logger.log(`🌐 Navigating to: ${request.url}`);
+        },
+      ],
+    },
+
+    async requestHandler({
+      page,
+      request,
+      response,
+      enqueueLinks,
+      engine: pageEngine,
+      pdf,
+    }) {
+      const url = request.url;
+      const depth = request.userData.depth || 0;
+
+      const followsLinks =
+        followLinks && usesLinks(discovery) && depth < maxDepth;
+      let robotsDirectives = { noindex: false, nofollow: false };
+
+      // Stored links stand in for the page's own when it was not refetched
+      const enqueueNextLinks = async (storedLinks = null) => {
+        if (!followsLinks || robotsDirectives.nofollow) return;
+        await enqueueLinks({
+          ...(storedLinks
+            ? { urls: storedLinks }
+            : { selector: FOLLOWABLE_LINKS_SELECTOR }),
+          strategy: "same-domain",
+          userData: { depth: depth + 1, discoveredBy: "link", parentUrl: url },
+          transformRequestFunction: (req) => urlFilter.transformRequest(req),
+        });
+      };
+
+      const pushUnchanged = async (entry) => {
+        const unchangedResult = {
+          url,
+          timestamp: new Date().toISOString(),
+          title: entry.title,
+          status: "unchanged",
+          change: CHANGE_TYPES.UNCHANGED,
+          contentHash: entry.contentHash,
+          lastChangedAt: entry.lastChangedAt,
+          metadata: {
+            depth,
+            discoveredBy: request.userData.discoveredBy || "seed",
+            engine: pageEngine,
+          },
+        };
+        await storage?.pushData(unchangedResult);
+        await crawlState?.markPushed(url);
+        results.push(unchangedResult);
+        logger.log(`💤 Unchanged: ${url}`);
+      };
+
+      try {
+        // 304 answer to a conditional request: nothing to extract
+        if (pageIndex && response?.status() === 304) {
+          const entry = pageIndex.markNotModified(url);
+          if (entry) {
+            await pushUnchanged(entry);
+            await enqueueNextLinks(entry.links || []);
+          }
+          return;
+        }
+
+        // Error pages are not pages; one that is gone leaves the index
+        const statusCode = response?.status();
+        if (statusCode >= 400) {
+          const entry = GONE_STATUS_CODES.includes(statusCode)
+            ? pageIndex?.markGone(url)
+            : null;
+          if (!entry) throw new Error(`Page answered ${statusCode}`);
+
+          if (!crawlState?.hasPushed(url)) {
+            await pushRemoved(entry, { statusCode });
+            await crawlState?.markPushed(url);
+          }
+          logger.log(`🗑️ Removed: ${url} (${statusCode})`);
+          return;
+        }
+
+        if (!pdf) {
+          await page.waitForLoadState("domcontentloaded", { timeout: 30000 });
+          await page.waitForTimeout(1000);
+        }
+
+        robotsDirectives = await applyRobotsDirectives(
+          robotsPolicy,
+          { page, request, response },
+          { recordLinks: followsLinks }
+        );
+
+        if (crawlState?.hasPushed(url)) {
+          logger.log(`⏭️ Already extracted in a previous run: ${url}`);
+          pageIndex?.markSeen(url, { engine: pageEngine });
+          await enqueueNextLinks();
+          return;
+        }
+
+        const pageActions = pdf ? [] : resolveActions(url);
+        let actionReport = null;
+        if (pageActions.length > 0) {
+          actionReport =
+            pageEngine === ENGINES.BROWSER
+              ? await runPageActions(page, pageActions, { logger })
+              : skipPageActions(pageActions, "Page actions need a browser");
+        }
+
+        let pageArtifacts = null;
+        if (artifacts.enabled && !pdf) {
+          pageArtifacts =
+            pageEngine === ENGINES.BROWSER
+              ? await artifacts.capture(page, url)
+              : artifacts.skip("Screenshots and PDFs need a browser");
+        }
+
+        const embedded = page
+          ? await inlineEmbeddedContent(page, { allowedFrameOrigins, logger })
+          : null;
+
+        await page?.evaluate((selectors) => {
+          selectors.forEach((sel) => {
+            try {
+              document.querySelectorAll(sel).forEach((el) => el.remove());
+            } catch (e) {}
+          });
+        }, SELECTORS_TO_REMOVE);
+
+        if (robotsDirectives.noindex) {
+          pageIndex?.markSeen(url, { engine: pageEngine });
+          await enqueueNextLinks();
+          return;
+        }
+
+        const mainContent = pdf ? null : await detectMainContent(page);
+        const pageDataArgs = {
+          mainSelector: mainContent?.selector,
+          kindAttribute: EMBEDDED_ATTRIBUTE,
+          sourceAttribute: EMBEDDED_SOURCE_ATTRIBUTE,
+        };
+
+        const data = pdf
+          ? getPdfPageData(pdf, url)
+          : await page.evaluate((args) => {
+              const { mainSelector, kindAttribute, sourceAttribute } = args;
+              const mainElement =
+                document.querySelector(mainSelector) || document.body;
+
+              // Content inlined from shadow roots and frames names its origin
+              const originOf = (el) => {
+                const container = el.closest(`[${kindAttribute}]`);
+                if (!container) return {};
+                return {
+                  origin: {
+                    type: container.getAttribute(kindAttribute),
+                    source: container.getAttribute(sourceAttribute),
+                  },
+                };
+              };
+
+              const textContent = mainElement.innerText
+                .replace(/\s+/g, " ")
+                .trim();
+              const title =
+                document.querySelector("h1")?.innerText?.trim() ||
+                document.title ||
+                "Untitled";
+
+              const getMetaContent = (name) => {
+                const meta = document.querySelector(
+                  `meta[name="${name}"], meta[property="${name}"], meta[property="og:${name}"]`
+                );
+                return meta?.getAttribute("content") || null;
+              };
+
+              const headings = [];
+              document
+                .querySelectorAll("h1, h2, h3, h4, h5, h6")
+                .forEach((h) => {
+                  const text = h.innerText?.trim();
+                  if (text)
+                    headings.push({
+                      level: parseInt(h.tagName[1]),
+                      text: text.substring(0, 200),
+                      ...originOf(h),
+                    });
+                });
+
+              const links = [];
+              document.querySelectorAll("a[href]").forEach((a) => {
+                if (a.href && !a.href.startsWith("javascript:")) {
+                  links.push({
+                    url: a.href,
+                    text: a.innerText?.trim().substring(0, 100) || "",
+                    ...originOf(a),
+                  });
+                }
+              });
+
+              const codeBlocks = [];
+              document
+                .querySelectorAll("pre code, pre.code, .highlight code")
+                .forEach((code) => {
+                  const text = code.innerText?.trim();
+                  if (text && text.length > 20) {
+                    const lang =
+                      code.className.match(/language-(\w+)/)?.[1] || "unknown";
+                    codeBlocks.push({
+                      language: lang,
+                      code: text,
+                      ...originOf(code),
+                    });
+                  }
+                });
+
+              return {
+                title,
+                textContent,
+                description: getMetaContent("description"),
+                language: document.documentElement.lang || "en",
+                headings: headings.slice(0, 50),
+                links: links.slice(0, 100),
+                codeBlocks,
+              };
+            }, pageDataArgs);
+
+        if (!data.textContent || data.textContent.length < 50) {
+          logger.log(`⚠️ Skipping ${url} - insufficient content`);
+          pageIndex?.markSeen(url, { engine: pageEngine });
+          return;
+        }
+
+        let change = null;
+        if (pageIndex) {
+          let storedLinks = [];
+          if (followsLinks && !robotsDirectives.nofollow) {
+            storedLinks = pdf
+              ? pdf.links.map((link) => link.url)
+              : await page.evaluate(
+                  (selector) =>
+                    Array.from(document.querySelectorAll(selector)).map(
+                      (a) => a.href
+                    ),
+                  FOLLOWABLE_LINKS_SELECTOR
+                );
+          }
+
+          change = pageIndex.record(url, {
+            title: data.title,
+            contentHash: hashContent(data.textContent),
+            headers: response?.headers?.() || {},
+            engine: pageEngine,
+            links: storedLinks,
+          });
+
+          if (change === CHANGE_TYPES.UNCHANGED) {
+            await pushUnchanged(pageIndex.get(url));
+            await enqueueNextLinks();
+            return;
+          }
+        }
+
+        let content;
+        let bodyOffset = 0;
+        if (format === "markdown") {
+          const markdown = pdf
+            ? null
+            : await extractMarkdown(page, { selector: mainContent.selector });
+          ({ markdown: content, bodyOffset } = formatAsMarkdown({
+            ...data,
+            url,
+            markdown,
+          }));
+        } else if (format === "html") {
+          content = pdf
+            ? textToHtml(data.textContent)
+            : await extractHtml(page, { selector: mainContent.selector });
+        } else if (format === "structured") {
+          content = {
+            sections: data.headings.map((h) => h.text),
+            paragraphs: data.textContent
+              .split("\n\n")
+              .filter((p) => p.length > 50),
+          };
+        } else {
+          content = data.textContent;
+        }
+
+        const result = {
+          url,
+          timestamp: new Date().toISOString(),
+          title: data.title,
+          description: data.description,
+          content,
+          textContent: data.textContent,
+          metadata: {
+            language: data.language,
+            wordCount: data.textContent.split(/\s+/).filter((w) => w).length,
+            headingCount: data.headings.length,
+            linkCount: data.links.length,
+            codeBlockCount: data.codeBlocks.length,
+            depth,
+            discoveredBy: request.userData.discoveredBy || "seed",
+            ...(request.userData.parentUrl && {
+              parentUrl: request.userData.parentUrl,
+            }),
+            ...(request.userData.sitemapIndex !== undefined && {
+              sitemapIndex: request.userData.sitemapIndex,
+            }),
+            engine: pageEngine,
+            ...(embedded && { embedded }),
+            ...(mainContent && {
+              mainContent: {
+                confidence: mainContent.confidence,
+                ...mainContent.explanation,
+              },
+            }),
+            ...(pdf && {
+              contentType: PDF_CONTENT_TYPE,
+              pageCount: pdf.metadata.pageCount,
+              truncated: pdf.truncated,
+              document: pdf.metadata,
+            }),
+          },
+          headings: data.headings,
+          links: data.links,
+          codeBlocks: data.codeBlocks,
+          ...(pdf && { sections: pdf.pages, tables: pdf.tables }),
+          status: "success",
+          ...(change && { change }),
+          ...(actionReport && { actions: actionReport }),
+          ...(pageArtifacts && { artifacts: pageArtifacts }),
+        };
+
+        if (chunkContent) {
+          const { source, chunks } = chunkPage(
+            {
+              url,
+              markdown: format === "markdown" ? content : null,
+              bodyOffset,
+              textContent: data.textContent,
+              headings: data.headings,
+            },
+            { strategy: chunkStrategy, chunkSize, chunkOverlap }
+          );
+          result.chunks = chunks;
+          result.totalChunks = chunks.length;
+          result.chunking = {
+            strategy: chunkStrategy,
+            chunkSize,
+            chunkOverlap,
+            source,
+          };
+        }
+
+        if (duplicates) {
+          await duplicates.add(result, {
+            text: data.textContent,
+            canonicalUrl: pdf
+              ? null
+              : (await extractMetadata(page)).canonicalUrl,
+          });
+        } else {
+          await storage?.pushData(result);
+          await crawlState?.markPushed(url);
+        }
+        results.push(result);
+        successCount++;
+
+        logger.log(
+          `✅ Extracted: ${data.title.substring(0, 50)}... (${result.metadata.wordCount} words)`
+        );
+
+        await enqueueNextLinks();
+      } catch (error) {
+        logger.error(`❌ Error: ${error.message}`);
+        pageIndex?.markFailed(url);
+        results.push({ url, status: "failed", error: error.message });
+      }
+    },
+
+    failedRequestHandler({ request }, error) {
+      logger.error(`❌ Failed: ${request.url}`);
+      pageIndex?.markFailed(request.url);
+      results.push({
+        url: request.url,
+        status: "failed",
+        error: error.message,
+      });
+    },
+  });
+
+  const requests = urls.map((url) => ({ url, userData: { depth: 0 } }));
+
+  // Sitemap pages are seeds too: they reach orphan pages links never lead to
+  if (followLinks && usesSitemap(discovery)) {
+    for (const url of urls) {
+      try {
+        const sitemapUrls = await discoverSitemapUrls(url, {
+          robotsPolicy,
+          lastmodSince: sitemapLastmodSince,
+          urlPattern: sitemapPattern,
+          maxUrls: maxPages,
+          logger,
+        });
+        sitemapUrls
+          .filter((sitemapUrl) => urlFilter.isAllowed(sitemapUrl))
+          .forEach((sitemapUrl, sitemapIndex) =>
+            requests.push({
+              url: urlFilter.normalize(sitemapUrl),
+              userData: { depth: 0, discoveredBy: "sitemap", sitemapIndex },
+            })
+          );
+      } catch (error) {
+        logger.log(`⚠️ Sitemap discovery failed for ${url}: ${error.message}`);
+      }
+    }
+  }
+
+  await crawler.run(requests);
+
+  if (duplicates) {
+    const { kept, skipped, duplicateCount, groupCount } = duplicates.resolve();
+    // Records restored from an interrupted run are not in `results` yet
+    for (const record of kept) {
+      if (crawlState?.hasPushed(record.url)) continue;
+      await storage?.pushData(record);
+      await crawlState?.markPushed(record.url);
+      if (!results.includes(record)) results.push(record);
+    }
+    for (const { record, stub } of skipped) {
+      const index = results.indexOf(record);
+      if (index === -1) results.push(stub);
+      else results[index] = stub;
+      await crawlState?.markPushed(record.url);
+    }
+    await duplicates.clear();
+    if (duplicateCount > 0) {
+      logger.log(
+        `🪞 Near-duplicates: ${duplicateCount} page(s) in ${groupCount} group(s) ${duplicatePolicy === DUPLICATE_POLICIES.SKIP ? "skipped" : "grouped under their canonical page"}`
+      );
+    }
+  }
+
+  if (auth.enabled) await auth.save();
+
+  const crawlComplete = crawlState
+    ? await crawlState.finish()
+    : await crawler.isFinished();
+  if (!crawlState) await requestQueue.drop();
+
+  if (pageIndex) {
+    for (const page of pageIndex.getRemoved({ complete: crawlComplete })) {
+      await pushRemoved(page);
+    }
+    await pageIndex.persist();
+
+    const { counts } = pageIndex;
+    logger.log(
+      `🔁 Since last run: ${counts.new} new, ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.removed} removed`
+    );
+  }
+
+  await robotsPolicy.persistSkipped();
+  robotsPolicy.skipped.forEach((skip) =>
+    results.push({ ...skip, status: "skipped" })
+  );
+
+  logger.log(`\n📊 Summary: ${successCount} succeeded out of ${urls.length}`);
+  if (robotsPolicy.skipped.length > 0) {
+    logger.log(`🚫 Skipped by robots rules: ${robotsPolicy.skipped.length}`);
+  }
+  return results;
+}
@@ -0,0 +1,10 @@
+/**
+ * Runners barrel export
+ */
+
+export { runCrawler } from "./crawl.js";
+export { runInstructionBasedCrawler } from "./instruction.js";
+export { runMonitor } from "./monitor.js";
+export { runCodeExtractor } from "./code.js";
+export { runPageCapture } from "./capture.js";
+export { handleMCPRequest } from "./mcp.js";
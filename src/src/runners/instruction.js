@@ -0,0 +1,476 @@
+/**
+ * Instruction-based extraction
+ */
+
+import { PlaywrightCrawler } from "crawlee";
+import { isAIConfigured } from "../ai/index.js";
+import {
+  parseInstruction,
+  createExtractionPlan,
+} from "../ai/instruction-parser.js";
+import {
+  executeExtractionPlan,
+  postProcessWithAI,
+  countExtractedItems,
+  mergeExtractionResults,
+} from "../extractors/intelligent-extractor.js";
+import { extractStructuredData } from "../extractors/structured-extractor.js";
+import { detectMainContent } from "../extractors/main-content.js";
+import {
+  extractToSchema,
+  toJsonSchema,
+  validateSchema,
+} from "../schema/index.js";
+import {
+  createRobotsPolicy,
+  applyRobotsDirectives,
+  getRobotsCrawlerOptions,
+  createHostScheduler,
+  DEFAULT_MAX_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENT_PER_HOST,
+} from "../crawl/index.js";
+import { createAuthSession } from "../auth/index.js";
+import {
+  paginate,
+  DEFAULT_MAX_PAGES,
+  DEFAULT_MAX_ITEMS,
+  createActionResolver,
+  runPageActions,
+  createArtifactCapture,
+  inlineEmbeddedContent,
+} from "../browser/index.js";
+import {
+  SELECTORS_TO_REMOVE,
+  STEALTH_SCRIPTS,
+  getRandomUserAgent,
+  getRandomDelay,
+  autoScroll,
+  dismissCookieBanners,
+  openRunQueue,
+} from "./common.js";
+
+/**
+ * Extract what a natural-language instruction asks for from each page
+ *
+ * Returns one record per page; records are also pushed to `storage`. With
+ * a `schema` (a JSON Schema or a field spec), each record also gets a
+ * `schemaExtraction` holding data that validates against it, filled from
+ * the DOM heuristics and then by the AI.
+ */
+export async function runInstructionBasedCrawler(
+  urls,
+  instruction,
+  options = {}
+) {
+  const {
+    proxyConfiguration,
+    storage = null,
+    logger = console,
+    openKeyValueStore,
+    openRequestQueue,
+    slowMode = false,
+    aiProvider = null,
+    aiApiKey = null,
+    aiModel = null,
+    respectRobotsTxt = true,
+    robotsUserAgent,
+    maxConcurrency = DEFAULT_MAX_CONCURRENCY,
+    maxRequestsPerMinutePerHost = 0,
+    maxConcurrentPerHost = DEFAULT_MAX_CONCURRENT_PER_HOST,
+    pagination = false,
+    maxPaginationPages = DEFAULT_MAX_PAGES,
+    maxItems = DEFAULT_MAX_ITEMS,
+    allowedFrameOrigins = [],
+    auth: authOptions = {},
+    actions = [],
+    artifacts: artifactOptions = {},
+    schema = null,
+    schemaMaxAttempts,
+  } = options;
+
+  // An invalid schema fails the run before any page is loaded
+  const jsonSchema = schema ? toJsonSchema(schema) : null;
+  if (jsonSchema) validateSchema(jsonSchema);
+
+  const results = [];
+  let successCount = 0;
+  let failCount = 0;
+
+  const robotsPolicy = createRobotsPolicy({
+    respectRobotsTxt,
+    userAgent: robotsUserAgent,
+    logger,
+    openKeyValueStore,
+  });
+
+  // Each domain of a multi-URL batch is throttled on its own
+  const scheduler = createHostScheduler({
+    requestsPerMinute: maxRequestsPerMinutePerHost,
+    maxConcurrentPerHost,
+    robotsPolicy,
+    logger,
+  });
+
+  // One logged-in session is shared by every page of the batch
+  const auth = await createAuthSession({
+    ...authOptions,
+    urls,
+    logger,
+    openKeyValueStore,
+  });
+  const resolveActions = createActionResolver(actions);
+  const artifacts = createArtifactCapture({
+    ...artifactOptions,
+    logger,
+    openKeyValueStore,
+  });
+
+  logger.log(`\n📋 Processing ${urls.length} URL(s) with instruction...`);
+  logger.log(`📝 Instruction: "${instruction}"`);
+
+  const aiConfig = {
+    aiProvider,
+    aiApiKey,
+    aiModel,
+  };
+
+  // Parse instruction once (applies to all URLs)
+  const parsedInstruction = await parseInstruction(
+    instruction,
+    urls[0],
+    isAIConfigured(aiProvider, aiApiKey) ? aiConfig : null,
+    { logger }
+  );
+
+  logger.log(`✅ Parsed intent: ${parsedInstruction.intent}`);
+  logger.log(`🎯 Targets: ${parsedInstruction.targets.join(", ")}`);
+
+  const requestQueue = await openRunQueue("instruction", openRequestQueue);
+
+  const crawler = new PlaywrightCrawler({
+    ...getRobotsCrawlerOptions(robotsPolicy),
+    requestQueue,
+    maxRequestsPerCrawl: urls.length + 10,
+    maxConcurrency: slowMode ? 1 : maxConcurrency,
+    // Every followed page of a listing gets its own minute
+    requestHandlerTimeoutSecs: pagination ? 120 + maxPaginationPages * 60 : 120,
+    navigationTimeoutSecs: 60,
+    proxyConfiguration,
+    headless: true,
+
+    launchContext: {
+      launchOptions: {
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-blink-features=AutomationControlled",
+          "--window-size=1920,1080",
+        ],
+      },
+    },
+
+    browserPoolOptions: {
+      useFingerprints: true,
+    },
+
+    preNavigationHooks: [
+      async ({ page, request }) => {
+        const userAgent = getRandomUserAgent();
+
+        await page.setExtraHTTPHeaders({
+          "User-Agent": userAgent,
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+          "Accept-Language": "en-US,en;q=0.9",
+        });
+
+        await page.addInitScript(STEALTH_SCRIPTS);
+        await page.setViewportSize({ width: 1920, height: 1080 });
+
+        logger.log(`🌐 Navigating to: ${request.url}`);
+
+        if (slowMode) {
+          const delay = getRandomDelay(3000, 7000);
+          await new Promise((r) => setTimeout(r, delay));
+        }
+      },
+      ...(auth.enabled ? [auth.browserPreNavigationHook] : []),
+      scheduler.preNavigationHook,
+    ],
+    postNavigationHooks: [
+      ...(auth.enabled ? [auth.browserPostNavigationHook] : []),
+      scheduler.postNavigationHook,
+    ],
+
+    async requestHandler({ page, request, response }) {
+      const url = request.url;
+
+      logger.log(`📄 Processing: ${url}`);
+      logger.log(`🎯 Task: ${parsedInstruction.intent}`);
+
+      try {
+        await page.waitForLoadState("domcontentloaded", { timeout: 30000 });
+        await page.waitForTimeout(getRandomDelay(1000, 2000));
+
+        const robotsDirectives = await applyRobotsDirectives(
+          robotsPolicy,
+          { page, request, response },
+          { recordLinks: false }
+        );
+        if (robotsDirectives.noindex) return;
+
+        const pageResults = [];
+        const schemaPages = [];
+
+        // Clean and extract the page currently loaded
+        const extractPage = async (pageUrl) => {
+          await inlineEmbeddedContent(page, { allowedFrameOrigins, logger });
+          await page.evaluate((selectors) => {
+            selectors.forEach((sel) => {
+              try {
+                document.querySelectorAll(sel).forEach((el) => el.remove());
+              } catch (e) {}
+            });
+          }, SELECTORS_TO_REMOVE);
+
+          const pagePlan = createExtractionPlan(parsedInstruction, pageUrl, {
+            logger,
+          });
+          const pageResult = await executeExtractionPlan(
+            page,
+            pagePlan,
+            aiConfig,
+            { logger }
+          );
+          pageResults.push(pageResult);
+
+          if (jsonSchema) {
+            const mainContent = await detectMainContent(page);
+            schemaPages.push({
+              ...(await page.evaluate(
+                (mainSelector) => ({
+                  title: document.title,
+                  content: (
+                    document.querySelector(mainSelector) || document.body
+                  ).innerText,
+                }),
+                mainContent.selector
+              )),
+              structured: await extractStructuredData(page, {
+                includePricing: true,
+                includeContact: true,
+                includeProduct: true,
+              }),
+            });
+          }
+          return countExtractedItems(pageResult);
+        };
+
+        // Following pages go through the same robots and politeness checks
+        const goTo = async (nextUrl) => {
+          if (!(await robotsPolicy.isAllowed(nextUrl))) {
+            robotsPolicy.recordSkip(nextUrl, "robots.txt disallow", url);
+            return false;
+          }
+
+          const pageRequest = {
+            url: nextUrl,
+            uniqueKey: `${request.uniqueKey}#${nextUrl}`,
+          };
+          await scheduler.acquire(pageRequest);
+          try {
+            logger.log(`📑 Next page: ${nextUrl}`);
+            const pageResponse = await page.goto(nextUrl, {
+              waitUntil: "domcontentloaded",
+              timeout: 60000,
+            });
+            if (!pageResponse) return true;
+
+            scheduler.reportStatus(
+              nextUrl,
+              pageResponse.status(),
+              pageResponse.headers()["retry-after"]
+            );
+            return pageResponse.ok();
+          } finally {
+            scheduler.release(pageRequest);
+          }
+        };
+
+        const pageActions = resolveActions(url);
+        let actionReport = null;
+        let pageArtifacts = null;
+
+        let result;
+        if (pagination) {
+          await dismissCookieBanners(page);
+          if (pageActions.length > 0) {
+            actionReport = await runPageActions(page, pageActions, { logger });
+          }
+          if (artifacts.enabled) {
+            pageArtifacts = await artifacts.capture(page, url);
+          }
+
+          const listing = await paginate(page, {
+            extractPage,
+            goTo,
+            maxPages: maxPaginationPages,
+            maxItems,
+          });
+
+          const { truncated, ...merged } = mergeExtractionResults(pageResults, {
+            maxItems,
+          });
+          result = merged;
+          result.pagination = {
+            pageCount: listing.pageCount,
+            pages: listing.pages,
+            itemCount: countExtractedItems(result),
+            stopReason: truncated ? "max items" : listing.stopReason,
+          };
+
+          logger.log(
+            `📑 Merged ${listing.pages.length} page(s), ${listing.pageCount - listing.pages.length} load-more click(s) (${listing.stopReason})`
+          );
+        } else {
+          // Scroll and clean
+          await autoScroll(page);
+          await dismissCookieBanners(page);
+          if (pageActions.length > 0) {
+            actionReport = await runPageActions(page, pageActions, { logger });
+          }
+          if (artifacts.enabled) {
+            pageArtifacts = await artifacts.capture(page, url);
+          }
+          await extractPage(url);
+          result = pageResults[0];
+        }
+
+        const plan = createExtractionPlan(parsedInstruction, url, { logger });
+
+        if (jsonSchema) {
+          // Following pages add their text to the first page's
+          result.schemaExtraction = await extractToSchema(
+            {
+              url,
+              title: schemaPages[0]?.title,
+              content: schemaPages.map((p) => p.content).join("\n\n"),
+              structured: schemaPages[0]?.structured,
+            },
+            jsonSchema,
+            {
+              ai: isAIConfigured(aiProvider, aiApiKey)
+                ? { provider: aiProvider, apiKey: aiApiKey, model: aiModel }
+                : {},
+              instruction,
+              maxAttempts: schemaMaxAttempts,
+              logger,
+            }
+          );
+        }
+        // Post-process with AI if needed; a schema replaces the free text
+        else if (plan.requiresAI && isAIConfigured(aiProvider, aiApiKey)) {
+          result = await postProcessWithAI(result, plan, aiConfig, {
+            logger,
+          });
+        }
+
+        // Add metadata
+        if (actionReport) result.actions = actionReport;
+        if (pageArtifacts) result.artifacts = pageArtifacts;
+        result.status = "success";
+        result.extractedAt = new Date().toISOString();
+
+        // Save to dataset
+        await storage?.pushData(result);
+        results.push(result);
+        successCount++;
+
+        logger.log(`✅ Extracted successfully: ${parsedInstruction.intent}`);
+
+        // Log what was found
+        if (result.data.code) {
+          logger.log(
+            `   💻 Code: ${result.data.code.files?.length || 0} files`
+          );
+        }
+        if (result.data.images) {
+          logger.log(`   🖼️ Images: ${result.data.images.length}`);
+        }
+        if (result.data.tables) {
+          logger.log(`   📊 Tables: ${result.data.tables.length}`);
+        }
+        if (result.data.pricing) {
+          logger.log(`   💰 Pricing: ${result.data.pricing.length} items`);
+        }
+        if (result.data.contact) {
+          logger.log(
+            `   📧 Contact: ${result.data.contact.emails?.length || 0} emails`
+          );
+        }
+        if (result.schemaExtraction) {
+          const { valid, fieldSources } = result.schemaExtraction;
+          const sources = Object.values(fieldSources);
+          logger.log(
+            `   🧩 Schema: ${valid ? "valid" : "invalid"}, ${sources.filter((s) => s === "dom").length} field(s) from the DOM, ${sources.filter((s) => s === "ai").length} from AI`
+          );
+        }
+        if (result.aiProcessing) {
+          logger.log(`   🤖 AI: ${result.aiProcessing.task}`);
+        }
+      } catch (error) {
+        logger.error(`❌ Error processing ${url}: ${error.message}`);
+
+        const failedResult = {
+          url,
+          instruction,
+          timestamp: new Date().toISOString(),
+          status: "failed",
+          error: error.message,
+        };
+
+        await storage?.pushData(failedResult);
+        results.push(failedResult);
+        failCount++;
+      }
+    },
+
+    errorHandler({ request }) {
+      scheduler.release(request);
+    },
+
+    failedRequestHandler({ request }, error) {
+      scheduler.release(request);
+      logger.error(`❌ Failed to load: ${request.url}`);
+      failCount++;
+
+      results.push({
+        url: request.url,
+        instruction,
+        timestamp: new Date().toISOString(),
+        status: "failed",
+        error: error.message,
+      });
+    },
+  });
+
+  const requests = urls.map((url) => ({
+    url,
+    userData: { instruction },
+  }));
+
+  await crawler.run(requests);
+  await requestQueue.drop();
+
+  if (auth.enabled) await auth.save();
+
+  await robotsPolicy.persistSkipped();
+  robotsPolicy.skipped.forEach((skip) =>
+    results.push({ ...skip, instruction, status: "skipped" })
+  );
+
+  logger.log(`\n📊 Summary: ${successCount} succeeded, ${failCount} failed`);
+
+  return results;
+}
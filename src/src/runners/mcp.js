@@ -0,0 +1,429 @@
+/**
+ * MCP requests answered by the runners
+ */
+
+import { extractFromGitHub } from "../extractors/github-extractor.js";
+import { extractFromStackOverflow } from "../extractors/code-extractor.js";
+import {
+  analyzeCode,
+  explainCode,
+  generateDocs,
+  improveCode,
+  summarizeContent,
+} from "../ai/code-analyzer.js";
+import { getAvailableProviders } from "../ai/index.js";
+import { getMCPTools } from "../mcp/tools.js";
+import { generateLlmsFiles, openLlmsStore, LLMS_FILES } from "../llms/index.js";
+import { indexRecords } from "../vectors/index.js";
+import { askSite } from "../rag/index.js";
+import { DEFAULT_SCHEMA_INSTRUCTION } from "../schema/index.js";
+import { runCrawler } from "./crawl.js";
+import { runCodeExtractor } from "./code.js";
+import { runPageCapture } from "./capture.js";
+import { runInstructionBasedCrawler } from "./instruction.js";
+
+/**
+ * Answer a JSON-RPC MCP request
+ *
+ * `context` carries the `storage`, `logger`, the `openKeyValueStore` and
+ * `openRequestQueue` storage factories and, for tools called with
+ * `useProxy`, a `createProxyConfiguration()` factory.
+ */
+export async function handleMCPRequest(request, context = {}) {
+  const {
+    storage = null,
+    logger = console,
+    openKeyValueStore,
+    openRequestQueue,
+    createProxyConfiguration,
+  } = context;
+  const storages = { openKeyValueStore, openRequestQueue };
+  const { method, params, id } = request;
+  const getProxyConfiguration = async (useProxy) =>
+    useProxy ? await createProxyConfiguration?.() : undefined;
+  logger.log(`📥 MCP Request: ${method}`);
+
+  try {
+    let result;
+
+    switch (method) {
+      case "initialize":
+        result = {
+          protocolVersion: "2024-11-05",
+          serverInfo: { name: "ai-code-extractor", version: "2.0.0" },
+          capabilities: { tools: true, resources: true },
+        };
+        break;
+
+      case "tools/list":
+        result = { tools: getMCPTools() };
+        break;
+
+      case "tools/call":
+        const { name, arguments: args } = params;
+        logger.log(`🔧 Calling tool: ${name}`);
+
+        let content;
+
+        switch (name) {
+          // NEW: Instruction-based extraction
+          case "extract_with_instruction":
+            content = await runInstructionBasedCrawler(
+              [args.url],
+              args.instruction,
+              {
+                aiProvider: args.useAI ? args.aiProvider || "ollama" : null,
+                aiApiKey: args.aiApiKey,
+                aiModel: args.aiModel,
+                proxyConfiguration: await getProxyConfiguration(args.useProxy),
+                storage,
+                logger,
+                ...storages,
+                respectRobotsTxt: args.respectRobotsTxt !== false,
+                robotsUserAgent: args.userAgent,
+                pagination: args.pagination || false,
+                maxPaginationPages: args.maxPaginationPages,
+                maxItems: args.maxItems,
+              }
+            );
+            break;
+
+          case "extract_multiple_with_instruction":
+            content = await runInstructionBasedCrawler(
+              args.urls,
+              args.instruction,
+              {
+                aiProvider: args.useAI ? args.aiProvider || "ollama" : null,
+                aiApiKey: args.aiApiKey,
+                aiModel: args.aiModel,
+                proxyConfiguration: await getProxyConfiguration(args.useProxy),
+                storage,
+                logger,
+                ...storages,
+                respectRobotsTxt: args.respectRobotsTxt !== false,
+                robotsUserAgent: args.userAgent,
+                maxConcurrency: args.maxConcurrency,
+                maxRequestsPerMinutePerHost: args.maxRequestsPerMinutePerHost,
+                maxConcurrentPerHost: args.maxConcurrentPerHost,
+                pagination: args.pagination || false,
+                maxPaginationPages: args.maxPaginationPages,
+                maxItems: args.maxItems,
+              }
+            );
+            break;
+
+          case "extract_with_schema":
+            content = await runInstructionBasedCrawler(
+              [args.url],
+              args.instruction || DEFAULT_SCHEMA_INSTRUCTION,
+              {
+                schema: args.schema,
+                schemaMaxAttempts: args.maxAttempts,
+                aiProvider:
+                  args.useAI !== false ? args.aiProvider || "ollama" : null,
+                aiApiKey: args.aiApiKey,
+                aiModel: args.aiModel,
+                storage,
+                logger,
+                ...storages,
+                respectRobotsTxt: args.respectRobotsTxt !== false,
+              }
+            );
+            break;
+
+          // Existing tools
+          case "extract_webpage":
+          case "extract_multiple":
+          case "crawl_website":
+          case "extract_with_chunking":
+            const urls =
+              name === "extract_multiple"
+                ? args.urls
+                : name === "crawl_website"
+                  ? [args.startUrl]
+                  : [args.url];
+            content = await runCrawler(urls, {
+              format: args.format || "markdown",
+              chunkContent: name === "extract_with_chunking",
+              chunkStrategy: args.chunkStrategy,
+              chunkSize: args.chunkSize,
+              chunkOverlap: args.chunkOverlap,
+              followLinks: name === "crawl_website",
+              maxDepth: args.maxDepth,
+              maxPages: args.maxPages,
+              respectRobotsTxt: args.respectRobotsTxt !== false,
+              robotsUserAgent: args.userAgent,
+              discovery: args.discovery,
+              sitemapLastmodSince: args.sitemapLastmodSince,
+              sitemapPattern: args.sitemapPattern,
+              include: args.include,
+              exclude: args.exclude,
+              pathPrefix: args.pathPrefix,
+              stripQueryParams: args.stripQueryParams,
+              maxConcurrency: args.maxConcurrency,
+              maxRequestsPerMinutePerHost: args.maxRequestsPerMinutePerHost,
+              maxConcurrentPerHost: args.maxConcurrentPerHost,
+              engine: args.engine,
+              duplicatePolicy: args.duplicatePolicy,
+              duplicateThreshold: args.duplicateThreshold,
+              storage,
+              logger,
+              ...storages,
+            });
+            break;
+
+          // Code extraction tools
+          case "extract_github_repo":
+          case "extract_github_file":
+            content = await extractFromGitHub(args.url, {
+              maxFiles: args.maxFiles,
+              extensions: args.extensions,
+              includeTests: args.includeTests,
+              logger,
+            });
+            break;
+
+          case "extract_stackoverflow":
+            content = await extractFromStackOverflow(args.url);
+            break;
+
+          case "extract_code_from_url":
+            content = await runCodeExtractor(args.url, { logger });
+            break;
+
+          // AI analysis tools
+          case "analyze_code":
+          case "explain_code":
+          case "generate_docs":
+          case "improve_code":
+            const codeData = await runCodeExtractor(args.url, { logger });
+            if (!codeData || !codeData.code) {
+              throw new Error("No code found at URL");
+            }
+            const aiFn = {
+              analyze_code: analyzeCode,
+              explain_code: explainCode,
+              generate_docs: generateDocs,
+              improve_code: improveCode,
+            }[name];
+            const aiResult = await aiFn(codeData.code, {
+              provider: args.provider,
+              logger,
+            });
+            content = { ...codeData, aiResult };
+            break;
+
+          case "summarize_content":
+            const pageData = await runCrawler([args.url], {
+              format: "text",
+              storage,
+              logger,
+              ...storages,
+            });
+            const textContent =
+              pageData[0]?.content || pageData[0]?.textContent;
+            content = await summarizeContent(textContent, {
+              provider: args.provider,
+              maxLength: args.maxLength,
+              logger,
+            });
+            break;
+
+          case "get_page_metadata":
+            content = await runCrawler([args.url], {
+              metadataOnly: true,
+              storage,
+              logger,
+              ...storages,
+            });
+            break;
+
+          case "capture_page": {
+            const { url, ...captureOptions } = args;
+            content = await runPageCapture(url, {
+              ...captureOptions,
+              logger,
+              ...storages,
+            });
+            break;
+          }
+
+          case "list_ai_providers":
+            content = getAvailableProviders();
+            break;
+
+          case "generate_llms_txt": {
+            const records = await runCrawler([args.url], {
+              format: "markdown",
+              followLinks: true,
+              maxDepth: args.maxDepth ?? 2,
+              maxPages: args.maxPages ?? 50,
+              discovery: args.discovery,
+              respectRobotsTxt: args.respectRobotsTxt !== false,
+              robotsUserAgent: args.userAgent,
+              engine: args.engine,
+              storage,
+              logger,
+              ...storages,
+            });
+            const generated = await generateLlmsFiles(records, {
+              title: args.title,
+              summary: args.summary,
+              ai: args.useAI
+                ? {
+                    provider: args.aiProvider || "ollama",
+                    apiKey: args.aiApiKey,
+                  }
+                : {},
+              logger,
+              openKeyValueStore,
+            });
+            if (!generated) throw new Error("No pages could be extracted");
+            content = {
+              site: generated.site,
+              pages: generated.pages,
+              resources: Object.keys(LLMS_FILES).map((fileName) =>
+                getLlmsResourceUri(generated.site, fileName)
+              ),
+              llmsTxt: generated.llmsTxt,
+            };
+            break;
+          }
+
+          case "ask_site": {
+            const embeddings = args.embeddingProvider
+              ? { provider: args.embeddingProvider, model: args.embeddingModel }
+              : null;
+            let records;
+            if (args.url) {
+              records = await runCrawler([args.url], {
+                format: "markdown",
+                followLinks: true,
+                maxDepth: args.maxDepth ?? 2,
+                maxPages: args.maxPages ?? 50,
+                chunkContent: true,
+                respectRobotsTxt: args.respectRobotsTxt !== false,
+                engine: args.engine,
+                storage,
+                logger,
+                ...storages,
+              });
+              if (embeddings) {
+                await indexRecords(records, {
+                  embeddings,
+                  index: args.index,
+                  logger,
+                  openKeyValueStore,
+                });
+              }
+            } else {
+              records = storage?.getData ? (await storage.getData()).items : [];
+            }
+            content = await askSite(args.question, {
+              site: args.site || args.url,
+              // A fresh crawl without embeddings beats an older index
+              index: args.url && !embeddings ? false : args.index,
+              records,
+              ai: {
+                provider: args.aiProvider,
+                apiKey: args.aiApiKey,
+                model: args.aiModel,
+              },
+              limit: args.limit,
+              logger,
+              openKeyValueStore,
+            });
+            break;
+          }
+
+          default:
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        result = {
+          content: [
+            {
+              type: "text",
+              text:
+                typeof content === "string"
+                  ? content
+                  : JSON.stringify(content, null, 2),
+            },
+          ],
+        };
+        break;
+
+      case "resources/list": {
+        const llmsStore = await openLlmsStore({ openKeyValueStore });
+        const sites = await llmsStore.list();
+        result = {
+          resources: [
+            {
+              uri: "extractor://results",
+              name: "Extraction Results",
+              mimeType: "application/json",
+            },
+            {
+              uri: "extractor://ai-providers",
+              name: "AI Providers",
+              mimeType: "application/json",
+            },
+            ...sites.flatMap(({ site, title, pages, generatedAt }) =>
+              Object.keys(LLMS_FILES).map((fileName) => ({
+                uri: getLlmsResourceUri(site, fileName),
+                name: `${fileName} for ${site}`,
+                description: `${title} (${pages} pages, generated ${generatedAt})`,
+                mimeType: "text/markdown",
+              }))
+            ),
+          ],
+        };
+        break;
+      }
+
+      case "resources/read": {
+        const { uri } = params;
+        const llmsFile = parseLlmsResourceUri(uri);
+        let text;
+        let mimeType = "application/json";
+
+        if (llmsFile) {
+          const llmsStore = await openLlmsStore({ openKeyValueStore });
+          text = await llmsStore.read(llmsFile.site, llmsFile.fileName);
+          mimeType = "text/markdown";
+        } else if (uri === "extractor://ai-providers") {
+          text = JSON.stringify(getAvailableProviders(), null, 2);
+        } else if (uri === "extractor://results") {
+          const items = storage?.getData ? (await storage.getData()).items : [];
+          text = JSON.stringify(items, null, 2);
+        }
+
+        if (text === null || text === undefined) {
+          throw new Error(`Resource not found: ${uri}`);
+        }
+        result = { contents: [{ uri, mimeType, text }] };
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown method: ${method}`);
+    }
+
+    return { jsonrpc: "2.0", id, result };
+  } catch (error) {
+    return {
+      jsonrpc: "2.0",
+      id,
+      error: { code: -32603, message: error.message },
+    };
+  }
+}
+
+function getLlmsResourceUri(site, fileName) {
+  return `llms://${site}/${fileName}`;
+}
+
+function parseLlmsResourceUri(uri) {
+  const match = /^llms:\/\/([^/]+)\/([^/]+)$/.exec(uri || "");
+  return match ? { site: match[1], fileName: match[2] } : null;
+}
@@ -0,0 +1,257 @@
+/**
+ * Change monitoring
+ */
+
+import {
+  createRobotsPolicy,
+  applyRobotsDirectives,
+  createHostScheduler,
+  DEFAULT_MAX_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENT_PER_HOST,
+} from "../crawl/index.js";
+import { createHybridCrawler, ENGINES } from "../engine/index.js";
+import { createAuthSession } from "../auth/index.js";
+import {
+  createActionResolver,
+  runPageActions,
+  skipPageActions,
+} from "../browser/index.js";
+import {
+  captureSnapshot,
+  diffSnapshots,
+  createIgnoreRules,
+  openSnapshotStore,
+  DEFAULT_MONITOR_NAME,
+} from "../monitor/index.js";
+import {
+  GONE_STATUS_CODES,
+  getRandomUserAgent,
+  openRunQueue,
+} from "./common.js";
+
+/**
+ * Compare each page with its snapshot from the previous run
+ *
+ * Returns one record per page; a page that had a snapshot and now answers
+ * 404 or 410 gets a "removed" record and its snapshot is dropped, so it
+ * comes back as a new baseline. Records are also pushed to `storage`.
+ */
+export async function runMonitor(urls, options = {}) {
+  const {
+    monitorName = DEFAULT_MONITOR_NAME,
+    ignoreSelectors = [],
+    ignorePatterns = [],
+    ignoreTimestamps = true,
+    contextLines = 2,
+    proxyConfiguration,
+    storage = null,
+    logger = console,
+    openKeyValueStore,
+    openRequestQueue,
+    respectRobotsTxt = true,
+    robotsUserAgent,
+    maxConcurrency = DEFAULT_MAX_CONCURRENCY,
+    maxRequestsPerMinutePerHost = 0,
+    maxConcurrentPerHost = DEFAULT_MAX_CONCURRENT_PER_HOST,
+    engine = ENGINES.AUTO,
+    allowedFrameOrigins = [],
+    auth: authOptions = {},
+    actions = [],
+  } = options;
+
+  const results = [];
+
+  logger.log(`\n👀 Monitoring ${urls.length} URL(s) as "${monitorName}"...`);
+
+  const ignoreRules = createIgnoreRules({
+    ignoreSelectors,
+    ignorePatterns,
+    ignoreTimestamps,
+  });
+  const snapshots = await openSnapshotStore(monitorName, {
+    openKeyValueStore,
+  });
+  const resolveActions = createActionResolver(actions);
+
+  const robotsPolicy = createRobotsPolicy({
+    respectRobotsTxt,
+    userAgent: robotsUserAgent,
+    logger,
+    openKeyValueStore,
+  });
+
+  const scheduler = createHostScheduler({
+    requestsPerMinute: maxRequestsPerMinutePerHost,
+    maxConcurrentPerHost,
+    robotsPolicy,
+    logger,
+  });
+
+  const auth = await createAuthSession({
+    ...authOptions,
+    urls,
+    logger,
+    openKeyValueStore,
+  });
+
+  const requestQueue = await openRunQueue("monitor", openRequestQueue);
+
+  const crawler = createHybridCrawler({
+    engine,
+    requestQueue,
+    openRequestQueue,
+    logger,
+    robotsPolicy,
+    scheduler,
+    auth,
+    requiresBrowser: (request) => resolveActions(request.url).length > 0,
+    maxRequestsPerCrawl: urls.length + 10,
+    maxConcurrency,
+    requestHandlerTimeoutSecs: 90,
+    navigationTimeoutSecs: 60,
+    proxyConfiguration,
+
+    browserOptions: {
+      headless: true,
+      launchContext: {
+        launchOptions: {
+          args: ["--no-sandbox", "--disable-setuid-sandbox"],
+        },
+      },
+      preNavigationHooks: [
+        async ({ page }) => {
+          await page.setExtraHTTPHeaders({
+            "User-Agent": getRandomUserAgent(),
+            "Accept-Language": "en-US,en;q=0.9",
+          });
+        },
+      ],
+    },
+
+    async requestHandler({ page, request, response, engine: pageEngine }) {
+      const url = request.url;
+
+      try {
+        // Error pages are never compared; a page that is gone is reported
+        const statusCode = response?.status();
+        if (statusCode >= 400) {
+          const previous = GONE_STATUS_CODES.includes(statusCode)
+            ? await snapshots.get(url)
+            : null;
+          if (!previous) throw new Error(`Page answered ${statusCode}`);
+
+          const result = {
+            url,
+            timestamp: new Date().toISOString(),
+            title: previous.metadata?.title || null,
+            status: "removed",
+            statusCode,
+            previousCapturedAt: previous.capturedAt,
+            metadata: { engine: pageEngine },
+          };
+          await snapshots.delete(url);
+          await storage?.pushData(result);
+          results.push(result);
+          logger.log(`🗑️ Removed: ${url} (${statusCode})`);
+          return;
+        }
+
+        await page.waitForLoadState("domcontentloaded", { timeout: 30000 });
+        await page.waitForTimeout(1000);
+
+        // Pages that opt out of indexing are reported as skipped, not kept
+        const robotsDirectives = await applyRobotsDirectives(
+          robotsPolicy,
+          { page, request, response },
+          { recordLinks: false }
+        );
+        if (robotsDirectives.noindex) return;
+
+        const pageActions = resolveActions(url);
+        let actionReport = null;
+        if (pageActions.length > 0) {
+          actionReport =
+            pageEngine === ENGINES.BROWSER
+              ? await runPageActions(page, pageActions, { logger })
+              : skipPageActions(pageActions, "Page actions need a browser");
+        }
+
+        const snapshot = await captureSnapshot(page, ignoreRules, {
+          allowedFrameOrigins,
+          logger,
+        });
+        const previous = await snapshots.get(url);
+        await snapshots.set(url, snapshot);
+
+        const title = snapshot.metadata.title || (await page.title());
+
+        if (!previous) {
+          const result = {
+            url,
+            timestamp: snapshot.capturedAt,
+            title,
+            status: "baseline",
+            snapshot,
+            ...(actionReport && { actions: actionReport }),
+            metadata: { engine: pageEngine },
+          };
+          await storage?.pushData(result);
+          results.push(result);
+          logger.log(`📸 Baseline saved: ${url}`);
+          return;
+        }
+
+        const diff = diffSnapshots(previous, snapshot, { contextLines });
+        if (!diff.changed) {
+          results.push({ url, status: "unchanged" });
+          logger.log(`💤 No changes: ${url}`);
+          return;
+        }
+
+        const result = {
+          url,
+          timestamp: snapshot.capturedAt,
+          title,
+          status: "changed",
+          diff,
+          ...(actionReport && { actions: actionReport }),
+          metadata: { engine: pageEngine },
+        };
+        await storage?.pushData(result);
+        results.push(result);
+
+        const priceChanges =
+          diff.prices.added.length +
+          diff.prices.removed.length +
+          diff.prices.changed.length;
+        logger.log(
+          `🔔 Changed: ${url} (+${diff.text.added}/-${diff.text.removed} lines, ${diff.tables.length} tables, ${priceChanges} prices)`
+        );
+      } catch (error) {
+        logger.error(`❌ Error: ${error.message}`);
+        results.push({ url, status: "failed", error: error.message });
+      }
+    },
+
+    failedRequestHandler({ request }, error) {
+      logger.error(`❌ Failed: ${request.url}`);
+      results.push({
+        url: request.url,
+        status: "failed",
+        error: error.message,
+      });
+    },
+  });
+
+  await crawler.run(urls.map((url) => ({ url })));
+  await requestQueue.drop();
+
+  if (auth.enabled) await auth.save();
+
+  await robotsPolicy.persistSkipped();
+  robotsPolicy.skipped.forEach((skip) =>
+    results.push({ ...skip, status: "skipped" })
+  );
+
+  return results;
+}
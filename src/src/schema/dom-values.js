@@ -0,0 +1,107 @@
+/**
+ * Schema fields filled from the page's DOM heuristics
+ *
+ * `extractStructuredData()` already finds product names, prices, contact
+ * details and JSON-LD without AI. Top-level fields whose names match one
+ * of those get its value, as long as the value validates against the
+ * field's schema.
+ */
+
+import { validateAgainstSchema } from "./validator.js";
+
+// Normalized field names and where their value comes from
+const FIELD_SOURCES = [
+  [["name", "title", "productname"], (s) => s.product?.name],
+  [["description", "summary"], (s) => s.product?.description],
+  [["price", "amount"], (s) => s.product?.price ?? getPrices(s)[0]],
+  [["prices"], getPrices],
+  [["currency", "pricecurrency"], (s) => getOffer(s)?.priceCurrency],
+  [["sku"], (s) => s.product?.structured?.sku],
+  [
+    ["brand"],
+    (s) => {
+      const brand = s.product?.structured?.brand;
+      return typeof brand === "object" ? brand?.name : brand;
+    },
+  ],
+  [
+    ["image", "imageurl"],
+    (s) => {
+      const image = [s.product?.structured?.image].flat()[0];
+      return typeof image === "object" ? image?.url : image;
+    },
+  ],
+  [["email"], (s) => s.contact?.emails?.[0]],
+  [["emails"], (s) => s.contact?.emails],
+  [["phone", "telephone"], (s) => s.contact?.phones?.[0]],
+  [["phones"], (s) => s.contact?.phones],
+  [
+    ["social", "sociallinks", "socialprofiles"],
+    (s) => s.contact?.social?.map(({ url }) => url),
+  ],
+];
+
+/**
+ * The values of an object schema's fields found in `structured`, the
+ * result of `extractStructuredData()`
+ */
+export function getDomValues(structured, schema) {
+  const values = {};
+  if (!structured || !schema?.properties) return values;
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    const name = field.toLowerCase().replace(/[^a-z]/g, "");
+    const source = FIELD_SOURCES.find(([names]) => names.includes(name));
+    if (!source) continue;
+
+    const value = coerce(source[1](structured), fieldSchema);
+    if (isEmpty(value)) continue;
+    if (validateAgainstSchema(fieldSchema, value).valid) values[field] = value;
+  }
+  return values;
+}
+
+function getPrices(structured) {
+  return (structured.pricing || []).flatMap(({ prices }) => prices || []);
+}
+
+function getOffer(structured) {
+  return [structured.product?.structured?.offers].flat()[0];
+}
+
+// Bring a heuristic value into the shape its field asks for
+function coerce(value, schema) {
+  if (value === null || value === undefined) return undefined;
+  const type = [schema?.type].flat().find((t) => t && t !== "null");
+
+  switch (type) {
+    case "array": {
+      const items = [value]
+        .flat()
+        .map((item) => coerce(item, schema.items))
+        .filter((item) => !isEmpty(item));
+      return [...new Set(items)];
+    }
+    case "number":
+    case "integer": {
+      if (typeof value === "number") return value;
+      const match = String(value)
+        .replace(/,/g, "")
+        .match(/-?\d+(?:\.\d+)?/);
+      return match ? Number(match[0]) : undefined;
+    }
+    case "string":
+      if (Array.isArray(value)) return coerce(value[0], schema);
+      return typeof value === "object" ? undefined : String(value).trim();
+    default:
+      return value;
+  }
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
@@ -0,0 +1,174 @@
+/**
+ * Schema-driven extraction: the AI fills a JSON Schema from the page, and
+ * answers that do not validate go back to it with the errors
+ */
+
+import { callAI } from "../ai/index.js";
+import { getDomValues } from "./dom-values.js";
+import { toJsonSchema } from "./field-spec.js";
+import { validateAgainstSchema } from "./validator.js";
+
+const SYSTEM_PROMPT =
+  "You extract data from web pages as JSON that validates against a given JSON Schema.";
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+// Matched by the keyword rules, so parsing it takes no AI call
+export const DEFAULT_SCHEMA_INSTRUCTION = "extract the main content";
+const MAX_CONTENT_LENGTH = 12000;
+
+/**
+ * Extract data matching `schema`, a JSON Schema or a field spec, from a
+ * page
+ *
+ * `page` is `{ url, title, content, structured }`, where `structured` is
+ * the result of `extractStructuredData()`. Fields the DOM heuristics found
+ * are kept as they are; the AI (`ai`: `{ provider, apiKey, model }`) fills
+ * the rest and gets up to `maxAttempts` tries to produce valid data.
+ * Without `ai.provider`, only the DOM values are returned.
+ *
+ * Returns `{ data, valid, errors, attempts, fieldSources }`, where
+ * `fieldSources` tells for each top-level field whether it came from the
+ * "dom" or the "ai".
+ */
+export async function extractToSchema(page, schemaOrSpec, options = {}) {
+  const {
+    ai = {},
+    instruction = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    logger = console,
+  } = options;
+
+  const schema = toJsonSchema(schemaOrSpec);
+  const domValues = getDomValues(page.structured, schema);
+
+  if (!ai.provider) {
+    const { valid, data, errors } = validateAgainstSchema(schema, domValues);
+    return {
+      data,
+      valid,
+      errors,
+      attempts: 0,
+      fieldSources: getFieldSources(data, domValues),
+    };
+  }
+
+  let result = null;
+  let previous = null;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    const prompt = buildPrompt(page, schema, domValues, instruction, previous);
+    const response = await callAI(prompt, {
+      provider: ai.provider,
+      apiKey: ai.apiKey,
+      model: ai.model,
+      maxTokens: 2000,
+      temperature: 0.1,
+      systemPrompt: SYSTEM_PROMPT,
+      logger,
+    });
+
+    const answer = parseJson(response.content);
+    if (answer === undefined) {
+      previous = {
+        answer: response.content,
+        errors: [{ path: "/", message: "is not valid JSON" }],
+      };
+      logger.log(`🔁 Attempt ${attempts}: the AI did not answer in JSON`);
+      continue;
+    }
+
+    const merged = isObject(answer) ? { ...answer, ...domValues } : answer;
+    const { valid, data, errors } = validateAgainstSchema(schema, merged);
+    result = {
+      data,
+      valid,
+      errors,
+      fieldSources: getFieldSources(data, domValues),
+      provider: response.provider,
+      model: response.model,
+    };
+    if (valid) break;
+
+    logger.log(
+      `🔁 Attempt ${attempts}: ${errors.length} validation error(s), retrying`
+    );
+    previous = { answer: JSON.stringify(answer, null, 2), errors };
+
+    // DOM values the errors point at are left to the AI next time
+    for (const { path } of errors) {
+      delete domValues[path.split("/")[1]];
+    }
+  }
+
+  if (!result) {
+    result = {
+      data: null,
+      valid: false,
+      errors: previous.errors,
+      fieldSources: {},
+    };
+  }
+  if (!result.valid) {
+    logger.warn(
+      `⚠️ Schema validation failed after ${attempts} attempt(s) for ${page.url}`
+    );
+  }
+  return { ...result, attempts };
+}
+
+function buildPrompt(page, schema, domValues, instruction, previous) {
+  const content = (page.content || "").substring(0, MAX_CONTENT_LENGTH);
+  const known =
+    Object.keys(domValues).length > 0
+      ? `\nALREADY EXTRACTED (keep these values):\n${JSON.stringify(domValues, null, 2)}\n`
+      : "";
+  const retry = previous
+    ? `\nYOUR PREVIOUS ANSWER:\n${previous.answer}\n\nIt is invalid:\n${previous.errors
+        .map(({ path, message }) => `- ${path} ${message}`)
+        .join("\n")}\nFix these errors in your new answer.\n`
+    : "";
+
+  return `Extract data from the web page below as JSON that validates against the JSON Schema.
+
+URL: ${page.url}
+TITLE: ${page.title || ""}
+${instruction ? `INSTRUCTION: ${instruction}\n` : ""}
+JSON SCHEMA:
+${JSON.stringify(schema, null, 2)}
+${known}
+PAGE CONTENT:
+"""
+${content}
+"""
+${retry}
+Rules:
+- Use only information from the page
+- Leave out optional fields the page has no value for
+- Follow the types, formats and required fields of the schema exactly
+
+Only respond with valid JSON.`;
+}
+
+// undefined when the response holds no JSON
+function parseJson(content) {
+  const jsonMatch = content.match(/[[{][\s\S]*[\]}]/);
+  if (!jsonMatch) return undefined;
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch {
+    return undefined;
+  }
+}
+
+function getFieldSources(data, domValues) {
+  if (!isObject(data)) return {};
+  return Object.fromEntries(
+    Object.keys(data).map((field) => [field, field in domValues ? "dom" : "ai"])
+  );
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
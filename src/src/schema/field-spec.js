@@ -0,0 +1,125 @@
+/**
+ * Compact field specs
+ *
+ * Writing a JSON Schema for "a name, a price and some tags" is a lot of
+ * braces, so a schema can also be given as a field spec: an object
+ * mapping field names to types, or a string listing them.
+ */
+
+const FIELD_TYPES = {
+  string: { type: "string" },
+  number: { type: "number" },
+  integer: { type: "integer" },
+  boolean: { type: "boolean" },
+  url: { type: "string", format: "uri" },
+  email: { type: "string", format: "email" },
+  date: { type: "string", format: "date" },
+};
+
+/**
+ * Turn a JSON Schema or a field spec into a JSON Schema
+ *
+ * Objects with `$schema`, `properties` or an object or array `type` are
+ * JSON Schemas and returned as they are. Anything else is a field spec:
+ *
+ * - `{ name: "string", price: "number?", tags: "string[]" }`, where a
+ *   value is one of string, number, integer, boolean, url, email or date,
+ *   `[]` makes a list and `?` (on the type or the name) makes the field
+ *   optional; nested objects and `[{ ... }]` lists of objects work too
+ * - `"name, price:number?, tags:string[]"`, where the type defaults to
+ *   string
+ *
+ * Fields of a spec are required unless optional, and no others are allowed.
+ */
+export function toJsonSchema(schemaOrSpec) {
+  if (typeof schemaOrSpec === "string") {
+    return compileObject(parseSpecString(schemaOrSpec));
+  }
+  if (!isPlainObject(schemaOrSpec)) {
+    throw new Error("A schema must be a JSON Schema object or a field spec");
+  }
+  return isJsonSchema(schemaOrSpec)
+    ? schemaOrSpec
+    : compileObject(schemaOrSpec);
+}
+
+function isJsonSchema(value) {
+  return (
+    "$schema" in value ||
+    isPlainObject(value.properties) ||
+    value.type === "object" ||
+    value.type === "array"
+  );
+}
+
+function parseSpecString(spec) {
+  const fields = {};
+  for (const part of spec.split(",")) {
+    const [name, type = "string"] = part.split(":").map((s) => s.trim());
+    if (!name) continue;
+    fields[name] = type;
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new Error(`Field spec has no fields: "${spec}"`);
+  }
+  return fields;
+}
+
+function compileObject(fields) {
+  const properties = {};
+  const required = [];
+
+  for (const [key, value] of Object.entries(fields)) {
+    const keyOptional = key.endsWith("?");
+    const name = keyOptional ? key.slice(0, -1) : key;
+    const { schema, optional } = compileField(value, name);
+    properties[name] = schema;
+    if (!keyOptional && !optional) required.push(name);
+  }
+
+  return {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+}
+
+function compileField(value, name) {
+  if (Array.isArray(value)) {
+    if (value.length !== 1) {
+      throw new Error(`Field "${name}" must list exactly one item type`);
+    }
+    return {
+      schema: { type: "array", items: compileField(value[0], name).schema },
+      optional: false,
+    };
+  }
+  if (isPlainObject(value)) {
+    return { schema: compileObject(value), optional: false };
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Field "${name}" has an invalid type`);
+  }
+
+  let type = value.trim().toLowerCase();
+  const optional = type.endsWith("?");
+  if (optional) type = type.slice(0, -1);
+  const isList = type.endsWith("[]");
+  if (isList) type = type.slice(0, -2);
+
+  const schema = FIELD_TYPES[type];
+  if (!schema) {
+    throw new Error(
+      `Unknown type "${value}" for field "${name}". Use one of: ${Object.keys(FIELD_TYPES).join(", ")}`
+    );
+  }
+  return {
+    schema: isList ? { type: "array", items: { ...schema } } : { ...schema },
+    optional,
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,12 @@
+/**
+ * Schema-driven extraction barrel export
+ */
+
+export {
+  extractToSchema,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_SCHEMA_INSTRUCTION,
+} from "./extract.js";
+export { toJsonSchema } from "./field-spec.js";
+export { validateAgainstSchema, validateSchema } from "./validator.js";
+export { getDomValues } from "./dom-values.js";
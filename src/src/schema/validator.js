@@ -0,0 +1,83 @@
+/**
+ * JSON Schema validation
+ */
+
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+// Values an AI writes as "49.99" or 49 where the schema wants the other
+// are coerced, and properties the schema does not allow are dropped.
+// Schemas are not registered by their `$id`, so an equal schema given
+// again (each run or MCP call parses its own) compiles instead of clashing
+const ajv = new Ajv({
+  allErrors: true,
+  strict: false,
+  coerceTypes: true,
+  removeAdditional: true,
+  addUsedSchema: false,
+});
+addFormats(ajv);
+
+// Validators by serialized schema: each run or MCP call parses its own
+// copy of a schema, which would never hit a cache keyed by object
+const compiled = new Map();
+const MAX_COMPILED_SCHEMAS = 100;
+
+/**
+ * Validate data against a JSON Schema
+ *
+ * The data is not modified; `data` is a copy with types coerced and
+ * disallowed properties removed. `errors` are `{ path, message }`, with
+ * JSON Pointer paths such as "/price" or "/variants/0/sku".
+ */
+export function validateAgainstSchema(schema, data) {
+  const validate = compile(schema);
+  const copy = data === undefined ? null : structuredClone(data);
+  const valid = validate(copy);
+
+  return {
+    valid,
+    data: copy,
+    errors: valid ? [] : (validate.errors || []).map(toError),
+  };
+}
+
+/**
+ * Throw when a schema cannot be compiled, so runs can fail before
+ * crawling
+ */
+export function validateSchema(schema) {
+  compile(schema);
+}
+
+function compile(schema) {
+  // Draft versions mostly differ in keywords extraction schemas do not use
+  const { $schema, ...rest } = schema;
+  const key = JSON.stringify(rest);
+
+  let validate = compiled.get(key);
+  if (validate) return validate;
+
+  try {
+    validate = ajv.compile(rest);
+  } catch (error) {
+    throw new Error(`Invalid JSON Schema: ${error.message}`);
+  } finally {
+    // Ajv keeps every schema object it compiled; ours are cached above
+    ajv.removeSchema(rest);
+  }
+
+  if (compiled.size >= MAX_COMPILED_SCHEMAS) {
+    compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(key, validate);
+  return validate;
+}
+
+function toError(error) {
+  const path =
+    error.keyword === "required"
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath || "/";
+  return { path, message: error.message };
+}
@@ -0,0 +1,24 @@
+/**
+ * Default storage factories
+ *
+ * Modules that keep state open their key-value stores and request queues
+ * through `openKeyValueStore(name)` and `openRequestQueue(name)` options.
+ * These defaults use crawlee's local storage; the Actor passes its own, so
+ * the library never touches the Actor's global instance.
+ */
+
+import { KeyValueStore, RequestQueue } from "crawlee";
+
+/**
+ * Open a named key-value store, or the default one without a name
+ */
+export function openKeyValueStore(name = null) {
+  return KeyValueStore.open(name);
+}
+
+/**
+ * Open a named request queue, or the default one without a name
+ */
+export function openRequestQueue(name = null) {
+  return RequestQueue.open(name);
+}
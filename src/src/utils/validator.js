@@ -73,6 +73,7 @@ export function validateInput(input) {
     aiOptions: {
       generateSummary: false,
       chunkContent: false,
+      chunkStrategy: "recursive",
       chunkSize: 1000,
       chunkOverlap: 100,
       ...input.aiOptions,
@@ -0,0 +1,60 @@
+/**
+ * JSONL export of a vector index
+ *
+ * One line per chunk, `{ id, vector, text, metadata }`, the shape vector
+ * databases and retrieval libraries load as is.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { once } from "node:events";
+
+/**
+ * Lines of the export, each ending in a newline
+ */
+export async function* toJsonlLines(index, { site = null } = {}) {
+  const { provider, model } = index.embedding || {};
+  for await (const entry of index.entries({ site })) {
+    const { chunk } = entry;
+    yield `${JSON.stringify({
+      id: entry.id,
+      vector: entry.vector,
+      text: chunk.content,
+      metadata: {
+        url: entry.url,
+        title: entry.title,
+        site: entry.site,
+        headingPath: chunk.headingPath,
+        chunkIndex: chunk.index,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        tokenCount: chunk.tokenCount,
+        ...(chunk.type && { type: chunk.type }),
+        ...(chunk.language && { language: chunk.language }),
+        provider,
+        model,
+      },
+    })}\n`;
+  }
+}
+
+/**
+ * Write the export to `file`; returns the number of lines written
+ */
+export async function exportVectorsJsonl(index, file, options = {}) {
+  await fs.promises.mkdir(path.dirname(path.resolve(file)), {
+    recursive: true,
+  });
+  const stream = fs.createWriteStream(file);
+  let count = 0;
+  try {
+    for await (const line of toJsonlLines(index, options)) {
+      if (!stream.write(line)) await once(stream, "drain");
+      count++;
+    }
+  } finally {
+    stream.end();
+    await once(stream, "close");
+  }
+  return count;
+}
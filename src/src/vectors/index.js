@@ -0,0 +1,11 @@
+/**
+ * Vector index barrel export
+ */
+
+export { indexRecords } from "./indexer.js";
+export {
+  openVectorIndex,
+  cosineSimilarity,
+  DEFAULT_VECTOR_INDEX,
+} from "./vector-store.js";
+export { toJsonlLines, exportVectorsJsonl } from "./export.js";
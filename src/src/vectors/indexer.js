@@ -0,0 +1,139 @@
+/**
+ * Embedding stage: chunked records into the vector index
+ */
+
+import { createHash } from "node:crypto";
+import { embedTexts } from "../ai/index.js";
+import { getSiteName } from "../llms/index.js";
+import { openVectorIndex } from "./vector-store.js";
+
+/**
+ * Embed the chunks of crawl records and store them in a vector index
+ *
+ * `embeddings` is `{ provider, apiKey, model, baseUrl }`. On a recrawl,
+ * chunks whose text is unchanged keep their vectors and only new text is
+ * embedded; pages reported removed leave the index. With `reset`, the
+ * index is emptied first, e.g. to switch models. Returns counts, or null
+ * when there was nothing to index.
+ */
+export async function indexRecords(records, options = {}) {
+  const {
+    embeddings = {},
+    index: indexName,
+    reset = false,
+    logger = console,
+    openKeyValueStore,
+  } = options;
+
+  const index = await openVectorIndex(indexName, { openKeyValueStore });
+  if (reset) await index.clear();
+
+  const stats = {
+    index: index.name,
+    pages: 0,
+    chunks: 0,
+    embedded: 0,
+    reused: 0,
+    removed: 0,
+    failed: 0,
+  };
+
+  for (const record of records) {
+    if (record.status === "removed" && (await index.removePage(record.url))) {
+      stats.removed++;
+    }
+  }
+
+  const pages = records.filter(
+    (record) => record.status === "success" && record.chunks?.length
+  );
+  if (pages.length === 0) {
+    logger.log("⚠️ No chunked pages to embed");
+    return stats.removed ? stats : null;
+  }
+
+  logger.log(`\n🧮 Embedding ${pages.length} page(s)...`);
+  for (const record of pages) {
+    const previous = await index.getPage(record.url);
+    const known = new Map(
+      (previous?.entries || []).map((entry) => [entry.hash, entry.vector])
+    );
+    const hashes = record.chunks.map((chunk) => hashText(chunk.content));
+    const reused = hashes.filter((hash) => known.has(hash)).length;
+    const missing = [...new Set(hashes.filter((hash) => !known.has(hash)))];
+
+    if (missing.length > 0) {
+      const texts = missing.map(
+        (hash) => record.chunks[hashes.indexOf(hash)].content
+      );
+      let result;
+      try {
+        result = await embedTexts(texts, {
+          ...embeddings,
+          inputType: "document",
+        });
+      } catch (error) {
+        logger.log(`⚠️ Embedding failed for ${record.url}: ${error.message}`);
+        stats.failed++;
+        continue;
+      }
+
+      await checkEmbedding(index, result);
+      missing.forEach((hash, i) => known.set(hash, result.vectors[i]));
+      stats.embedded += missing.length;
+    }
+
+    const pageId = hashText(record.url).substring(0, 16);
+    await index.putPage({
+      url: record.url,
+      site: getSiteName(record.url),
+      title: record.title,
+      entries: record.chunks.map((chunk, i) => ({
+        id: `${pageId}-${chunk.index}`,
+        hash: hashes[i],
+        vector: known.get(hashes[i]),
+        chunk: {
+          index: chunk.index,
+          content: chunk.content,
+          headingPath: chunk.headingPath,
+          startOffset: chunk.startOffset,
+          endOffset: chunk.endOffset,
+          tokenCount: chunk.tokenCount,
+          ...(chunk.type && { type: chunk.type }),
+          ...(chunk.language && { language: chunk.language }),
+        },
+      })),
+    });
+
+    stats.pages++;
+    stats.chunks += record.chunks.length;
+    stats.reused += reused;
+  }
+
+  logger.log(
+    `🧭 Vector index "${index.name}": ${stats.chunks} chunk(s) of ${stats.pages} page(s), ${stats.embedded} embedded, ${stats.reused} reused${stats.removed ? `, ${stats.removed} page(s) removed` : ""}${stats.failed ? `, ${stats.failed} page(s) failed` : ""}`
+  );
+  return stats;
+}
+
+// The first vectors fix the index's model; later ones must match it
+async function checkEmbedding(index, { provider, model, dimensions }) {
+  const current = index.embedding;
+  if (!current) {
+    await index.setEmbedding({ provider, model, dimensions });
+    return;
+  }
+  if (
+    current.provider !== provider ||
+    current.model !== model ||
+    current.dimensions !== dimensions
+  ) {
+    throw new Error(
+      `Vector index "${index.name}" holds ${current.provider}/${current.model} vectors, not ${provider}/${model}. Use another index or reset this one.`
+    );
+  }
+}
+
+function hashText(text) {
+  return createHash("sha256").update(text).digest("hex").substring(0, 32);
+}
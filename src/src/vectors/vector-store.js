@@ -0,0 +1,149 @@
+/**
+ * Persistent vector index of embedded chunks
+ *
+ * A named key-value store with one record per page, holding the vectors of
+ * its chunks, and a manifest listing the pages and the embedding model.
+ * Vectors of different models cannot be compared, so an index holds a
+ * single model's.
+ */
+
+import { createHash } from "node:crypto";
+import { openKeyValueStore as openDefaultKeyValueStore } from "../utils/storage.js";
+
+export const DEFAULT_VECTOR_INDEX = "default";
+
+const MANIFEST_KEY = "MANIFEST";
+
+/**
+ * Open a named vector index
+ */
+export async function openVectorIndex(
+  name = DEFAULT_VECTOR_INDEX,
+  { openKeyValueStore = openDefaultKeyValueStore } = {}
+) {
+  const storeName = `vectors-${name}`
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .substring(0, 63);
+  const store = await openKeyValueStore(storeName);
+  let manifest = (await store.getValue(MANIFEST_KEY)) || createManifest();
+
+  const saveManifest = () => store.setValue(MANIFEST_KEY, manifest);
+
+  return {
+    name,
+
+    /**
+     * Provider, model and dimensions of the stored vectors, or null while
+     * the index is empty
+     */
+    get embedding() {
+      return manifest.embedding;
+    },
+
+    async setEmbedding(embedding) {
+      manifest.embedding = embedding;
+      await saveManifest();
+    },
+
+    /**
+     * Indexed pages with their site, title, chunk count and update time
+     */
+    listPages({ site = null } = {}) {
+      return Object.values(manifest.pages).filter(
+        (page) => !site || page.site === site
+      );
+    },
+
+    async getPage(url) {
+      return manifest.pages[url] ? store.getValue(getPageKey(url)) : null;
+    },
+
+    /**
+     * Store a page's entries (`{ id, hash, vector, chunk }`), replacing
+     * the ones it had
+     */
+    async putPage({ url, site, title, entries }) {
+      await store.setValue(getPageKey(url), { url, site, title, entries });
+      manifest.pages[url] = {
+        url,
+        site,
+        title,
+        chunks: entries.length,
+        updatedAt: new Date().toISOString(),
+      };
+      await saveManifest();
+    },
+
+    async removePage(url) {
+      if (!manifest.pages[url]) return false;
+      await store.setValue(getPageKey(url), null);
+      delete manifest.pages[url];
+      await saveManifest();
+      return true;
+    },
+
+    /**
+     * Every entry with its page's URL, title and site, page by page
+     */
+    async *entries({ site = null } = {}) {
+      for (const { url } of this.listPages({ site })) {
+        const page = await store.getValue(getPageKey(url));
+        for (const entry of page?.entries || []) {
+          yield { ...entry, url, title: page.title, site: page.site };
+        }
+      }
+    },
+
+    /**
+     * The `limit` entries closest to `vector` by cosine similarity, with
+     * their `score`
+     */
+    async search(vector, { limit = 5, site = null } = {}) {
+      const best = [];
+      for await (const entry of this.entries({ site })) {
+        const score = cosineSimilarity(vector, entry.vector);
+        if (best.length === limit && score <= best[limit - 1].score) continue;
+        best.push({ ...entry, score });
+        best.sort((a, b) => b.score - a.score);
+        if (best.length > limit) best.pop();
+      }
+      return best;
+    },
+
+    /**
+     * Remove every page and forget the embedding model
+     */
+    async clear() {
+      for (const url of Object.keys(manifest.pages)) {
+        await store.setValue(getPageKey(url), null);
+      }
+      manifest = createManifest();
+      await saveManifest();
+    },
+  };
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function createManifest() {
+  return { embedding: null, pages: {} };
+}
+
+// Store keys only allow a small character set, so URLs are hashed
+function getPageKey(url) {
+  return `PAGE-${createHash("sha256").update(url).digest("hex").substring(0, 32)}`;
+}
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chunkDocument,
+  chunkPage,
+  validateChunkOptions,
+  CHUNK_STRATEGIES,
+} from "../src/chunking/index.js";
+
+const DOCUMENT = [
+  "# Guide",
+  "Intro paragraph about the guide.",
+  "## Install",
+  "Install step sentence. ".repeat(10).trim(),
+  "## Use",
+  "Run it like this:",
+  "```js\nconst a = 1;\nconsole.log(a);\n```",
+  "Done.",
+].join("\n\n");
+
+test("chunks point at their text and stay under one heading", () => {
+  const options = { chunkSize: 120, chunkOverlap: 20, url: "https://x.dev" };
+  const chunks = chunkDocument(DOCUMENT, options);
+
+  assert.ok(chunks.length > 3);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.equal(chunk.url, "https://x.dev");
+    assert.equal(
+      chunk.content,
+      DOCUMENT.slice(chunk.startOffset, chunk.endOffset)
+    );
+    assert.ok(chunk.charCount <= options.chunkSize + options.chunkOverlap);
+    assert.ok(chunk.tokenCount > 0);
+  });
+
+  assert.deepEqual(
+    chunks.map(({ headingPath }) => headingPath.join(" > ")),
+    ["Guide", "Guide > Install", "Guide > Install", "Guide > Use"]
+  );
+  // The second Install chunk overlaps the first
+  assert.ok(chunks[2].startOffset < chunks[1].endOffset);
+});
+
+test("the code strategy keeps code blocks apart from the text", () => {
+  const chunks = chunkDocument(DOCUMENT, {
+    strategy: CHUNK_STRATEGIES.CODE,
+    chunkSize: 120,
+    chunkOverlap: 0,
+  });
+  const code = chunks.filter(({ type }) => type === "code");
+
+  assert.equal(code.length, 1);
+  assert.equal(code[0].language, "js");
+  assert.equal(code[0].content, "const a = 1;\nconsole.log(a);");
+  assert.deepEqual(code[0].headingPath, ["Guide", "Use"]);
+  assert.ok(chunks.every(({ type }) => type === "code" || type === "text"));
+});
+
+test("token windows hold at most chunkSize tokens and overlap", () => {
+  const chunks = chunkDocument(DOCUMENT, {
+    strategy: CHUNK_STRATEGIES.TOKENS,
+    chunkSize: 20,
+    chunkOverlap: 5,
+  });
+
+  assert.ok(chunks.length > 2);
+  chunks.forEach((chunk, i) => {
+    assert.ok(chunk.tokenCount <= 20);
+    if (i > 0) assert.ok(chunk.startOffset < chunks[i - 1].endOffset);
+  });
+});
+
+test("plain text gets heading paths from the page's headings", () => {
+  const chunks = chunkDocument("Intro\nBody text here.\nSetup\nMore text.", {
+    headings: [
+      { level: 1, text: "Intro" },
+      { level: 2, text: "Setup" },
+    ],
+    chunkSize: 20,
+    chunkOverlap: 0,
+  });
+
+  assert.deepEqual(
+    chunks.map(({ headingPath }) => headingPath),
+    [["Intro"], ["Intro", "Setup"]]
+  );
+});
+
+test("pages are chunked from their Markdown after the generated header", () => {
+  const { source, chunks } = chunkPage({
+    url: "https://x.dev",
+    markdown: "HEADER\n\n# Title\n\nBody.",
+    bodyOffset: 8,
+    textContent: "Title Body.",
+  });
+
+  assert.equal(source, "markdown");
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].startOffset, 8);
+  assert.deepEqual(chunks[0].headingPath, ["Title"]);
+
+  assert.equal(chunkPage({ textContent: "Only text." }).source, "text");
+  assert.deepEqual(chunkDocument(""), []);
+});
+
+test("invalid chunk options are rejected", () => {
+  assert.throws(
+    () => validateChunkOptions({ strategy: "pages" }),
+    /Unknown chunk strategy/
+  );
+  assert.throws(() => validateChunkOptions({ chunkSize: 0 }), /positive/);
+  assert.throws(
+    () => validateChunkOptions({ chunkSize: 10, chunkOverlap: 10 }),
+    /overlap/
+  );
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCookie, parseSetCookie } from "../src/auth/cookies.js";
+
+test("sameSite is brought into Playwright's spelling", () => {
+  const [lax, none, unknown] = parseSetCookie(
+    ["a=1; SameSite=lax", "b=2; samesite=NONE; Secure", "c=3; SameSite=loose"],
+    "https://example.com/"
+  );
+  assert.equal(lax.sameSite, "Lax");
+  assert.equal(none.sameSite, "None");
+  assert.equal("sameSite" in unknown, false);
+
+  assert.equal(
+    normalizeCookie({ name: "a", domain: "example.com", sameSite: "strict" })
+      .sameSite,
+    "Strict"
+  );
+  assert.equal(
+    "sameSite" in
+      normalizeCookie({ name: "a", url: "https://example.com", sameSite: 1 }),
+    false
+  );
+});
+
+test("cookies given with a url get its host, path and scheme", () => {
+  assert.deepEqual(
+    normalizeCookie({
+      name: "session",
+      value: 7,
+      url: "https://example.com/x",
+    }),
+    {
+      name: "session",
+      value: "7",
+      domain: "example.com",
+      path: "/",
+      secure: true,
+    }
+  );
+  assert.throws(() => normalizeCookie({ name: "a" }), /domain or url/);
+});
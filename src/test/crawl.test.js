@@ -0,0 +1,171 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// crawlee reads its storage directory when first used
+const storageDir = await mkdtemp(path.join(tmpdir(), "crawl-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const { log } = await import("crawlee");
+const { runCrawler } = await import("../src/runners/crawl.js");
+
+log.setLevel(log.LEVELS.OFF);
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Each site is a map of paths to a status and the paths linked from it
+const sites = new Map();
+let server;
+let origin;
+
+const page = (title, links) =>
+  `<html><head><title>${title}</title></head><body><main><h1>${title}</h1>` +
+  `<p>${`The ${title} page has enough text to be extracted. `.repeat(3)}</p>` +
+  links.map((link) => `<a href="${link}">${link}</a>`).join(" ") +
+  "</main></body></html>";
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [, site, ...rest] = req.url.split("/");
+    const pathname = `/${rest.join("/")}`;
+    const entry = sites.get(site)?.[pathname];
+    res.setHeader("content-type", "text/html");
+    if (!entry) {
+      res.statusCode = 404;
+      return res.end("<html><body><p>Not Found</p></body></html>");
+    }
+    res.statusCode = entry.status || 200;
+    res.end(
+      page(
+        `${site}${pathname}`,
+        (entry.links || []).map((link) => `/${site}${link}`)
+      )
+    );
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  origin = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+const crawlSite = (site, options = {}) =>
+  runCrawler([`${origin}/${site}/`], {
+    engine: "http",
+    followLinks: true,
+    maxDepth: 1,
+    respectRobotsTxt: false,
+    logger: quiet,
+    ...options,
+  });
+
+const byPath = (records) =>
+  Object.fromEntries(
+    records.map((record) => [new URL(record.url).pathname, record])
+  );
+
+test("indexed pages answering 404 or 410 are removed, other errors fail", async () => {
+  sites.set("gone", {
+    "/": { links: ["/a", "/b", "/c"] },
+    "/a": {},
+    "/b": {},
+    "/c": {},
+  });
+  await crawlSite("gone", { incremental: true });
+
+  sites.set("gone", {
+    "/": { links: ["/a", "/b", "/c"] },
+    "/b": { status: 400 },
+    "/c": { status: 410 },
+  });
+  const second = byPath(await crawlSite("gone", { incremental: true }));
+
+  assert.equal(second["/gone/a"].status, "removed");
+  assert.equal(second["/gone/a"].statusCode, 404);
+  assert.equal(second["/gone/c"].status, "removed");
+  assert.equal(second["/gone/c"].statusCode, 410);
+  assert.equal(second["/gone/b"].status, "failed");
+  assert.match(second["/gone/b"].error, /answered 400/);
+
+  // The failed page was carried over; the removed ones are new again
+  sites.set("gone", {
+    "/": { links: ["/a", "/b"] },
+    "/a": {},
+    "/b": {},
+  });
+  const third = byPath(await crawlSite("gone", { incremental: true }));
+  assert.equal(third["/gone/b"].change, "unchanged");
+  assert.equal(third["/gone/a"].change, "new");
+  assert.equal(third["/gone/c"], undefined);
+});
+
+test("an incremental crawl cut short by maxPages removes nothing", async () => {
+  sites.set("cut", {
+    "/": { links: ["/a", "/b", "/c", "/d"] },
+    "/a": {},
+    "/b": {},
+    "/c": {},
+    "/d": {},
+  });
+  const full = await crawlSite("cut", { incremental: true, maxPages: 10 });
+  assert.equal(full.filter(({ status }) => status === "success").length, 5);
+
+  const cut = await crawlSite("cut", {
+    incremental: true,
+    maxPages: 2,
+    maxConcurrency: 1,
+  });
+  assert.equal(cut.length, 2);
+  assert.deepEqual(
+    cut.filter(({ status }) => status === "removed"),
+    []
+  );
+
+  // The pages it did not reach are still indexed
+  const again = await crawlSite("cut", { incremental: true, maxPages: 10 });
+  assert.ok(again.every(({ change }) => change === "unchanged"));
+});
+
+test("a named crawl cut short by maxPages resumes where it stopped", async () => {
+  sites.set("resume", {
+    "/": { links: ["/a", "/b", "/c", "/d"] },
+    "/a": {},
+    "/b": {},
+    "/c": {},
+    "/d": {},
+  });
+  const messages = [];
+  const options = {
+    crawlId: "resume-test",
+    maxPages: 3,
+    maxConcurrency: 1,
+    logger: { ...quiet, log: (message) => messages.push(message) },
+  };
+  const extracted = (records) =>
+    records
+      .filter(({ status }) => status === "success")
+      .map(({ url }) => new URL(url).pathname);
+
+  const first = extracted(await crawlSite("resume", options));
+  const second = extracted(await crawlSite("resume", options));
+
+  assert.equal(first.length, 3);
+  assert.deepEqual([...first, ...second].sort(), [
+    "/resume/",
+    "/resume/a",
+    "/resume/b",
+    "/resume/c",
+    "/resume/d",
+  ]);
+  assert.ok(messages.some((message) => message.includes("Resuming crawl")));
+
+  // The pass was completed, so the next run starts over
+  messages.length = 0;
+  assert.equal(extracted(await crawlSite("resume", options)).length, 3);
+  assert.ok(messages.some((message) => message.includes("Starting crawl")));
+});
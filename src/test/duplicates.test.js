@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDuplicateFilter,
+  openDuplicateFilter,
+  simhash,
+  getSimilarity,
+  DUPLICATE_POLICIES,
+} from "../src/crawl/duplicates.js";
+
+// A named crawl's state only lends its key-value store to the filter
+function createCrawlState({ isResumed = true, values = new Map() } = {}) {
+  return {
+    isResumed,
+    values,
+    store: {
+      getValue: async (key) => values.get(key) ?? null,
+      setValue: async (key, value) =>
+        value === null ? values.delete(key) : values.set(key, value),
+    },
+  };
+}
+
+const ARTICLE = Array.from(
+  { length: 200 },
+  (_, i) => `word${i} appears in sentence number ${i % 17}`
+).join(" ");
+
+const record = (url) => ({ url, title: url, timestamp: "2026-01-01" });
+
+test("simhash is stable and similar texts are similar", () => {
+  assert.match(simhash(ARTICLE), /^[0-9a-f]{16}$/);
+  assert.equal(simhash(ARTICLE), simhash(ARTICLE));
+  assert.equal(getSimilarity(simhash(ARTICLE), simhash(ARTICLE)), 1);
+
+  const variant = getSimilarity(
+    simhash(ARTICLE),
+    simhash(`${ARTICLE} print view`)
+  );
+  const other = getSimilarity(
+    simhash(ARTICLE),
+    simhash("An entirely different page about something else.")
+  );
+  assert.ok(variant >= 0.9);
+  assert.ok(other < variant);
+});
+
+test("skips near-duplicates in favour of the declared canonical page", () => {
+  const filter = createDuplicateFilter();
+  const print = record("https://example.com/a?print=1");
+  const canonical = record("https://example.com/a");
+  const unrelated = record("https://example.com/b");
+
+  filter.add(print, { text: ARTICLE, canonicalUrl: "https://example.com/a" });
+  filter.add(canonical, { text: ARTICLE });
+  filter.add(unrelated, { text: "Something else entirely, on its own." });
+
+  const { kept, skipped, duplicateCount, groupCount } = filter.resolve();
+  assert.deepEqual(kept, [canonical, unrelated]);
+  assert.equal(duplicateCount, 1);
+  assert.equal(groupCount, 1);
+  assert.equal(skipped[0].record, print);
+  assert.equal(skipped[0].stub.status, "duplicate");
+  assert.equal(skipped[0].stub.duplicateOf.url, "https://example.com/a");
+});
+
+test("groups near-duplicates under the first crawled page", () => {
+  const filter = createDuplicateFilter({ policy: DUPLICATE_POLICIES.GROUP });
+  const first = record("https://example.com/a");
+  const second = record("https://example.com/a?ref=feed");
+
+  filter.add(first, { text: ARTICLE });
+  filter.add(second, { text: ARTICLE });
+
+  const { kept, skipped } = filter.resolve();
+  assert.deepEqual(kept, [first, second]);
+  assert.deepEqual(skipped, []);
+  assert.equal(first.duplicates[0].url, second.url);
+  assert.equal(second.duplicateOf.url, first.url);
+});
+
+test("rejects unknown policies and thresholds", () => {
+  assert.throws(() => createDuplicateFilter({ policy: "merge" }), /policy/);
+  assert.throws(() => createDuplicateFilter({ threshold: 0 }), /threshold/);
+});
+
+test("a resumed crawl restores the records an interrupted run held back", async () => {
+  const crawlState = createCrawlState();
+  const interrupted = await openDuplicateFilter({ crawlState });
+  await interrupted.add(record("https://example.com/a"), { text: ARTICLE });
+
+  const resumed = await openDuplicateFilter({ crawlState });
+  await resumed.add(record("https://example.com/a?print=1"), {
+    text: ARTICLE,
+  });
+
+  const { kept, duplicateCount } = resumed.resolve();
+  assert.deepEqual(
+    kept.map(({ url }) => url),
+    ["https://example.com/a"]
+  );
+  assert.equal(duplicateCount, 1);
+
+  await resumed.clear();
+  assert.equal(crawlState.values.size, 0);
+});
+
+test("a new pass drops records held back by the previous one", async () => {
+  const values = new Map();
+  const previous = await openDuplicateFilter({
+    crawlState: createCrawlState({ values }),
+  });
+  await previous.add(record("https://example.com/a"), { text: ARTICLE });
+
+  const next = await openDuplicateFilter({
+    crawlState: createCrawlState({ values, isResumed: false }),
+  });
+  assert.deepEqual(next.resolve().kept, []);
+  assert.equal(values.size, 0);
+});
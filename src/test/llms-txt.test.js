@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  orderPages,
+  buildLlmsTxt,
+  buildLlmsFullTxt,
+  toOneLine,
+} from "../src/llms/llms-txt.js";
+
+const page = (url, metadata = {}, extra = {}) => ({
+  url,
+  status: "success",
+  title: url.split("/").filter(Boolean).pop(),
+  metadata,
+  ...extra,
+});
+
+test("pages are ordered seeds first, then sitemap order, then depth", () => {
+  const records = [
+    page("https://x.dev/deep", { discoveredBy: "links", depth: 2 }),
+    page("https://x.dev/map-b", { discoveredBy: "sitemap", sitemapIndex: 1 }),
+    page("https://x.dev/", {}),
+    page("https://x.dev/near", { discoveredBy: "links", depth: 1 }),
+    page("https://x.dev/map-a", { discoveredBy: "sitemap", sitemapIndex: 0 }),
+    { url: "https://x.dev/failed", status: "failed" },
+  ];
+
+  assert.deepEqual(
+    orderPages(records).map(({ url }) => new URL(url).pathname),
+    ["/", "/map-a", "/map-b", "/near", "/deep"]
+  );
+});
+
+test("llms.txt groups pages by their first path segment", () => {
+  const pages = [
+    page("https://x.dev/"),
+    page("https://x.dev/docs/intro"),
+    page("https://x.dev/docs/api"),
+    page("https://x.dev/about"),
+    page("https://x.dev/blog_posts/"),
+  ];
+  pages[3].title = "About [us]";
+
+  const text = buildLlmsTxt(pages, {
+    title: "X",
+    summary: "A site\nabout X.",
+    descriptions: new Map([["https://x.dev/docs/intro", "Start here"]]),
+  });
+
+  assert.equal(
+    text,
+    [
+      "# X",
+      "",
+      "> A site about X.",
+      "",
+      "## Docs",
+      "",
+      "- [intro](https://x.dev/docs/intro): Start here",
+      "- [api](https://x.dev/docs/api)",
+      "",
+      "## Pages",
+      "",
+      "- [About \\[us\\]](https://x.dev/about)",
+      "",
+      "## Blog posts",
+      "",
+      "- [blog_posts](https://x.dev/blog_posts/)",
+      "",
+    ].join("\n")
+  );
+});
+
+test("llms-full.txt joins the pages' Markdown, or their text", () => {
+  const pages = [
+    page("https://x.dev/a", {}, { content: "# A\n\nAlpha.\n" }),
+    page("https://x.dev/b", {}, { textContent: "Beta." }),
+  ];
+
+  assert.equal(
+    buildLlmsFullTxt(pages, { title: "X" }),
+    ["# X", "# A\n\nAlpha.", "# b\n\n> Source: https://x.dev/b\n\nBeta."].join(
+      "\n\n---\n\n"
+    ) + "\n"
+  );
+});
+
+test("descriptions are cut to one line at a word", () => {
+  assert.equal(toOneLine("  two\n lines "), "two lines");
+
+  const long = toOneLine("word ".repeat(100));
+  assert.ok(long.length <= 201);
+  assert.ok(long.endsWith("word…"));
+});
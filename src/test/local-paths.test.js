@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getPagePath,
+  getAssetPath,
+  getRelativePath,
+  reservePath,
+} from "../src/mirror/local-paths.js";
+
+test("page URLs map to paths under their host", () => {
+  assert.equal(
+    getPagePath("https://docs.example.com/guide/intro.html", ".md"),
+    "docs.example.com/guide/intro.md"
+  );
+  assert.equal(
+    getPagePath("https://docs.example.com/guide/", ".md"),
+    "docs.example.com/guide/index.md"
+  );
+  assert.equal(
+    getPagePath("http://localhost:8080/", ".html"),
+    "localhost_8080/index.html"
+  );
+  assert.equal(
+    getPagePath("https://example.com/search?q=a b&page=2", ".md"),
+    "example.com/search-q-a-20b-page-2.md"
+  );
+  assert.equal(
+    getPagePath("https://example.com/caf%C3%A9/../..%2Fetc", ".md"),
+    "example.com/etc.md"
+  );
+});
+
+test("assets sit next to their page and links are relative", () => {
+  const pagePath = "example.com/guide/intro.md";
+  assert.equal(
+    getAssetPath("https://cdn.example.com/img/logo.png?v=2", pagePath),
+    "example.com/guide/logo.png"
+  );
+  assert.equal(
+    getAssetPath("https://cdn.example.com/img/photo", pagePath, ".jpg"),
+    "example.com/guide/photo.jpg"
+  );
+
+  assert.equal(
+    getRelativePath(pagePath, "example.com/api/index.md"),
+    "../api/index.md"
+  );
+  assert.equal(getRelativePath(pagePath, pagePath), "intro.md");
+});
+
+test("taken paths are numbered, ignoring case", () => {
+  const used = new Set();
+  assert.equal(reservePath("a/Page.md", used), "a/Page.md");
+  assert.equal(reservePath("a/page.md", used), "a/page-2.md");
+  assert.equal(reservePath("a/page.md", used), "a/page-3.md");
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import { createDomPage } from "../src/engine/dom-page.js";
+import { detectMainContent } from "../src/extractors/main-content.js";
+
+async function detect(html) {
+  const { window } = new JSDOM(html);
+  const detection = await detectMainContent(createDomPage(window));
+  return {
+    ...detection,
+    element: window.document.querySelector(detection.selector),
+  };
+}
+
+const paragraph = (i) =>
+  `<p>Paragraph ${i} explains one more part of the topic, with enough words to be read as body text.</p>`;
+
+test("a long article beats a short block with a content class", async () => {
+  const { element } = await detect(`<body>
+    <div class="content"><p>A short teaser line of some text.</p></div>
+    <article>${[1, 2, 3, 4, 5, 6].map(paragraph).join("")}</article>
+  </body>`);
+
+  assert.equal(element.tagName, "ARTICLE");
+});
+
+test("a content class still settles a close call", async () => {
+  const { element } = await detect(`<body>
+    <div class="sidebar">${[1, 2].map(paragraph).join("")}</div>
+    <div class="post-body">${[3, 4].map(paragraph).join("")}</div>
+  </body>`);
+
+  assert.equal(element.className, "post-body");
+});
+
+test("explains the choice", async () => {
+  const { explanation, confidence } = await detect(
+    `<body><main>${[1, 2, 3].map(paragraph).join("")}</main></body>`
+  );
+
+  assert.equal(explanation.node, "main");
+  assert.ok(confidence > 0.5);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { handleMCPRequest } from "../src/runners/mcp.js";
+
+const quiet = { logger: { log() {}, warn() {}, error() {} } };
+
+test("every listed tool has a case in the dispatcher", async () => {
+  const { result } = await handleMCPRequest(
+    { jsonrpc: "2.0", id: 1, method: "tools/list" },
+    quiet
+  );
+  const source = await readFile(
+    new URL("../src/runners/mcp.js", import.meta.url),
+    "utf8"
+  );
+
+  assert.ok(result.tools.some((tool) => tool.name === "capture_page"));
+  for (const { name } of result.tools) {
+    assert.ok(source.includes(`case "${name}"`), `${name} is not handled`);
+  }
+});
+
+test("unknown tools and methods are JSON-RPC errors", async () => {
+  const unknownTool = await handleMCPRequest(
+    {
+      jsonrpc: "2.0",
+      id: 2,
+      method: "tools/call",
+      params: { name: "nope", arguments: {} },
+    },
+    quiet
+  );
+  const unknownMethod = await handleMCPRequest(
+    { jsonrpc: "2.0", id: 3, method: "nope" },
+    quiet
+  );
+
+  assert.deepEqual(unknownTool.error, {
+    code: -32603,
+    message: "Unknown tool: nope",
+  });
+  assert.equal(unknownTool.id, 2);
+  assert.equal(unknownMethod.error.message, "Unknown method: nope");
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  diffSnapshots,
+  diffText,
+  diffTables,
+  diffPrices,
+} from "../src/monitor/diff.js";
+
+const lines = (text) => text.split(" ");
+
+test("text changes become unified hunks with context", () => {
+  const before = lines("a b c d e f g h i j");
+  const after = lines("a b C d e f g h i j k");
+
+  const { added, removed, hunks } = diffText(before, after, {
+    contextLines: 1,
+  });
+  assert.equal(added, 2);
+  assert.equal(removed, 1);
+  assert.deepEqual(hunks, [
+    {
+      oldStart: 2,
+      oldLines: 3,
+      newStart: 2,
+      newLines: 3,
+      lines: [" b", "-c", "+C", " d"],
+    },
+    {
+      oldStart: 10,
+      oldLines: 1,
+      newStart: 10,
+      newLines: 2,
+      lines: [" j", "+k"],
+    },
+  ]);
+});
+
+test("identical texts have no hunks and a new text is all additions", () => {
+  assert.deepEqual(diffText(lines("a b"), lines("a b")).hunks, []);
+  assert.deepEqual(diffText([], lines("a")), {
+    added: 1,
+    removed: 0,
+    hunks: [
+      { oldStart: 1, oldLines: 0, newStart: 1, newLines: 1, lines: ["+a"] },
+    ],
+  });
+});
+
+test("table rows are compared as a multiset, matched by headers", () => {
+  const plans = (rows, index = 0) => ({
+    index,
+    headers: ["Plan", "Price"],
+    rows,
+  });
+  const before = [
+    plans([
+      ["Basic", "$9"],
+      ["Pro", "$29"],
+    ]),
+    { index: 1, headers: [], rows: [["x"]] },
+  ];
+  const after = [
+    plans(
+      [
+        ["Pro", "$29"],
+        ["Basic", "$9"],
+        ["Team", "$99"],
+      ],
+      3
+    ),
+  ];
+
+  assert.deepEqual(diffTables(before, after), [
+    {
+      index: 3,
+      headers: ["Plan", "Price"],
+      status: "changed",
+      addedRows: [["Team", "$99"]],
+      removedRows: [],
+    },
+    {
+      index: 1,
+      headers: [],
+      status: "removed",
+      addedRows: [],
+      removedRows: [["x"]],
+    },
+  ]);
+});
+
+test("prices are matched by their text without the amounts", () => {
+  const before = [
+    { text: "Pro $29/month", prices: ["$29"] },
+    { text: "Legacy $5", prices: ["$5"] },
+  ];
+  const after = [
+    { text: "Pro $39/month", prices: ["$39"] },
+    { text: "Enterprise $499", prices: ["$499"] },
+  ];
+
+  const { added, removed, changed } = diffPrices(before, after);
+  assert.deepEqual(
+    changed.map(({ label, before, after }) => [label, before, after]),
+    [["Pro /month", ["$29"], ["$39"]]]
+  );
+  assert.deepEqual(
+    added.map(({ label }) => label),
+    ["Enterprise"]
+  );
+  assert.deepEqual(
+    removed.map(({ label }) => label),
+    ["Legacy"]
+  );
+});
+
+test("snapshots only count as changed when a monitored part differs", () => {
+  const snapshot = {
+    capturedAt: "2026-01-01T00:00:00.000Z",
+    text: lines("a b c"),
+    tables: [],
+    pricing: [],
+    metadata: { title: "Home", description: null },
+  };
+
+  assert.equal(diffSnapshots(snapshot, { ...snapshot }).changed, false);
+
+  const retitled = diffSnapshots(snapshot, {
+    ...snapshot,
+    metadata: { title: "Start" },
+  });
+  assert.equal(retitled.changed, true);
+  assert.equal(retitled.previousCapturedAt, snapshot.capturedAt);
+  assert.deepEqual(retitled.metadata, [
+    { field: "title", before: "Home", after: "Start" },
+  ]);
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// crawlee reads its storage directory when first used
+const storageDir = await mkdtemp(path.join(tmpdir(), "monitor-test-"));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const { log } = await import("crawlee");
+const { runMonitor } = await import("../src/runners/monitor.js");
+
+log.setLevel(log.LEVELS.OFF);
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/robots.txt") {
+      res.statusCode = 404;
+      return res.end();
+    }
+    const robots =
+      req.url === "/private" ? '<meta name="robots" content="noindex">' : "";
+    res.setHeader("content-type", "text/html");
+    res.end(
+      `<html><head><title>${req.url}</title>${robots}</head>` +
+        `<body><main><p>Prices start at $10.</p></main></body></html>`
+    );
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  origin = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+test("noindex pages are skipped instead of snapshotted", async () => {
+  const urls = [`${origin}/public`, `${origin}/private`];
+  const monitor = () =>
+    runMonitor(urls, { engine: "http", monitorName: "robots", logger: quiet });
+
+  const first = await monitor();
+  assert.deepEqual(
+    first.map(({ url, status }) => [new URL(url).pathname, status]).sort(),
+    [
+      ["/private", "skipped"],
+      ["/public", "baseline"],
+    ]
+  );
+
+  // No snapshot was kept, so the page is still not compared
+  const second = await monitor();
+  const privatePage = second.find(({ url }) => url.endsWith("/private"));
+  assert.equal(privatePage.status, "skipped");
+  assert.equal(privatePage.reason, "meta robots noindex");
+});
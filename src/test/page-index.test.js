@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openPageIndex, CHANGE_TYPES } from "../src/crawl/page-index.js";
+
+// A named crawl's state only lends its key-value store to the index
+function createCrawlState() {
+  const values = new Map();
+  return {
+    store: {
+      getValue: async (key) => values.get(key) ?? null,
+      setValue: async (key, value) => values.set(key, value),
+    },
+  };
+}
+
+const page = (contentHash, headers = {}) => ({
+  title: "Page",
+  contentHash,
+  headers,
+  engine: "http",
+});
+
+test("classifies pages against the previous run", async () => {
+  const crawlState = createCrawlState();
+  const first = await openPageIndex({ crawlState });
+  first.record("https://example.com/a", page("a1"));
+  first.record("https://example.com/b", page("b1"));
+  first.record("https://example.com/c", page("c1"));
+  await first.persist();
+
+  const second = await openPageIndex({ crawlState });
+  assert.equal(
+    second.record("https://example.com/a", page("a1")),
+    CHANGE_TYPES.UNCHANGED
+  );
+  assert.equal(
+    second.record("https://example.com/b", page("b2")),
+    CHANGE_TYPES.CHANGED
+  );
+  assert.equal(
+    second.record("https://example.com/d", page("d1")),
+    CHANGE_TYPES.NEW
+  );
+
+  const removed = second.getRemoved({ complete: true });
+  assert.deepEqual(
+    removed.map(({ url }) => url),
+    ["https://example.com/c"]
+  );
+  assert.deepEqual(second.counts, {
+    new: 1,
+    changed: 1,
+    unchanged: 1,
+    removed: 1,
+  });
+});
+
+test("pages seen but not extracted are not removed", async () => {
+  const crawlState = createCrawlState();
+  const first = await openPageIndex({ crawlState });
+  first.record("https://example.com/a", page("a1", { etag: '"v1"' }));
+  await first.persist();
+
+  const second = await openPageIndex({ crawlState });
+  second.markSeen("https://example.com/a", { engine: "http" });
+  second.markSeen("https://example.com/short", { engine: "http" });
+  assert.deepEqual(second.getRemoved({ complete: true }), []);
+  await second.persist();
+
+  // Without validators, the next run refetches and extracts them
+  const third = await openPageIndex({ crawlState });
+  assert.deepEqual(third.getConditionalHeaders("https://example.com/a"), {});
+  assert.equal(third.get("https://example.com/a").contentHash, "a1");
+  assert.equal(third.get("https://example.com/short").contentHash, null);
+});
+
+test("an incomplete crawl carries unvisited pages over", async () => {
+  const crawlState = createCrawlState();
+  const first = await openPageIndex({ crawlState });
+  first.record("https://example.com/a", page("a1", { etag: '"v1"' }));
+  await first.persist();
+
+  const second = await openPageIndex({ crawlState });
+  assert.deepEqual(second.getConditionalHeaders("https://example.com/a"), {
+    "If-None-Match": '"v1"',
+  });
+  assert.deepEqual(second.getRemoved({ complete: false }), []);
+  await second.persist();
+
+  const third = await openPageIndex({ crawlState });
+  assert.equal(third.get("https://example.com/a").contentHash, "a1");
+});
+
+test("gone pages leave the index and failed ones are carried over", async () => {
+  const crawlState = createCrawlState();
+  const first = await openPageIndex({ crawlState });
+  first.record("https://example.com/a", page("a1"));
+  first.record("https://example.com/b", page("b1"));
+  await first.persist();
+
+  const second = await openPageIndex({ crawlState });
+  assert.equal(second.markGone("https://example.com/a").contentHash, "a1");
+  assert.equal(second.markGone("https://example.com/new"), null);
+  second.markFailed("https://example.com/b");
+  assert.deepEqual(second.getRemoved({ complete: true }), []);
+  assert.equal(second.counts.removed, 1);
+  await second.persist();
+
+  const third = await openPageIndex({ crawlState });
+  assert.equal(third.get("https://example.com/a"), null);
+  assert.equal(third.get("https://example.com/b").contentHash, "b1");
+});
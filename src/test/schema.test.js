@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toJsonSchema } from "../src/schema/field-spec.js";
+import {
+  validateAgainstSchema,
+  validateSchema,
+} from "../src/schema/validator.js";
+import { getDomValues } from "../src/schema/dom-values.js";
+import { extractToSchema } from "../src/schema/extract.js";
+
+const logger = { log() {}, warn() {} };
+
+test("field specs compile to JSON Schemas", () => {
+  assert.deepEqual(toJsonSchema("name, price:number?, tags:string[]"), {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      price: { type: "number" },
+      tags: { type: "array", items: { type: "string" } },
+    },
+    required: ["name", "tags"],
+    additionalProperties: false,
+  });
+
+  const nested = toJsonSchema({
+    "link?": "url",
+    variants: [{ sku: "string" }],
+  });
+  assert.deepEqual(nested.required, ["variants"]);
+  assert.equal(nested.properties.link.format, "uri");
+  assert.deepEqual(nested.properties.variants.items.required, ["sku"]);
+
+  const schema = { type: "object", properties: {} };
+  assert.equal(toJsonSchema(schema), schema);
+  assert.throws(() => toJsonSchema("a:int"), /Unknown type "int"/);
+  assert.throws(() => toJsonSchema(" , "), /no fields/);
+});
+
+test("validation coerces types, drops extra fields and reports paths", () => {
+  const schema = toJsonSchema("name, price:number");
+  const data = { name: "Lamp", price: "49.99", color: "red" };
+
+  const result = validateAgainstSchema(schema, data);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data, { name: "Lamp", price: 49.99 });
+  assert.equal(data.color, "red");
+
+  const { valid, errors } = validateAgainstSchema(schema, { price: "n/a" });
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(({ path }) => path).sort(), ["/name", "/price"]);
+
+  assert.throws(
+    () => validateSchema({ type: "object", properties: { a: { type: 1 } } }),
+    /Invalid JSON Schema/
+  );
+});
+
+test("an equal schema with an $id can be given again", () => {
+  const json = JSON.stringify({
+    $id: "https://example.com/product.json",
+    type: "object",
+    properties: { name: { type: "string" } },
+    required: ["name"],
+  });
+
+  for (let run = 0; run < 2; run++) {
+    const { valid } = validateAgainstSchema(JSON.parse(json), { name: "a" });
+    assert.equal(valid, true);
+  }
+});
+
+test("DOM values fill matching fields that validate", () => {
+  const structured = {
+    product: { name: " Desk Lamp ", price: "$1,249.50" },
+    contact: { emails: ["sales@example.com"], phones: [] },
+  };
+  const schema = toJsonSchema(
+    "productName, price:number, email:email, phone?, color?"
+  );
+
+  assert.deepEqual(getDomValues(structured, schema), {
+    productName: "Desk Lamp",
+    price: 1249.5,
+    email: "sales@example.com",
+  });
+  assert.deepEqual(getDomValues(null, schema), {});
+});
+
+test("without an AI provider, extraction returns the DOM values", async () => {
+  const page = {
+    url: "https://example.com/lamp",
+    title: "Desk Lamp",
+    content: "",
+    structured: { product: { name: "Desk Lamp", price: 20 } },
+  };
+
+  const result = await extractToSchema(page, "name, price:number, sku", {
+    logger,
+  });
+  assert.equal(result.attempts, 0);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.data, { name: "Desk Lamp", price: 20 });
+  assert.deepEqual(result.fieldSources, { name: "dom", price: "dom" });
+  assert.deepEqual(result.errors, [
+    { path: "/sku", message: "must have required property 'sku'" },
+  ]);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createUrlFilter } from "../src/crawl/url-rules.js";
+
+const allowed = (options, url) =>
+  createUrlFilter(options).isAllowed(`https://example.com${url}`);
+
+test("path rules are globs on the path", () => {
+  assert.ok(allowed({ include: ["/docs/intro"] }, "/docs/intro"));
+  assert.ok(!allowed({ include: ["/docs/intro"] }, "/docs/intro/more"));
+  assert.ok(allowed({ include: ["/docs/*/guide"] }, "/docs/v2/guide"));
+  assert.ok(!allowed({ include: ["/docs/*/guide"] }, "/docs/v2/x/guide"));
+  assert.ok(allowed({ include: ["/docs/**"] }, "/docs/v2/x/guide"));
+});
+
+test("a path rule ending in a slash covers the directory", () => {
+  const options = { include: ["/docs/v2/"] };
+  assert.ok(allowed(options, "/docs/v2/"));
+  assert.ok(allowed(options, "/docs/v2/a/b"));
+  assert.ok(!allowed(options, "/docs/v3/a"));
+  assert.ok(!allowed(options, "/other/docs/v2/a"));
+});
+
+test("full URL globs match the whole URL", () => {
+  const options = { include: ["https://example.com/blog/*"] };
+  assert.ok(allowed(options, "/blog/post"));
+  assert.ok(!allowed(options, "/blog/2024/post"));
+});
+
+test("regular expressions need the re: prefix or a RegExp", () => {
+  assert.ok(allowed({ include: ["re:/v\\d+/"] }, "/docs/v12/a"));
+  assert.ok(!allowed({ include: ["re:/v\\d+/"] }, "/docs/latest/a"));
+  assert.ok(!allowed({ exclude: [/\/private\//] }, "/private/a"));
+  assert.throws(
+    () => createUrlFilter({ include: ["re:(unclosed"] }),
+    /Invalid URL rule "re:\(unclosed"/
+  );
+});
+
+test("exclude rules win over include rules", () => {
+  const options = { include: ["/docs/**"], exclude: ["/docs/old/**"] };
+  assert.ok(allowed(options, "/docs/new/a"));
+  assert.ok(!allowed(options, "/docs/old/a"));
+});
+
+test("path prefixes, extensions and PDFs", () => {
+  assert.ok(!allowed({ pathPrefix: "/docs/v2/" }, "/docs/v3/a"));
+  assert.ok(!allowed({}, "/logo.png"));
+  assert.ok(!allowed({}, "/guide.pdf"));
+  assert.ok(allowed({ allowPdfs: true }, "/guide.pdf"));
+});
+
+test("normalize drops fragments and stripped parameters", () => {
+  const filter = createUrlFilter({ stripQueryParams: ["utm_*", "ref"] });
+  assert.equal(
+    filter.normalize("https://example.com/a?utm_source=x&ref=y&page=2#top"),
+    "https://example.com/a?page=2"
+  );
+  assert.equal(
+    createUrlFilter({ stripQueryParams: true }).normalize(
+      "https://example.com/a?page=2"
+    ),
+    "https://example.com/a"
+  );
+});
+
+test("transformRequest rejects or normalizes requests", () => {
+  const filter = createUrlFilter({ exclude: ["/admin/**"] });
+  assert.equal(
+    filter.transformRequest({ url: "https://example.com/admin/x" }),
+    false
+  );
+  assert.deepEqual(
+    filter.transformRequest({ url: "https://example.com/a#b" }),
+    {
+      url: "https://example.com/a",
+    }
+  );
+});